@@ -0,0 +1,153 @@
+/* ================= ICALENDAR EXPORT (NO DOM) =================
+   Turns a schedule into an .ics file: one all-day event per EMI due date, plus
+   separate events for prepayments and ROI resets, each with optional reminders.
+
+   UIDs depend only on the loan id, the kind of event and its date, so importing
+   a newer export updates the same events instead of adding copies. SEQUENCE is
+   the export time in minutes, which always grows, so calendars accept the update.
+   Events that disappear from the plan (e.g. EMIs after an earlier closure) are
+   not removed from calendars that already have them.
+
+   options: { loanId, loanName, from: Date (skip earlier dates), reminderDays: [3, 1],
+              include: { emi, prepay, roi } (all true by default), format: number -> text }
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.LoanCalendar = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { ymd } = LoanEngine;
+
+const PRODID = '-//Home Loan Calculator//Repayment Plan//EN';
+const UID_DOMAIN = 'homeloan-calculator';
+const RESET_TEXT = { keepEmi: 'EMI unchanged, tenure adjusts', keepTenure: 'tenure unchanged, EMI adjusts' };
+
+/* RFC 5545 text escaping */
+const escapeText = s => String(s).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+
+/* lines longer than 75 octets (UTF-8) continue on the next line after a space; a fold never
+   splits a character, so surrogate pairs and multi-byte sequences stay on one line */
+const utf8Length = ch => { const c = ch.codePointAt(0); return c < 0x80 ? 1 : c < 0x800 ? 2 : c < 0x10000 ? 3 : 4; };
+
+function foldLine(line){
+  const parts = [];
+  let current = '', size = 0, limit = 75;
+  for(const ch of line){
+    const n = utf8Length(ch);
+    if(size + n > limit){
+      parts.push(current);
+      current = ' ';
+      size = 1;
+      limit = 75;
+    }
+    current += ch;
+    size += n;
+  }
+  parts.push(current);
+  return parts.join('\r\n');
+}
+
+const dateValue = d => ymd(d).replace(/-/g, '');
+const utcStamp = d => d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+
+function slug(s){
+  return String(s || 'loan').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'loan';
+}
+
+/* plain event list, before serialising: [{uid, date, summary, description}] */
+function planEvents(rows, options = {}){
+  const include = { emi: true, prepay: true, roi: true, ...(options.include || {}) };
+  const format = options.format || (v => v.toFixed(2));
+  const id = slug(options.loanId || options.loanName);
+  const name = options.loanName ? `${options.loanName}: ` : '';
+  const events = [];
+  const upcoming = date => !options.from || date >= options.from;
+  rows.forEach(r => {
+    const day = ymd(r.date);
+    if(include.roi && r.rateReset && upcoming(r.date)){
+      events.push({
+        uid: `${id}-roi-${day}@${UID_DOMAIN}`,
+        date: r.date,
+        summary: `${name}ROI reset to ${(r.roi || 0).toFixed(2)}%`,
+        description: `New rate ${(r.roi || 0).toFixed(2)}% from this EMI (${RESET_TEXT[r.rateReset] || r.rateReset}).`
+      });
+    }
+    if(include.emi && r.emi > 0 && upcoming(r.date)){
+      const kind = r.phase === 'preEmi' ? 'Pre-EMI' : r.balloon ? 'Final EMI (balloon)' : 'EMI';
+      events.push({
+        uid: `${id}-emi-${day}@${UID_DOMAIN}`,
+        date: r.date,
+        summary: `${name}${kind} ${format(r.emi)}`,
+        description: [
+          `${kind} #${r.month}: ${format(r.emi)}`,
+          `Interest: ${format(r.interest)}`,
+          `Principal: ${format(Math.max(0, r.principal))}`,
+          `Rate: ${(r.roi || 0).toFixed(2)}%`,
+          `Balance after: ${format(r.closing)}`
+        ].join('\n')
+      });
+    }
+    if(include.prepay && r.prepay > 0){
+      // one event per prepayment date (rows without the breakdown fall back to the EMI date)
+      const byDate = new Map();
+      (r.prepayments && r.prepayments.length ? r.prepayments : [{ date: r.date, amount: r.prepay }]).forEach(p => {
+        const key = ymd(p.date);
+        if(!byDate.has(key)) byDate.set(key, { date: p.date, amount: 0 });
+        byDate.get(key).amount += p.amount;
+      });
+      byDate.forEach((p, key) => {
+        if(!upcoming(p.date)) return;
+        const penalty = r.penalty ? r.penalty * p.amount / r.prepay : 0;
+        events.push({
+          uid: `${id}-prepay-${key}@${UID_DOMAIN}`,
+          date: p.date,
+          summary: `${name}Prepayment ${format(p.amount)}`,
+          description: `Planned prepayment of ${format(p.amount)}, counted with EMI #${r.month} (${day}).${penalty ? `\nPrepayment penalty: ${format(penalty)}` : ''}\nBalance after EMI #${r.month}: ${format(r.closing)}`
+        });
+      });
+    }
+  });
+  return events;
+}
+
+function eventLines(e, stamp, sequence, reminderDays){
+  const lines = [
+    'BEGIN:VEVENT',
+    `UID:${e.uid}`,
+    `DTSTAMP:${stamp}`,
+    `SEQUENCE:${sequence}`,
+    `DTSTART;VALUE=DATE:${dateValue(e.date)}`,
+    `DTEND;VALUE=DATE:${dateValue(new Date(e.date.getFullYear(), e.date.getMonth(), e.date.getDate() + 1))}`,
+    `SUMMARY:${escapeText(e.summary)}`,
+    `DESCRIPTION:${escapeText(e.description)}`,
+    'TRANSP:TRANSPARENT'
+  ];
+  reminderDays.forEach(days => {
+    lines.push('BEGIN:VALARM', 'ACTION:DISPLAY', `TRIGGER:-P${days}D`, `DESCRIPTION:${escapeText(e.summary)}`, 'END:VALARM');
+  });
+  lines.push('END:VEVENT');
+  return lines;
+}
+
+/* rows (schedule rows) -> .ics text */
+function scheduleToIcs(rows, options = {}){
+  const now = options.now || new Date();
+  const stamp = utcStamp(now);
+  const sequence = Math.floor(now.getTime() / 60000);
+  const reminderDays = (options.reminderDays || []).map(d => Math.round(d)).filter(d => d >= 0);
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(options.loanName ? `${options.loanName} repayments` : 'Loan repayments')}`
+  ];
+  planEvents(rows, options).forEach(e => lines.push(...eventLines(e, stamp, sequence, reminderDays)));
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+return { escapeText, foldLine, planEvents, scheduleToIcs };
+});
@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/* ================= HOME LOAN CLI =================
+   Runs the same LoanEngine the page uses against a loan JSON file.
+
+   Input: one loan state (what saveState() writes to localStorage) or a backup
+          from "Export JSON", any schema version LoanStore reads (see loan-store.js).
+          The picked loan is validated first; problems are listed and nothing runs.
+
+   Usage:
+     node cli.js <loan.json> [options]
+
+   Options:
+     --format csv|json|summary   output format (default: summary)
+     --schedule prepay|baseline  which schedule to print (default: prepay)
+     --rollup calendar|fy        group the schedule by calendar or financial year
+     --loan <name|id|index>      pick a loan from a backup file (default: first)
+     --out <file>                write to file instead of stdout
+     --benchmark <file>          benchmark history (CSV/JSON); switches the loan to benchmark + spread
+*/
+const fs = require('fs');
+const path = require('path');
+const LoanEngine = require('./loan-engine.js');
+const LoanStore = require('./loan-store.js');
+
+const USAGE = 'Usage: node cli.js <loan.json> [--format csv|json|summary] [--schedule prepay|baseline] [--rollup calendar|fy] [--loan <name|id|index>] [--out <file>] [--benchmark <file>]';
+
+function parseArgs(argv){
+  const opts = { file: null, format: 'summary', schedule: 'prepay', rollup: null, loan: null, out: null, benchmark: null };
+  for(let i=0;i<argv.length;i++){
+    const a = argv[i];
+    if(a === '-h' || a === '--help') opts.help = true;
+    else if(a === '--format') opts.format = argv[++i];
+    else if(a === '--schedule') opts.schedule = argv[++i];
+    else if(a === '--rollup') opts.rollup = argv[++i];
+    else if(a === '--loan') opts.loan = argv[++i];
+    else if(a === '--out') opts.out = argv[++i];
+    else if(a === '--benchmark') opts.benchmark = argv[++i];
+    else if(a.startsWith('--')) throw new Error(`Unknown option ${a}`);
+    else opts.file = a;
+  }
+  if(!['csv','json','summary'].includes(opts.format)) throw new Error(`Unknown format "${opts.format}"`);
+  if(!['prepay','baseline'].includes(opts.schedule)) throw new Error(`Unknown schedule "${opts.schedule}"`);
+  if(opts.rollup !== null && !LoanEngine.ROLLUP_PERIODS.includes(opts.rollup)) throw new Error(`Unknown rollup "${opts.rollup}"`);
+  return opts;
+}
+
+/* any loan file LoanStore can migrate (bare state, v2 profiles array, v3 document) -> validated state */
+function pickLoanState(data, which){
+  const doc = LoanStore.migrate(data);
+  if(doc.loans.length === 0) throw new Error('Backup file contains no loans');
+  let profile = doc.loans[0];
+  if(which !== null){
+    profile = doc.loans.find(p => p.name === which || p.id === which) || doc.loans[parseInt(which)];
+    if(!profile) throw new Error(`Loan "${which}" not found in backup`);
+  }
+  if(!profile.state) throw new Error(`Loan "${profile.name}" has no saved state`);
+  const { errors } = LoanStore.validateState(profile.state);
+  if(errors.length) throw new Error(`Loan "${profile.name}" is not valid:\n  ${errors.join('\n  ')}`);
+  return profile.state;
+}
+
+function formatSummary(result){
+  const { loan, summary } = result;
+  const n = v => v.toFixed(2);
+  const lines = [
+    `Principal:            ${n(loan.principal)}`,
+    `Start date:           ${LoanEngine.ymd(loan.startDate)}`,
+    `Tenure (months):      ${loan.totalMonths}`,
+    `Initial ROI %:        ${loan.initialRate}`,
+    `Interest convention:  ${loan.interestConvention}`,
+    `Rate model:           ${loan.rateModel === 'benchmark' ? `${loan.benchmark.name} + ${loan.benchmark.spread}%, reset every ${loan.benchmark.resetMonths} months` : 'manual'}`,
+    `EMI (baseline):       ${n(summary.baseline.emi)}`,
+    `Interest (no prepay): ${n(summary.baseline.interest)}`,
+    `Interest (prepay):    ${n(summary.withPrepay.interest)}`,
+    `Total paid (prepay):  ${n(summary.withPrepay.totalPaid)}`,
+    `Charges (prepay):     ${n(summary.withPrepay.charges.total)}`,
+    `True cost (prepay):   ${n(summary.withPrepay.totalCost)}`,
+    `Effective rate XIRR:  ${summary.withPrepay.xirr !== null ? (summary.withPrepay.xirr*100).toFixed(3) + '%' : '-'}`,
+    `Interest saved:       ${n(summary.interestSaved)}`,
+    `Months saved:         ${summary.monthsSaved}`,
+    `Closure date:         ${summary.withPrepay.closureDate ? LoanEngine.ymd(summary.withPrepay.closureDate) : '-'}`
+  ];
+  result.perPrepay.forEach((s, idx) => {
+    const p = s.prepay;
+    const plan = p.type === 'recurring'
+      ? ` ${p.frequency}${p.count ? ` x${p.count}` : ''}${p.endDate ? ` until ${p.endDate}` : ''}${p.growthPct ? ` +${p.growthPct}%/yr` : ''} (prepaid ${n(s.prepaid)})`
+      : '';
+    lines.push(`Prepayment ${idx+1}: ${p.date} ${n(p.amount)} ${p.strategy}${plan} | interest saved ${n(s.interestSaved)}, months saved ${s.monthsSaved}${s.penalty ? `, penalty ${n(s.penalty)}` : ''}`);
+  });
+  if(result.perYear.length > 1) result.perYear.forEach(y => {
+    lines.push(`Prepaid in ${y.year}: ${n(y.prepaid)} | interest saved ${n(y.interestSaved)}, months saved ${y.monthsSaved}`);
+  });
+  result.perRoi.forEach((s, idx) => {
+    lines.push(`ROI change ${idx+1}: ${s.change.date} ${s.change.rate}% ${s.policy} | months added ${s.monthsAdded}, EMI added ${n(s.emiAdded)}, interest added ${n(s.interestAdded)}`);
+  });
+  if(result.withPrepay.historyMonths !== undefined){
+    lines.push(`Recorded months:      ${result.withPrepay.historyMonths} (${result.withPrepay.mismatches.length} bank mismatches)`);
+    result.withPrepay.mismatches.forEach(m => {
+      lines.push(`MISMATCH month ${m.month} ${LoanEngine.ymd(m.date)} ${m.field}: bank ${n(m.bank)} vs computed ${n(m.computed)} (${n(m.diff)})`);
+    });
+  }
+  result.warnings.forEach(w => {
+    lines.push(w.type === 'negativeAmortization'
+      ? `WARNING: EMI below interest from ${LoanEngine.ymd(w.from)} for ${w.months} months (shortfall ${n(w.shortfall)})`
+      : `WARNING: loan not repaid within ${w.months} months (${n(w.outstanding)} outstanding)`);
+  });
+  return lines.join('\n');
+}
+
+/* JSON replacer: Date fields as local YYYY-MM-DD (Date.toJSON would give UTC) */
+function jsonDates(key, value){
+  return this[key] instanceof Date ? LoanEngine.ymd(this[key]) : value;
+}
+
+function formatRollup(groups){
+  const n = v => v.toFixed(2);
+  return groups.map(g => `${g.label.padEnd(10)} ${String(g.months).padStart(2)} months | EMI ${n(g.emi)}, interest ${n(g.interest)}, principal ${n(g.principal)}, prepay ${n(g.prepay)}, closing ${n(g.closing)}, avg ROI ${n(g.avgRoi)}%`).join('\n');
+}
+
+function main(argv){
+  const opts = parseArgs(argv);
+  if(opts.help || !opts.file){
+    console.log(USAGE);
+    return opts.help ? 0 : 1;
+  }
+
+  const data = JSON.parse(fs.readFileSync(path.resolve(opts.file), 'utf8'));
+  const state = pickLoanState(data, opts.loan);
+  if(opts.benchmark){
+    const history = LoanEngine.parseBenchmarkHistory(fs.readFileSync(path.resolve(opts.benchmark), 'utf8'));
+    state.rateModel = 'benchmark';
+    state.benchmark = { ...(state.benchmark || {}), history };
+  }
+  const result = LoanEngine.calculateLoan(state);
+  const rows = opts.schedule === 'baseline' ? result.baseline.rows : result.withPrepay.rows;
+
+  const groups = opts.rollup ? LoanEngine.rollupSchedule(rows, opts.rollup) : null;
+
+  let output;
+  if(opts.format === 'csv') output = groups ? LoanEngine.rollupToCsv(groups) : LoanEngine.scheduleToCsv(rows);
+  else if(opts.format === 'json') output = JSON.stringify({
+    summary: result.summary,
+    ...(groups
+      ? { rollup: groups.map(({ rows, ...g }) => g) }
+      : { schedule: LoanEngine.scheduleToJson(rows) })
+  }, jsonDates, 2);
+  else output = formatSummary(result) + (groups ? '\n' + formatRollup(groups) : '');
+
+  if(opts.out) fs.writeFileSync(opts.out, output + '\n');
+  else process.stdout.write(output + '\n');
+  return 0;
+}
+
+if(require.main === module){
+  try {
+    process.exitCode = main(process.argv.slice(2));
+  } catch(err){
+    console.error(`Error: ${err.message}`);
+    process.exitCode = 1;
+  }
+}
+
+module.exports = { main, parseArgs, pickLoanState };
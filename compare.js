@@ -0,0 +1,113 @@
+/* ================= MULTI-LOAN COMPARISON (NO DOM) =================
+   Runs every profile through LoanEngine.calculateLoan, so a saved result is never
+   stale, and lines the schedules up on calendar months: loans that start on
+   different dates share one axis.
+
+   Series per loan, one value per month of `months` ('YYYY-MM'):
+     balance             outstanding after that month's payments (0 once closed)
+     cumulativeInterest  interest paid so far
+     outflow             EMI + prepayment + penalty + fee + bank charges paid that month
+   All are null before the loan's first month.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.LoanCompare = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { ymd } = LoanEngine;
+
+const SERIES = ['balance', 'cumulativeInterest', 'outflow'];
+const METRICS = ['emi', 'interest', 'totalPaid', 'totalCost', 'closureDate', 'months', 'monthsSaved', 'xirr'];
+
+const monthOf = d => ymd(d).slice(0, 7);
+const outflowOf = r => (r.emi || 0) + (r.prepay || 0) + (r.penalty || 0) + (r.fee || 0) + (r.charges || 0);
+
+/* 'YYYY-MM' from first to last inclusive */
+function monthRange(first, last){
+  const out = [];
+  let [y, m] = first.split('-').map(Number);
+  for(let key = first; key <= last; key = `${y}-${String(m).padStart(2, '0')}`){
+    out.push(key);
+    if(++m > 12){ m = 1; y++; }
+  }
+  return out;
+}
+
+function loanMetrics(result){
+  const s = result.summary;
+  return {
+    emi: s.withPrepay.emi,
+    interest: s.withPrepay.interest,
+    totalPaid: s.withPrepay.totalPaid,
+    totalCost: s.withPrepay.totalCost,
+    closureDate: s.withPrepay.closureDate,
+    months: s.withPrepay.months,
+    monthsSaved: s.monthsSaved,
+    interestSaved: s.interestSaved,
+    xirr: s.withPrepay.xirr
+  };
+}
+
+/* one loan's rows -> series over `months` */
+function alignSeries(rows, months){
+  const byMonth = new Map();
+  rows.forEach(r => {
+    const key = monthOf(r.date);
+    const m = byMonth.get(key) || { closing: 0, interest: 0, outflow: 0 };
+    m.closing = r.closing;
+    m.interest += r.interest;
+    m.outflow += outflowOf(r);
+    byMonth.set(key, m);
+  });
+  const first = rows.length ? monthOf(rows[0].date) : null;
+  const last = rows.length ? monthOf(rows[rows.length-1].date) : null;
+  const series = { balance: [], cumulativeInterest: [], outflow: [] };
+  let interest = 0, balance = 0;
+  months.forEach(key => {
+    const m = byMonth.get(key);
+    if(!first || key < first){
+      SERIES.forEach(s => series[s].push(null));
+      return;
+    }
+    if(m){ interest += m.interest; balance = m.closing; }
+    series.balance.push(key <= last ? balance : 0);
+    series.cumulativeInterest.push(interest);
+    series.outflow.push(m ? m.outflow : 0);
+  });
+  return series;
+}
+
+/* profiles: [{id, name, state}] -> {months, loans:[{id, name, result, metrics, series} | {id, name, error}]} */
+function compareLoans(profiles){
+  const loans = profiles.map(p => {
+    try {
+      const result = LoanEngine.calculateLoan(p.state);
+      if(!result.withPrepay.rows.length) throw new Error('nothing to schedule, check the amount, tenure and start date');
+      return { id: p.id, name: p.name, result, metrics: loanMetrics(result) };
+    } catch(e){
+      return { id: p.id, name: p.name, error: e.message };
+    }
+  });
+  const scheduled = loans.filter(l => l.result);
+  if(!scheduled.length) return { months: [], loans };
+
+  const firsts = scheduled.map(l => monthOf(l.result.withPrepay.rows[0].date)).sort();
+  const lasts = scheduled.map(l => { const rows = l.result.withPrepay.rows; return monthOf(rows[rows.length-1].date); }).sort();
+  const months = monthRange(firsts[0], lasts[lasts.length-1]);
+  loans.forEach(l => { if(l.result) l.series = alignSeries(l.result.withPrepay.rows, months); });
+  return { months, loans };
+}
+
+/* per metric, the id of the loan with the lowest value (null when fewer than two loans have one) */
+function bestBy(loans){
+  const best = {};
+  ['emi', 'interest', 'totalPaid', 'totalCost', 'months', 'xirr'].forEach(key => {
+    const withValue = loans.filter(l => l.metrics && typeof l.metrics[key] === 'number');
+    best[key] = withValue.length > 1 ? withValue.reduce((a, b) => b.metrics[key] < a.metrics[key] ? b : a).id : null;
+  });
+  return best;
+}
+
+return { SERIES, METRICS, monthRange, loanMetrics, alignSeries, compareLoans, bestBy };
+});
@@ -0,0 +1,118 @@
+/* ================= LOAN ELIGIBILITY & AFFORDABILITY (NO DOM) =================
+   Works back from income to the largest loan a lender would sanction:
+     income limit   EMI room under FOIR (fixed obligations to income ratio), taken as a
+                    level-EMI loan at `rate` over the tenure left to retirement
+     LTV limit      ltvPct of the property value
+     need           property value - down payment (nothing more is useful)
+   The smallest of these is the eligible loan. Co-applicants add their income and
+   existing EMIs; the tenure is capped by the oldest earning applicant's years to
+   retirement, as lenders do.
+
+   A comfortable EMI uses comfortPct of income instead of the FOIR limit.
+
+   input: { applicants: [{name, income, existingEmi, age}], foirPct, ltvPct, propertyValue,
+            downPayment, retirementAge, maxTenureYears, rate, comfortPct }
+   (monthly net income and EMIs; percentages as 50 for 50%)
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.LoanEligibility = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { computeEmi } = LoanEngine;
+
+const DEFAULTS = { foirPct: 50, ltvPct: 80, retirementAge: 60, maxTenureYears: 30, comfortPct: 35 };
+const ROUND_TO = 1000;   // eligible amounts are rounded down to this
+const LIMIT_LABELS = { income: 'income (FOIR)', ltv: 'property value (LTV)', need: 'property value less down payment' };
+
+const num = v => Math.max(0, parseFloat(v) || 0);
+
+function normalizeEligibility(input = {}){
+  const withDefault = (v, d) => v === undefined || v === '' || v === null ? d : num(v);
+  return {
+    applicants: (input.applicants || []).map((a, i) => ({
+      name: a.name || `Applicant ${i+1}`,
+      income: num(a.income),
+      existingEmi: num(a.existingEmi),
+      age: parseInt(a.age) || 0
+    })),
+    foirPct: withDefault(input.foirPct, DEFAULTS.foirPct),
+    ltvPct: withDefault(input.ltvPct, DEFAULTS.ltvPct),
+    propertyValue: num(input.propertyValue),
+    downPayment: num(input.downPayment),
+    retirementAge: withDefault(input.retirementAge, DEFAULTS.retirementAge),
+    maxTenureYears: withDefault(input.maxTenureYears, DEFAULTS.maxTenureYears),
+    rate: num(input.rate),
+    comfortPct: withDefault(input.comfortPct, DEFAULTS.comfortPct)
+  };
+}
+
+/* largest level-EMI loan `emi` repays at `rate`% a year over `months` */
+function maxLoanForEmi(emi, rate, months){
+  if(emi <= 0 || months <= 0) return 0;
+  return emi / computeEmi(1, rate / 12 / 100, months);
+}
+
+const roundDown = v => Math.floor(v / ROUND_TO) * ROUND_TO;
+
+/* input -> { income, existingEmi, tenureMonths, maxEmi, limits, binding, maxLoan, emi, comfortable, errors } */
+function assessEligibility(input){
+  const e = normalizeEligibility(input);
+  const errors = [];
+  const earning = e.applicants.filter(a => a.income > 0);
+  const income = earning.reduce((s, a) => s + a.income, 0);
+  const existingEmi = e.applicants.reduce((s, a) => s + a.existingEmi, 0);
+  if(!income) errors.push('Enter the net monthly income of at least one applicant');
+  if(!e.rate) errors.push('Enter the expected interest rate');
+
+  const oldest = Math.max(0, ...earning.map(a => a.age));
+  const toRetirement = oldest ? (e.retirementAge - oldest) * 12 : Infinity;
+  const tenureMonths = Math.max(0, Math.min(Math.round(e.maxTenureYears * 12), toRetirement));
+  if(income && !tenureMonths) errors.push(`The oldest earning applicant (${oldest}) has no working years left before ${e.retirementAge}`);
+
+  const maxEmi = Math.max(0, income * e.foirPct / 100 - existingEmi);
+  if(income && !maxEmi) errors.push(`Existing EMIs already use the ${e.foirPct}% FOIR limit`);
+  const comfortEmi = Math.min(maxEmi, Math.max(0, income * e.comfortPct / 100 - existingEmi));
+
+  const limits = { income: maxLoanForEmi(maxEmi, e.rate, tenureMonths) };
+  if(e.propertyValue){
+    limits.ltv = e.propertyValue * e.ltvPct / 100;
+    limits.need = Math.max(0, e.propertyValue - e.downPayment);
+  }
+  const binding = Object.keys(limits).reduce((a, b) => limits[b] < limits[a] ? b : a);
+  const maxLoan = errors.length ? 0 : roundDown(limits[binding]);
+  const comfortLoan = errors.length ? 0 : roundDown(Math.min(maxLoanForEmi(comfortEmi, e.rate, tenureMonths), maxLoan));
+  const emiFor = loan => loan ? computeEmi(loan, e.rate / 12 / 100, tenureMonths) : 0;
+
+  return {
+    input: e,
+    income,
+    existingEmi,
+    tenureMonths,
+    maxEmi,
+    limits,
+    binding,
+    bindingLabel: LIMIT_LABELS[binding],
+    maxLoan,
+    emi: emiFor(maxLoan),
+    comfortable: { emi: emiFor(comfortLoan), loan: comfortLoan },
+    errors
+  };
+}
+
+/* schedule rows -> [{date, roi, emi}] for each ROI increase that takes the EMI above maxEmi */
+function affordabilityBreaches(rows, maxEmi){
+  const out = [];
+  let prevRoi = null;
+  rows.forEach(r => {
+    if(prevRoi !== null && r.roi > prevRoi && (r.emiDue || r.emi) > maxEmi + 0.005){
+      out.push({ date: r.date, roi: r.roi, emi: r.emiDue || r.emi });
+    }
+    prevRoi = r.roi;
+  });
+  return out;
+}
+
+return { DEFAULTS, normalizeEligibility, maxLoanForEmi, assessEligibility, affordabilityBreaches };
+});
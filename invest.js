@@ -0,0 +1,140 @@
+/* ================= PREPAY VS INVEST (NO DOM) =================
+   Should a planned prepayment go into the loan or into an investment? Each plan is
+   modelled as two paths that spend the same cash every month:
+     prepay  the plan goes into the loan; whatever the loan then needs less of
+             (lower EMI, or nothing once it closes early) is invested
+     invest  the loan runs without the plan and the plan's cash is invested instead
+   Each month both paths spend the larger of the two loan outflows; the difference goes
+   into that path's portfolio, which compounds monthly at the expected return.
+
+   Net wealth on a date = portfolio after tax on its gains (as if sold that day) - loan
+   outstanding, deflated to the plan's first month when inflation is given. Plans are
+   marginal like LoanEngine.computePerPrepaySavings: each one on top of the earlier ones.
+   The crossover return is the expected return at which both paths end level; below it
+   prepaying comes out ahead.
+
+   options: { returnPct: 10, gainsTaxPct: 0, inflationPct: 0 }
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.PrepayInvest = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { calculateLoan, getRateForDate, parseYmd, ymd } = LoanEngine;
+
+const MAX_RETURN = 100;   // crossover search range, % a year
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const outflowOf = r => (r.emi || 0) + (r.prepay || 0) + (r.penalty || 0) + (r.fee || 0) + (r.charges || 0);
+const monthlyRate = pct => Math.pow(1 + pct / 100, 1 / 12) - 1;
+
+/* date of the first payment where the two schedules part ways (a prepayment, a different
+   outflow or balance, or one path already closed); null when they never do. A prepayment
+   dated after that month's EMI is counted on the EMI row, so its own date can be too late. */
+function firstDifference(prepayRows, investRows){
+  const differs = (a, b) => !a || !b || Math.abs((a.prepay || 0) - (b.prepay || 0)) > 0.005
+    || Math.abs(outflowOf(a) - outflowOf(b)) > 0.005 || Math.abs(a.closing - b.closing) > 0.005;
+  const invest = new Map(investRows.map(r => [ymd(r.date), r]));
+  const seen = new Set();
+  for(const r of prepayRows){
+    const key = ymd(r.date);
+    seen.add(key);
+    if(differs(r, invest.get(key))) return r.date;
+  }
+  const extra = investRows.find(r => !seen.has(ymd(r.date)));
+  return extra ? extra.date : null;
+}
+
+/* both paths' rows month by month, from the first payment on or after `from` */
+function alignPaths(prepayRows, investRows, from){
+  const byDate = rows => new Map(rows.map(r => [ymd(r.date), r]));
+  const a = byDate(prepayRows), b = byDate(investRows);
+  const start = ymd(from);
+  return [...new Set([...a.keys(), ...b.keys()])].sort().filter(d => d >= start)
+    .map(d => ({ date: parseYmd(d), prepay: a.get(d) || null, invest: b.get(d) || null }));
+}
+
+/* aligned months -> [{date, prepayBalance, prepayPortfolio, prepayWealth, invest...}] */
+function simulatePaths(aligned, options = {}){
+  const growth = 1 + monthlyRate(options.returnPct || 0);
+  const tax = (options.gainsTaxPct || 0) / 100;
+  const inflation = 1 + (options.inflationPct || 0) / 100;
+  const paths = { prepay: { value: 0, paidIn: 0 }, invest: { value: 0, paidIn: 0 } };
+  const start = aligned.length ? aligned[0].date : null;
+  return aligned.map(m => {
+    const out = { prepay: m.prepay ? outflowOf(m.prepay) : 0, invest: m.invest ? outflowOf(m.invest) : 0 };
+    const budget = Math.max(out.prepay, out.invest);
+    const deflator = Math.pow(inflation, (m.date - start) / DAY_MS / 365.25);
+    const point = { date: m.date };
+    ['prepay', 'invest'].forEach(key => {
+      const p = paths[key];
+      p.value = p.value * growth + budget - out[key];
+      p.paidIn += budget - out[key];
+      const afterTax = p.value - Math.max(0, p.value - p.paidIn) * tax;
+      const balance = m[key] ? m[key].closing : 0;
+      point[key + 'Balance'] = balance;
+      point[key + 'Portfolio'] = afterTax;
+      point[key + 'Wealth'] = (afterTax - balance) / deflator;
+    });
+    return point;
+  });
+}
+
+/* prepay wealth - invest wealth at the end of the longer path */
+function finalAdvantage(aligned, options){
+  const series = simulatePaths(aligned, options);
+  const last = series[series.length-1];
+  return last ? last.prepayWealth - last.investWealth : 0;
+}
+
+/* expected return (% a year) at which investing catches up; 0 when investing wins even at 0%,
+   null when prepaying still wins at MAX_RETURN */
+function crossoverReturn(aligned, options = {}){
+  const advantage = pct => finalAdvantage(aligned, { ...options, returnPct: pct });
+  if(advantage(0) <= 0) return 0;
+  if(advantage(MAX_RETURN) > 0) return null;
+  let lo = 0, hi = MAX_RETURN;
+  for(let i=0; i<50 && hi - lo > 0.001; i++){
+    const mid = (lo + hi) / 2;
+    if(advantage(mid) > 0) lo = mid; else hi = mid;
+  }
+  return Math.round((lo + hi) / 2 * 100) / 100;
+}
+
+/* planDate: where to start if the schedules never differ */
+function comparePath(loan, prepayRows, investRows, planDate, options){
+  const from = firstDifference(prepayRows, investRows) || planDate;
+  const aligned = alignPaths(prepayRows, investRows, from);
+  const series = simulatePaths(aligned, options).map(p => ({ ...p, loanRate: getRateForDate(p.date, loan.roiChanges, loan.initialRate) }));
+  const last = series[series.length-1] || null;
+  const advantage = last ? last.prepayWealth - last.investWealth : 0;
+  return {
+    loanRate: getRateForDate(from, loan.roiChanges, loan.initialRate),
+    prepaid: prepayRows.reduce((s, r) => s + (r.prepay || 0), 0) - investRows.reduce((s, r) => s + (r.prepay || 0), 0),
+    crossoverReturn: crossoverReturn(aligned, options),
+    final: last ? { date: last.date, prepay: last.prepayWealth, invest: last.investWealth, advantage } : null,
+    better: advantage >= 0 ? 'prepay' : 'invest',
+    series
+  };
+}
+
+/* state -> {options, plans:[{prepay, loanRate, prepaid, crossoverReturn, final, better, series}], combined} */
+function comparePrepayInvest(input, options = {}){
+  const opts = { returnPct: 10, gainsTaxPct: 0, inflationPct: 0, ...options };
+  const result = calculateLoan(input);
+  const loan = result.loan;
+  const plans = result.perPrepay.map(s => ({
+    prepay: s.prepay,
+    ...comparePath(loan, s.schedule.rows, s.before.rows, parseYmd(s.prepay.date), opts)
+  }));
+  // every plan together against the loan with none of them
+  const combined = result.perPrepay.length > 1
+    ? comparePath(loan, result.perPrepay[result.perPrepay.length-1].schedule.rows, result.perPrepay[0].before.rows,
+        parseYmd(result.perPrepay[0].prepay.date), opts)
+    : null;
+  return { options: opts, plans, combined };
+}
+
+return { alignPaths, simulatePaths, crossoverReturn, comparePrepayInvest };
+});
@@ -0,0 +1,128 @@
+/* ================= PAGE STORAGE (INDEXEDDB, NO DOM) =================
+   Saved loans and the scratch form state live in IndexedDB, which has room for long
+   multi-loan histories where localStorage stops at a few MB.
+
+   The page reads and writes synchronously, so the store keeps every value in memory:
+   getItem() answers from memory, setItem()/removeItem() update memory at once and queue
+   the IndexedDB write. `ready` resolves once the values are loaded; nothing should be
+   read before then. Writes made before that (the page saves while it starts up) are held
+   in memory and applied once the database is open and migrated, so they land on top of
+   what was stored rather than being lost under it.
+
+   On first open, keys still in localStorage (pages saved before IndexedDB was used) are
+   copied over and then removed from localStorage. When IndexedDB is missing or will not
+   open (some private modes), the store reads and writes localStorage directly.
+
+   options: { indexedDB, fallback: localStorage, dbName, keys: [keys to move over] }
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LoanDB = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+'use strict';
+
+const DB_VERSION = 1;
+const STORE = 'kv';
+
+const requestDone = req => new Promise((resolve, reject) => {
+  req.onsuccess = () => resolve(req.result);
+  req.onerror = () => reject(req.error);
+});
+const txDone = tx => new Promise((resolve, reject) => {
+  tx.oncomplete = () => resolve();
+  tx.onerror = tx.onabort = () => reject(tx.error);
+});
+
+function openDatabase(idb, name){
+  const req = idb.open(name, DB_VERSION);
+  req.onupgradeneeded = () => { req.result.createObjectStore(STORE); };
+  return requestDone(req);
+}
+
+/* every key/value pair in the store -> Map */
+function readAll(db){
+  const tx = db.transaction(STORE, 'readonly');
+  const store = tx.objectStore(STORE);
+  return Promise.all([requestDone(store.getAllKeys()), requestDone(store.getAll())])
+    .then(([keys, values]) => new Map(keys.map((k, i) => [k, values[i]])));
+}
+
+function createStore(options = {}){
+  const { indexedDB: idb = null, fallback = null, dbName = 'homeloanApp', keys = [] } = options;
+  const cache = new Map();
+  let db = null;
+  let writing = Promise.resolve();
+  // key -> value (null = removed) written before `ready`; null once the store is open
+  let early = new Map();
+
+  /* localStorage keys not yet in the database are copied in one transaction, then dropped */
+  function migrate(){
+    const moved = fallback ? keys.filter(k => !cache.has(k) && fallback.getItem(k) !== null) : [];
+    if(!moved.length) return Promise.resolve();
+    const tx = db.transaction(STORE, 'readwrite');
+    moved.forEach(k => {
+      const value = fallback.getItem(k);
+      cache.set(k, value);
+      tx.objectStore(STORE).put(value, k);
+    });
+    return txDone(tx).then(() => moved.forEach(k => fallback.removeItem(k)));
+  }
+
+  const ready = (idb ? Promise.resolve().then(() => openDatabase(idb, dbName)) : Promise.reject(new Error('IndexedDB is not available')))
+    .then(opened => readAll(opened).then(values => {
+      values.forEach((v, k) => cache.set(k, v));
+      db = opened;
+      return migrate();
+    }))
+    .then(() => 'indexedDB')
+    .catch(err => {
+      if(idb) console.warn('IndexedDB could not be opened, using localStorage', err);
+      db = null;
+      cache.clear();
+      return 'localStorage';
+    })
+    .then(backend => {
+      const queued = early;
+      early = null;
+      queued.forEach((value, key) => value === null ? store.removeItem(key) : store.setItem(key, value));
+      return backend;
+    });
+
+  // writes are chained so they land in the order they were made
+  function write(apply){
+    if(!db) return;
+    writing = writing.then(() => {
+      const tx = db.transaction(STORE, 'readwrite');
+      apply(tx.objectStore(STORE));
+      return txDone(tx);
+    }).catch(err => console.warn('Saving to IndexedDB failed', err));
+  }
+
+  const store = {
+    ready,
+    getItem(key){
+      if(early && early.has(key)) return early.get(key);
+      if(!db) return fallback ? fallback.getItem(key) : null;
+      return cache.has(key) ? cache.get(key) : null;
+    },
+    setItem(key, value){
+      value = String(value);
+      if(early){ early.set(key, value); return; }
+      if(!db){ if(fallback) fallback.setItem(key, value); return; }
+      cache.set(key, value);
+      write(store => store.put(value, key));
+    },
+    removeItem(key){
+      if(early){ early.set(key, null); return; }
+      if(!db){ if(fallback) fallback.removeItem(key); return; }
+      cache.delete(key);
+      write(store => store.delete(key));
+    },
+    /* resolves once every queued write has been stored */
+    flush: () => ready.then(() => writing)
+  };
+  return store;
+}
+
+return { createStore };
+});
@@ -0,0 +1,1184 @@
+/* ================= LOAN ENGINE (NO DOM) =================
+   Calculation core shared by the page (window.LoanEngine, a classic <script>) and
+   Node (require('./loan-engine.js')). It is a UMD/CommonJS file with no ES export.
+   Everything here works on plain objects; DOM wiring lives in script.js.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.LoanEngine = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+'use strict';
+
+/* ---------- Utilities ---------- */
+const pad2 = n => String(n).padStart(2,'0');
+// local calendar date as YYYY-MM-DD (toISOString would shift east-of-UTC dates back a day)
+const ymd = d => `${d.getFullYear()}-${pad2(d.getMonth()+1)}-${pad2(d.getDate())}`;
+const parseYmd = s => new Date(s + 'T00:00:00');
+const sumBy = (rows, key) => rows.reduce((s,r)=>s + (r[key]||0), 0);
+
+/* date helpers */
+function addMonths(date, months) {
+  const d = new Date(date.getTime());
+  const day = d.getDate();
+  d.setMonth(d.getMonth() + months);
+  if (d.getDate() < day) { d.setDate(0); }
+  return d;
+}
+
+/* EMI formula */
+function computeEmi(principal, monthlyRate, months){
+  if(months <= 0) return months === 0 ? principal : 0;
+  if(monthlyRate === 0) return principal / months;
+  return principal * monthlyRate * Math.pow(1+monthlyRate, months) / (Math.pow(1+monthlyRate, months) - 1);
+}
+
+/* ROI selection: get latest ROI change with date <= paymentDate */
+function getRoiChangeForDate(paymentDate, roiChanges){
+  if(!roiChanges || roiChanges.length === 0) return null;
+  // YYYY-MM-DD strings sort like dates; comparing them avoids parsing every row each month
+  const pd = ymd(paymentDate);
+  let applicable = null;
+  for(const r of roiChanges){
+    if(r.date <= pd && (!applicable || r.date > applicable.date)) applicable = r;
+  }
+  return applicable;
+}
+
+function getRateForDate(paymentDate, roiChanges, initialRate){
+  const applicable = getRoiChangeForDate(paymentDate, roiChanges);
+  return applicable ? parseFloat(applicable.rate) : initialRate;
+}
+
+/* ---------- Rate reset policies ----------
+   What happens to the EMI when an ROI change takes effect:
+   'keepEmi'     : EMI unchanged, tenure stretches or shrinks (the old behaviour)
+   'keepTenure'  : EMI re-computed over the months left to the original end date
+   'default'     : whatever the loan's rateResetDefault says (bank default)
+*/
+const RESET_POLICIES = ['default', 'keepEmi', 'keepTenure'];
+const resolveResetPolicy = (change, bankDefault) =>
+  change && change.policy && change.policy !== 'default' ? change.policy : (bankDefault || 'keepEmi');
+
+/* ---------- Benchmark-linked floating rate ----------
+   benchmark: { name, spread, resetMonths:3|6|12, history:[{date, rate}] }
+   The loan rate is benchmark + spread, but it only moves on reset dates
+   (startDate + k*resetMonths). On each reset the latest benchmark published on or
+   before that date is used, so a benchmark move waits for the next reset (the lag).
+   Generated entries carry source:'benchmark'; manual ROI rows stay source:'manual'.
+*/
+const RESET_PERIODS = [1, 3, 6, 12];
+
+function getBenchmarkPoint(date, history){
+  let point = null;
+  for(const h of history){
+    if(parseYmd(h.date) <= date && (!point || h.date > point.date)) point = h;
+  }
+  return point;
+}
+
+function generateBenchmarkTimeline(benchmark, startDate, horizonMonths){
+  const history = (benchmark && benchmark.history) || [];
+  if(history.length === 0) return [];
+  const step = RESET_PERIODS.includes(benchmark.resetMonths) ? benchmark.resetMonths : 3;
+  const spread = parseFloat(benchmark.spread) || 0;
+  const lastMove = parseYmd(history.reduce((m, h) => h.date > m ? h.date : m, history[0].date));
+  const timeline = [];
+  // every reset gets an entry (not only rate moves) so a manual override lasts until the next reset
+  for(let k=0; k*step <= horizonMonths; k++){
+    const resetDate = addMonths(new Date(startDate.getTime()), k*step);
+    const point = getBenchmarkPoint(resetDate, history);
+    if(point){
+      timeline.push({
+        date: ymd(resetDate),
+        rate: Math.round((point.rate + spread) * 10000) / 10000,
+        policy: 'default',
+        source: 'benchmark',
+        benchmarkRate: point.rate,
+        benchmarkDate: point.date,
+        lagDays: daysBetween(parseYmd(point.date), resetDate)
+      });
+    }
+    // nothing can change after the last benchmark move has been picked up
+    if(resetDate > lastMove) break;
+  }
+  return timeline;
+}
+
+/* benchmark history file: CSV "date,rate" (header optional) or JSON
+   [{date, rate}] / {"YYYY-MM-DD": rate}. Returns sorted [{date, rate}]; throws on bad input. */
+function parseBenchmarkHistory(text){
+  const trimmed = String(text || '').trim();
+  let points;
+  if(trimmed.startsWith('[') || trimmed.startsWith('{')){
+    const data = JSON.parse(trimmed);
+    points = Array.isArray(data)
+      ? data.map(d => ({ date: d.date, rate: parseFloat(d.rate) }))
+      : Object.keys(data).map(date => ({ date, rate: parseFloat(data[date]) }));
+  } else {
+    points = trimmed.split(/\r?\n/).map(line => line.split(/[,;\t]/).map(c => c.trim().replace(/^"|"$/g,'')))
+      .filter(cols => cols.length >= 2 && /^\d{4}-\d{2}-\d{2}$/.test(cols[0]))
+      .map(cols => ({ date: cols[0], rate: parseFloat(cols[1]) }));
+  }
+  points = points.filter(p => /^\d{4}-\d{2}-\d{2}$/.test(p.date || '') && !isNaN(p.rate));
+  if(points.length === 0) throw new Error('No "date,rate" rows found in benchmark file');
+  return points.sort((a,b) => a.date < b.date ? -1 : a.date > b.date ? 1 : 0);
+}
+
+/* ---------- Interest conventions ----------
+   '30/360'  : interest = opening balance * rate/1200 each month; one-time prepayments
+               are applied with the EMI of their calendar month.
+   'ACT/365' : daily reducing balance, actual days between due dates / 365.
+   'ACT/360' : daily reducing balance, actual days between due dates / 360.
+   In the ACT modes an ROI change or one-time prepayment that lands between two due
+   dates only affects the days after it.
+*/
+const INTEREST_CONVENTIONS = ['30/360', 'ACT/365', 'ACT/360'];
+const DAY_BASIS = { '30/360': 0, 'ACT/365': 365, 'ACT/360': 360 };
+const daysBetween = (a, b) => Math.round((b - a) / 86400000);
+
+/* accrue interest on `balance` over (from, to], splitting at ROI change dates and
+   at mid-period prepayments (which reduce the balance from their own date).
+   returns {interest, balance, applied:[{prepay, amount}]} */
+function accrueDailyInterest(balance, from, to, roiChanges, initialRate, dayBasis, midPrepays=[]){
+  const cuts = new Set();
+  roiChanges.forEach(r => { const d = parseYmd(r.date); if(d > from && d < to) cuts.add(d.getTime()); });
+  midPrepays.forEach(p => cuts.add(parseYmd(p.date).getTime()));
+  const points = [...cuts].sort((a,b)=>a-b).map(t => new Date(t)).filter(d => d < to);
+
+  let interest = 0;
+  let cursor = from;
+  const applied = [];
+  const segment = until => {
+    const rate = getRateForDate(cursor, roiChanges, initialRate);
+    interest += balance * rate / 100 * daysBetween(cursor, until) / dayBasis;
+    cursor = until;
+  };
+  const payOn = day => {
+    midPrepays.filter(p => parseYmd(p.date).getTime() === day.getTime()).forEach(p => {
+      const amount = p.foreclose ? balance : Math.min(p.amount, balance);
+      if(amount > 0){ balance -= amount; applied.push({ prepay: p, amount }); }
+    });
+  };
+
+  points.forEach(pt => { segment(pt); payOn(pt); });
+  segment(to);
+  // a prepayment dated on the due date itself is paid alongside the EMI
+  payOn(to);
+  return { interest, balance, applied };
+}
+
+/* ---------- Repayment structures ----------
+   'level'    : the usual equal EMI
+   'stepUp'   : EMI rises by stepPct every stepMonths (young borrowers, growing income)
+   'stepDown' : EMI falls by stepPct every stepMonths (borrowers nearing retirement)
+   'balloon'  : level EMI plus balloonPct of the loan due with the last EMI
+   The base EMI is solved so the stepped payments (and the balloon) repay the balance by the
+   end of the tenure; it is re-solved the same way wherever a level EMI would be recomputed.
+*/
+const REPAYMENT_TYPES = ['level', 'stepUp', 'stepDown', 'balloon'];
+const LEVEL_REPAYMENT = { type: 'level', stepPct: 0, stepMonths: 12, balloonPct: 0 };
+
+/* EMI rounding: lenders often round the instalment up to a whole unit (or 10 / 100);
+   0 keeps it exact. The last EMI is whatever is left, as before. */
+const EMI_ROUNDING = [0, 1, 10, 100];
+const roundEmiUp = (emi, step) => step ? Math.ceil(emi / step - 1e-9) * step : emi;
+
+function normalizeRepayment(repayment = {}){
+  const type = REPAYMENT_TYPES.includes(repayment.type) ? repayment.type : 'level';
+  return {
+    type,
+    stepPct: type === 'stepUp' || type === 'stepDown' ? Math.max(0, parseFloat(repayment.stepPct) || 0) : 0,
+    stepMonths: Math.max(1, parseInt(repayment.stepMonths) || 12),
+    balloonPct: type === 'balloon' ? Math.min(100, Math.max(0, parseFloat(repayment.balloonPct) || 0)) : 0
+  };
+}
+
+/* multiplier on the base EMI for the n-th EMI (1-based) */
+function stepFactor(repayment, n){
+  if(!repayment || !repayment.stepPct) return 1;
+  const g = (repayment.type === 'stepDown' ? -1 : 1) * repayment.stepPct / 100;
+  return Math.pow(1 + g, Math.floor((Math.max(1, n) - 1) / repayment.stepMonths));
+}
+
+/* base EMI so that EMIs number from..to (each times stepFactor) repay `amount`, with `balloon` due alongside EMI `to` */
+function structuredEmi(amount, monthlyRate, from, to, repayment, balloon=0){
+  const months = Math.max(1, to - from + 1);
+  if((!repayment || !repayment.stepPct) && !balloon) return computeEmi(amount, monthlyRate, months);
+  let annuity = 0, discount = 1;
+  for(let n=from; n<from+months; n++){
+    discount /= 1 + monthlyRate;
+    annuity += stepFactor(repayment, n) * discount;
+  }
+  const due = Math.min(balloon, amount);
+  return Math.max(0, amount - due * discount) / annuity;
+}
+
+/* months the current instalments (base EMI times stepFactor from EMI number `from`) take to
+   clear `balance` at `monthlyRate`; `limit` when they never do */
+function impliedTerm(balance, monthlyRate, baseEmi, repayment, from, limit){
+  let months = 0;
+  while(balance > 0.005 && months < limit){
+    balance = balance * (1 + monthlyRate) - baseEmi * stepFactor(repayment, from + months);
+    months++;
+  }
+  return Math.max(1, months);
+}
+
+/* ---------- Recurring prepayment plans ----------
+   A recurring plan starts with the first EMI on or after its date and repeats every
+   FREQUENCY_MONTHS[frequency] months, until endDate and/or for `count` payments.
+   growthPct raises the amount once a year (every 12 months from the first payment).
+   k = months since the first payment; returns the amount due with that EMI (0 if none).
+*/
+const FREQUENCY_MONTHS = { monthly: 1, quarterly: 3, halfYearly: 6, yearly: 12 };
+const FREQUENCY_LABELS = { monthly: 'Monthly', quarterly: 'Quarterly', halfYearly: 'Half-yearly', yearly: 'Yearly' };
+
+function recurringDue(p, k, date){
+  const every = FREQUENCY_MONTHS[p.frequency] || 1;
+  if(k < 0 || k % every) return 0;
+  if(p.count && k / every >= p.count) return 0;
+  if(p.endDate && date > parseYmd(p.endDate)) return 0;
+  return p.amount * Math.pow(1 + (p.growthPct || 0) / 100, Math.floor(k / 12));
+}
+
+/* buildSchedule: returns {rows:[], monthsTaken, baseEmi}
+   prepayments: [{type:'one'|'recurring', amount:number, date:'YYYY-MM-DD', strategy:'reduceEmi'|'reduceTenure',
+                  one-time only: foreclose (pays off whatever is left, whatever the amount),
+                  recurring only: frequency, endDate, count, growthPct (see recurringDue)}]
+   roiChanges sorted ascending by date: [{date, rate}]
+   options: {interestConvention:'30/360'|'ACT/365'|'ACT/360', rateResetDefault:'keepEmi'|'keepTenure',
+             emi: start from this EMI instead of computing it (projection after actual payments),
+             tranches:[{date, amount}], disbursementMode:'preEmi'|'fullEmi',
+             fees: normalizeFees() shape — prepayment penalties and the annual fee land on the rows,
+             monthOffset: loan months already gone before row 1 (lock-in, fee and step timing),
+             repayment: normalizeRepayment() shape plus balloonAmount,
+             holidays: normalizeHolidays() shape — EMI moratorium windows,
+             emiRoundTo: round each instalment up to this (EMI_ROUNDING), 0 = exact}
+   With tranches, `principal` is the sanctioned amount and the balance grows as each tranche
+   is paid out. preEmi: interest-only until the final tranche, then the full EMI over
+   totalMonths. fullEmi: the EMI on the sanctioned amount runs from the first month.
+   Rows where the EMI does not cover the interest are flagged negAm and reported in warnings[].
+   Each row's prepayments lists what was prepaid with that EMI as [{date, amount, strategy}]; a
+   one-time prepayment keeps its own date (which may fall away from the EMI date), recurring ones
+   carry the EMI date.
+   penalty: foreclosurePenaltyPct of a foreclose prepayment and prepayPenaltyPct of any other (even
+   one that happens to clear the balance), only inside the first lockInMonths when that is set;
+   fee: annualFee every 12th month.
+   Both are paid on top of the EMI and do not touch the balance.
+   Stepped EMIs (see repayment structures) capitalise any interest the instalment does not cover.
+   Holiday months (moratorium) repay no principal: interest is either capitalised (nothing paid) or
+   paid as an interest-only instalment. Afterwards 'extendTenure' keeps the EMI and runs until the
+   balance is repaid: interest-only holidays add just the holiday months, but capitalised interest
+   has to be repaid too, so the loan runs longer than that (6 months on 30 lakh at 9% over 20 years
+   adds 39 months, not 6). 'raiseEmi' re-solves the EMI over the original end date.
+*/
+function buildSchedule(principal, initialRate, totalMonths, startDate, prepayments=[], roiChanges=[], options={}){
+  const dayBasis = DAY_BASIS[options.interestConvention] || 0;
+  const fees = options.fees || {};
+  const repayment = options.repayment || LEVEL_REPAYMENT;
+  const balloon = repayment.balloonAmount || 0;
+  const holidays = (options.holidays || []).map(h => ({ ...h, from: monthKey(parseYmd(h.start)), to: monthKey(parseYmd(h.end)) }));
+  const rows = [];
+
+  // recurring plan amount for this EMI; the first payment month is fixed by the plan date, not by this schedule's start
+  const recurringAmount = (p, paymentDate) => {
+    const pDate = parseYmd(p.date);
+    if(paymentDate < pDate) return 0;
+    const dueInMonth = addMonths(new Date(startDate.getTime()), monthKey(pDate) - monthKey(startDate));
+    const first = monthKey(pDate) + (dueInMonth < pDate ? 1 : 0);
+    return recurringDue(p, monthKey(paymentDate) - first, paymentDate);
+  };
+
+  // under-construction: principal is the sanctioned amount, paid out in tranches
+  const tranches = (options.tranches || []).map(t => ({ date: parseYmd(t.date), amount: t.amount, done: false }));
+  let undisbursed = tranches.reduce((s,t)=>s + t.amount, 0);
+  let inPreEmi = tranches.length > 0 && options.disbursementMode === 'preEmi';
+  const preEmiSpan = inPreEmi
+    ? Math.max(0, (tranches[tranches.length-1].date.getFullYear() - startDate.getFullYear())*12
+        + tranches[tranches.length-1].date.getMonth() - startDate.getMonth() + 1)
+    : 0;
+
+  let outstanding = tranches.length ? 0 : principal;
+  let month = 1;
+  // month number of the last scheduled EMI (moves out by the pre-EMI phase)
+  let tenureEnd = totalMonths;
+  const maxIter = totalMonths + 600 + preEmiSpan;
+  // EMI number = month + emiOffset (EMIs are counted from the end of any pre-EMI phase)
+  let emiOffset = options.monthOffset || 0;
+  const baseEmiFor = (amount, monthlyRate, from, to, withBalloon=true) =>
+    structuredEmi(amount, monthlyRate, from + emiOffset, Math.max(from, to) + emiOffset, repayment, withBalloon ? balloon : 0);
+  // currentEmi is the base EMI; the instalment due in a month is currentEmi * stepFactor
+  let baseEmiInitial = baseEmiFor(principal, initialRate/1200, 1, totalMonths);
+  let currentEmi = options.emi || baseEmiInitial;
+  let previousRate = initialRate;
+  let negAmStreak = null;
+  let preEmiMonths = 0, preEmiInterest = 0;
+  const warnings = [];
+
+  while((outstanding > 0.005 || undisbursed > 0.005) && month <= maxIter){
+    const paymentDate = addMonths(new Date(startDate.getTime()), month-1);
+
+    // pick applicable monthly rate
+    const applicableRate = getRateForDate(new Date(paymentDate.getTime()), roiChanges, initialRate);
+    const monthlyRate = applicableRate / 1200;
+
+    // rate reset: keep the EMI (tenure moves) or keep the tenure (EMI moves)
+    let rateReset = null;
+    if(applicableRate !== previousRate){
+      const change = getRoiChangeForDate(paymentDate, roiChanges);
+      rateReset = resolveResetPolicy(change, options.rateResetDefault);
+      if(rateReset === 'keepTenure' && !inPreEmi){
+        // re-solve over the term the current EMI implies, so months cut by prepayments stay cut
+        const left = impliedTerm(outstanding, previousRate / 1200, currentEmi, repayment, month + emiOffset, tenureEnd - month + 1);
+        currentEmi = baseEmiFor(outstanding, monthlyRate, month, month + left - 1);
+      }
+      previousRate = applicableRate;
+    }
+
+    // tranches paid out up to this due date; each accrues interest only from its own date
+    let disbursed = 0, trancheInterest = 0;
+    for(const t of tranches){
+      if(t.done || t.date > paymentDate) continue;
+      t.done = true;
+      disbursed += t.amount;
+      const days = Math.max(0, daysBetween(t.date, paymentDate));
+      trancheInterest += t.amount * applicableRate / 100 * (dayBasis ? days / dayBasis : Math.min(30, days) / 360);
+    }
+    undisbursed -= disbursed;
+    // balance the EMI can repay this month
+    const available = outstanding + disbursed;
+    // instalment due this month; a balloon loan settles whatever is left with the last EMI
+    const emiNow = roundEmiUp(currentEmi * stepFactor(repayment, month + emiOffset), options.emiRoundTo || 0);
+    const holiday = inPreEmi ? null : holidays.find(h => monthKey(paymentDate) >= h.from && monthKey(paymentDate) <= h.to) || null;
+    const balloonMonth = balloon > 0 && !inPreEmi && !holiday && month === tenureEnd;
+
+    let interest, principalPart;
+    let prepayThisMonth = 0;
+    const prepayActions = [];
+    const prepaid = [];
+    let reduceEmiPaid = 0;
+    let foreclosed = 0;
+    const applyPrepay = (p, amount) => {
+      prepayThisMonth += amount;
+      if(p.foreclose) foreclosed += amount;
+      prepayActions.push(p);
+      // one-time prepayments keep the date they were entered with; recurring ones are paid with the EMI
+      prepaid.push({ date: p.type === 'one' ? parseYmd(p.date) : new Date(paymentDate.getTime()), amount, strategy: p.strategy });
+      if(p.strategy === 'reduceEmi') reduceEmiPaid += amount;
+    };
+    // balance after any mid-period prepayments (ACT modes); equals available in 30/360
+    let balance = available;
+
+    if(dayBasis){
+      // daily accrual over (previous due date, this due date]; one-time prepays inside it land on their own date
+      const periodStart = addMonths(new Date(startDate.getTime()), month-2);
+      const midPrepays = prepayments.filter(p => {
+        if(p.type !== 'one' || !p.date) return false;
+        const pDate = parseYmd(p.date);
+        return pDate > periodStart && pDate <= paymentDate;
+      });
+      const accrued = accrueDailyInterest(outstanding, periodStart, paymentDate, roiChanges, initialRate, dayBasis, midPrepays);
+      interest = accrued.interest + trancheInterest;
+      balance = accrued.balance + disbursed;
+      accrued.applied.forEach(a => applyPrepay(a.prepay, a.amount));
+      principalPart = inPreEmi || holiday ? 0 : balloonMonth ? balance : Math.max(0, Math.min(emiNow - interest, balance));
+
+      // recurring prepayments are paid with the EMI
+      let recurringPaid = 0;
+      for(const p of prepayments){
+        if(p.type !== 'recurring' || !p.date) continue;
+        const due = recurringAmount(p, paymentDate);
+        if(!due) continue;
+        const allowed = Math.max(0, balance - principalPart - recurringPaid);
+        const applyAmt = Math.min(due, allowed);
+        if(applyAmt > 0){ recurringPaid += applyAmt; applyPrepay(p, applyAmt); }
+      }
+    } else {
+      // interest & principal part for this month (interest only during pre-EMI)
+      interest = outstanding * monthlyRate + trancheInterest;
+      principalPart = inPreEmi || holiday ? 0 : balloonMonth ? available : Math.max(0, Math.min(emiNow - interest, available));
+
+      // find prepayments for this EMI (one-time: same month+year; recurring: recurringAmount)
+      for(const p of prepayments){
+        if(!p.date) continue;
+        const pDate = parseYmd(p.date);
+        if(p.type === 'one'){
+          if(pDate.getFullYear() === paymentDate.getFullYear() && pDate.getMonth() === paymentDate.getMonth()){
+            const allowed = Math.max(0, available - principalPart);
+            const applyAmt = p.foreclose ? allowed : Math.min(p.amount, allowed);
+            if(applyAmt > 0) applyPrepay(p, applyAmt);
+          }
+        } else if(p.type === 'recurring'){
+          const due = recurringAmount(p, paymentDate);
+          if(due){
+            const allowed = Math.max(0, available - principalPart);
+            const applyAmt = Math.min(due, allowed);
+            if(applyAmt > 0) applyPrepay(p, applyAmt);
+          }
+        }
+      }
+    }
+
+    // detect if any applied prepay asks to reduce EMI
+    const anyReduceEmi = prepayActions.some(a => a.strategy === 'reduceEmi');
+    const anyReduceTenure = prepayActions.some(a => a.strategy !== 'reduceEmi');
+
+    // a stepped EMI may start below the interest; the shortfall is added to the balance (the solved EMI assumes it)
+    const capitalized = holiday ? (holiday.interest === 'capitalize' ? interest : 0)
+      : repayment.stepPct && !inPreEmi && !balloonMonth ? Math.max(0, interest - emiNow) : 0;
+    const paidEmi = principalPart + interest - capitalized;
+    const closing = Math.max(0, available - principalPart - prepayThisMonth) + capitalized;
+
+    // charges paid on top of the EMI
+    const loanMonth = month + (options.monthOffset || 0);
+    const inLockIn = !fees.lockInMonths || loanMonth <= fees.lockInMonths;
+    const penalty = inLockIn && prepayThisMonth > 0
+      ? ((prepayThisMonth - foreclosed) * (fees.prepayPenaltyPct || 0) + foreclosed * (fees.foreclosurePenaltyPct || 0)) / 100 : 0;
+    const fee = fees.annualFee && loanMonth % 12 === 0 ? fees.annualFee : 0;
+
+    // negative / zero amortization: the scheduled EMI no longer covers the interest
+    const negAm = !inPreEmi && !holiday && !balloonMonth && emiNow - interest <= 0.005 && available > 0.005;
+    if(negAm){
+      if(!negAmStreak){
+        negAmStreak = { type: 'negativeAmortization', from: new Date(paymentDate.getTime()), months: 0, shortfall: 0 };
+        warnings.push(negAmStreak);
+      }
+      negAmStreak.months++;
+      negAmStreak.shortfall += interest - emiNow;
+    } else {
+      negAmStreak = null;
+    }
+
+    rows.push({
+      month,
+      date: new Date(paymentDate.getTime()),
+      roi: monthlyRate * 1200,
+      opening: outstanding,
+      emi: paidEmi,
+      interest,
+      principal: principalPart,
+      prepay: prepayThisMonth,
+      prepayments: prepaid,
+      closing,
+      penalty,
+      fee,
+      emiDue: inPreEmi ? interest : holiday ? paidEmi : balloonMonth ? paidEmi : emiNow,
+      balloon: balloonMonth,
+      holiday: holiday ? holiday.interest : null,
+      rateReset,
+      negAm,
+      disbursed,
+      phase: inPreEmi ? 'preEmi' : 'emi'
+    });
+
+    outstanding = closing;
+
+    if(holiday){
+      if(holiday.resume === 'extendTenure') tenureEnd++;
+      else if(monthKey(paymentDate) === holiday.to && outstanding > 0.005){
+        currentEmi = baseEmiFor(outstanding, monthlyRate, month + 1, tenureEnd);
+      }
+    }
+
+    // pre-EMI ends with the final tranche: full EMI on the disbursed balance over the full tenure
+    if(inPreEmi){
+      preEmiMonths++;
+      preEmiInterest += interest;
+      if(undisbursed <= 0.005){
+        inPreEmi = false;
+        tenureEnd = month + totalMonths;
+        emiOffset = -month;
+        currentEmi = baseEmiFor(outstanding, monthlyRate, month + 1, tenureEnd);
+        baseEmiInitial = currentEmi;
+      }
+    }
+
+    // after applying prepayment(s), recompute EMI if reduceEmi requested (to amortize over remaining original months)
+    if(anyReduceEmi && anyReduceTenure && outstanding > 0.005){
+      // split month: only the reduceEmi part lowers the EMI, the rest shortens the tenure
+      currentEmi = Math.max(0, currentEmi - baseEmiFor(reduceEmiPaid, monthlyRate, month + 1, tenureEnd, false));
+    } else if(anyReduceEmi && outstanding > 0.005){
+      currentEmi = baseEmiFor(outstanding, monthlyRate, month + 1, tenureEnd);
+    } else {
+      // keep currentEmi unchanged (reduce tenure)
+      if(outstanding > 0.005 && currentEmi < 0.00001){
+        currentEmi = baseEmiFor(outstanding, monthlyRate, month + 1, tenureEnd);
+      }
+    }
+
+    month++;
+    if(month > 5000) break;
+  }
+
+  if(outstanding > 0.005){
+    warnings.push({ type: 'notClosed', months: rows.length, outstanding });
+  }
+
+  return {
+    rows, monthsTaken: rows.length, baseEmi: roundEmiUp(baseEmiInitial, options.emiRoundTo || 0), warnings, closed: outstanding <= 0.005,
+    preEmiMonths, preEmiInterest
+  };
+}
+
+/* ---------- Per-prepayment marginal savings ----------
+   Approach:
+   - Sort prepayments chronologically.
+   - For i-th prepayment: compute schedule with prepayments[0..i-1] (prevSchedule)
+     then schedule with prepayments[0..i] (newSchedule)
+   - Marginal saving = interest(prev) - interest(new), months saved = months(prev)-months(new)
+   - Both schedules are returned (before / schedule) for follow-up analysis (tax, etc.)
+*/
+function computePerPrepaySavings(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, options={}){
+  const sorted = [...prepayments].sort((a,b)=> parseYmd(a.date) - parseYmd(b.date));
+  const results = [];
+  let applied = [];
+  // baseline for comparison (no prepayments)
+  const baselineAll = buildSchedule(principal, initialRate, totalMonths, startDate, [], roiChanges, options);
+  let prevSchedule = baselineAll;
+  for(let i=0;i<sorted.length;i++){
+    applied.push(sorted[i]);
+    const newSchedule = buildSchedule(principal, initialRate, totalMonths, startDate, applied, roiChanges, options);
+    const prevInterest = sumBy(prevSchedule.rows, 'interest');
+    const newInterest = sumBy(newSchedule.rows, 'interest');
+    const marginalInterestSaved = prevInterest - newInterest;
+    const monthsSaved = prevSchedule.monthsTaken - newSchedule.monthsTaken;
+    results.push({
+      prepay: sorted[i],
+      prepaid: sumBy(newSchedule.rows, 'prepay') - sumBy(prevSchedule.rows, 'prepay'),
+      interestSaved: marginalInterestSaved,
+      monthsSaved,
+      penalty: sumBy(newSchedule.rows, 'penalty') - sumBy(prevSchedule.rows, 'penalty'),
+      before: prevSchedule,
+      schedule: newSchedule
+    });
+    prevSchedule = newSchedule;
+  }
+  return results;
+}
+
+/* ---------- Per-year savings ----------
+   Same marginal idea by calendar year: all prepayments paid up to the end of year Y
+   vs up to the end of Y-1, so each year's payments (from every plan) get their share.
+*/
+function prepaymentsUntil(prepayments, end){
+  const endYmd = ymd(end);
+  return prepayments.filter(p => p.date && p.date <= endYmd)
+    .map(p => p.type === 'recurring' && (!p.endDate || p.endDate > endYmd) ? { ...p, endDate: endYmd } : p);
+}
+
+function computePerYearSavings(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, options={}){
+  const dated = prepayments.filter(p => p.date);
+  if(!dated.length) return [];
+  const full = buildSchedule(principal, initialRate, totalMonths, startDate, dated, roiChanges, options);
+  const years = [...new Set(full.rows.filter(r => r.prepay > 0).map(r => r.date.getFullYear()))].sort((a,b)=>a-b);
+  const results = [];
+  let prevSchedule = buildSchedule(principal, initialRate, totalMonths, startDate, prepaymentsUntil(dated, new Date(years[0] - 1, 11, 31)), roiChanges, options);
+  years.forEach(year => {
+    const schedule = buildSchedule(principal, initialRate, totalMonths, startDate, prepaymentsUntil(dated, new Date(year, 11, 31)), roiChanges, options);
+    results.push({
+      year,
+      prepaid: sumBy(schedule.rows, 'prepay') - sumBy(prevSchedule.rows, 'prepay'),
+      interestSaved: sumBy(prevSchedule.rows, 'interest') - sumBy(schedule.rows, 'interest'),
+      monthsSaved: prevSchedule.monthsTaken - schedule.monthsTaken
+    });
+    prevSchedule = schedule;
+  });
+  return results;
+}
+
+/* ---------- Per-ROI-change impact ----------
+   Same marginal approach as computePerPrepaySavings: schedule with roiChanges[0..i-1]
+   vs roiChanges[0..i] (prepayments included), reporting what each change added in
+   tenure, EMI (due right after the change) and interest.
+*/
+function computePerRoiImpact(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, options={}){
+  const sorted = [...roiChanges].sort((a,b)=> parseYmd(a.date) - parseYmd(b.date));
+  const results = [];
+  let prevSchedule = buildSchedule(principal, initialRate, totalMonths, startDate, prepayments, [], options);
+  const emiAfter = (schedule, date) => {
+    const row = schedule.rows.find(r => r.date >= date);
+    return row ? row.emiDue : 0;
+  };
+  for(let i=0;i<sorted.length;i++){
+    const newSchedule = buildSchedule(principal, initialRate, totalMonths, startDate, prepayments, sorted.slice(0, i+1), options);
+    const changeDate = parseYmd(sorted[i].date);
+    results.push({
+      change: sorted[i],
+      policy: resolveResetPolicy(sorted[i], options.rateResetDefault),
+      monthsAdded: newSchedule.monthsTaken - prevSchedule.monthsTaken,
+      emiAdded: emiAfter(newSchedule, changeDate) - emiAfter(prevSchedule, changeDate),
+      interestAdded: sumBy(newSchedule.rows, 'interest') - sumBy(prevSchedule.rows, 'interest'),
+      closed: newSchedule.closed
+    });
+    prevSchedule = newSchedule;
+  }
+  return results;
+}
+
+/* ---------- Actual payments ledger ----------
+   ledger: [{date, paid, extra, charges, bankInterest?, bankClosing?, note}]
+   Entries are matched to the EMI whose due date falls in the same calendar month
+   (several entries in a month are added up; a month with none is a missed EMI).
+   History rows replay what was really paid: unpaid interest and bounce charges are
+   added to the balance, extra payments reduce it. Where the bank statement gives an
+   interest or closing figure it is compared with ours, and the bank's closing balance
+   is carried forward as the real outstanding. The rest of the loan is then projected
+   from that balance on the contractual EMI. (Tranches are taken as fully paid out.)
+*/
+const monthKey = d => d.getFullYear()*12 + d.getMonth();
+
+function buildLedgerSchedule(loan, options={}, tolerance=1){
+  const { principal, initialRate, totalMonths, startDate, roiChanges, ledger } = loan;
+  const dayBasis = DAY_BASIS[options.interestConvention] || 0;
+  const repayment = options.repayment || LEVEL_REPAYMENT;
+  const contractualEmi = structuredEmi(principal, initialRate/1200, 1, totalMonths, repayment, repayment.balloonAmount || 0);
+  const lastKey = monthKey(parseYmd(ledger[ledger.length-1].date));
+  const rows = [];
+  const mismatches = [];
+  let outstanding = principal;
+  let month = 1;
+
+  while(outstanding > 0.005){
+    const due = addMonths(new Date(startDate.getTime()), month-1);
+    if(monthKey(due) > lastKey) break;
+    const entries = ledger.filter(e => monthKey(parseYmd(e.date)) === monthKey(due));
+    const rate = getRateForDate(due, roiChanges, initialRate);
+    const interest = dayBasis
+      ? accrueDailyInterest(outstanding, addMonths(new Date(startDate.getTime()), month-2), due, roiChanges, initialRate, dayBasis).interest
+      : outstanding * rate / 1200;
+    const paid = sumBy(entries, 'paid');
+    const extra = sumBy(entries, 'extra');
+    const charges = sumBy(entries, 'charges');
+    let closing = Math.max(0, outstanding + interest + charges - paid - extra);
+    const emiDue = contractualEmi * stepFactor(repayment, month);
+
+    const row = {
+      month,
+      date: due,
+      roi: rate,
+      opening: outstanding,
+      emi: paid,
+      interest,
+      principal: paid - interest,
+      prepay: extra,
+      prepayments: entries.filter(e => e.extra > 0).map(e => ({ date: parseYmd(e.date), amount: e.extra })),
+      closing,
+      emiDue,
+      charges,
+      actual: true,
+      status: paid <= 0 ? 'missed' : paid + 0.5 < Math.min(emiDue, outstanding + interest) ? 'partial' : 'paid',
+      mismatches: []
+    };
+
+    const check = (field, bank, computed) => {
+      if(bank === null || bank === undefined || isNaN(bank)) return;
+      const diff = bank - computed;
+      if(Math.abs(diff) > tolerance){
+        const m = { month, date: due, field, bank, computed, diff };
+        row.mismatches.push(m);
+        mismatches.push(m);
+      }
+    };
+    const withInterest = entries.filter(e => e.bankInterest !== null);
+    if(withInterest.length) check('interest', sumBy(withInterest, 'bankInterest'), interest);
+    const withClosing = entries.filter(e => e.bankClosing !== null);
+    if(withClosing.length){
+      const bankClosing = withClosing[withClosing.length-1].bankClosing;
+      check('closing', bankClosing, closing);
+      // the statement is the record of what is really owed
+      closing = bankClosing;
+      row.closing = bankClosing;
+    }
+
+    rows.push(row);
+    outstanding = closing;
+    month++;
+  }
+
+  const historyMonths = rows.length;
+  let projection = { rows: [], warnings: [], closed: true };
+  if(outstanding > 0.005){
+    const nextDue = addMonths(new Date(startDate.getTime()), month-1);
+    const lastDue = addMonths(new Date(startDate.getTime()), month-2);
+    // one-time prepayments already covered by the ledger are not applied again
+    const future = loan.prepayments.filter(p => p.type !== 'one' || parseYmd(p.date) > lastDue);
+    projection = buildSchedule(outstanding, getRateForDate(nextDue, roiChanges, initialRate),
+      Math.max(1, totalMonths - historyMonths), nextDue, future, roiChanges, { ...options, emi: contractualEmi, tranches: [], monthOffset: historyMonths });
+    projection.rows.forEach(r => { r.month += historyMonths; });
+  }
+
+  const allRows = rows.concat(projection.rows);
+  return {
+    rows: allRows,
+    monthsTaken: allRows.length,
+    baseEmi: contractualEmi,
+    warnings: projection.warnings,
+    closed: projection.closed,
+    historyMonths,
+    mismatches
+  };
+}
+
+/* ---------- Bank statement import ---------- */
+
+/* minimal CSV reader (quoted fields, "" escapes); returns {headers, rows:[{header:value}]} */
+function parseCsv(text){
+  const records = [];
+  let field = '', record = [], quoted = false;
+  const src = String(text || '').replace(/^\uFEFF/, '');
+  for(let i=0;i<src.length;i++){
+    const ch = src[i];
+    if(quoted){
+      if(ch === '"' && src[i+1] === '"'){ field += '"'; i++; }
+      else if(ch === '"') quoted = false;
+      else field += ch;
+    } else if(ch === '"') quoted = true;
+    else if(ch === ','){ record.push(field); field = ''; }
+    else if(ch === '\n' || ch === '\r'){
+      if(ch === '\r' && src[i+1] === '\n') i++;
+      record.push(field); field = '';
+      if(record.some(f => f.trim() !== '')) records.push(record);
+      record = [];
+    } else field += ch;
+  }
+  record.push(field);
+  if(record.some(f => f.trim() !== '')) records.push(record);
+  if(records.length === 0) throw new Error('Statement file is empty');
+
+  const headers = records[0].map((h, i) => h.trim() || `Column ${i+1}`);
+  const rows = records.slice(1).map(r => Object.fromEntries(headers.map((h, i) => [h, (r[i] || '').trim()])));
+  return { headers, rows };
+}
+
+const MONTHS = ['jan','feb','mar','apr','may','jun','jul','aug','sep','oct','nov','dec'];
+
+/* statement dates: YYYY-MM-DD, DD/MM/YYYY, DD-MM-YYYY, DD-Mon-YYYY / DD Mon YYYY; returns YYYY-MM-DD or null */
+function parseStatementDate(value){
+  const v = String(value || '').trim();
+  let m = v.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if(m) return `${m[1]}-${pad2(m[2])}-${pad2(m[3])}`;
+  m = v.match(/^(\d{1,2})[\/.-](\d{1,2})[\/.-](\d{2,4})$/);
+  if(m) return `${m[3].length === 2 ? '20' + m[3] : m[3]}-${pad2(m[2])}-${pad2(m[1])}`;
+  m = v.match(/^(\d{1,2})[ -]([A-Za-z]{3})[A-Za-z]*[ ,-]+(\d{2,4})$/);
+  if(m && MONTHS.includes(m[2].toLowerCase())){
+    return `${m[3].length === 2 ? '20' + m[3] : m[3]}-${pad2(MONTHS.indexOf(m[2].toLowerCase())+1)}-${pad2(m[1])}`;
+  }
+  return null;
+}
+
+/* "₹ 1,23,456.00 Cr" -> 123456; empty -> null */
+function parseAmount(value){
+  const v = String(value === undefined || value === null ? '' : value).replace(/[^0-9.\-]/g, '');
+  if(v === '' || v === '-' || v === '.') return null;
+  const n = parseFloat(v);
+  return isNaN(n) ? null : Math.abs(n);
+}
+
+/* mapping: {date, paid, extra, charges, interest, closing} -> CSV header (or '' to skip).
+   Rows without a readable date are skipped; returns {ledger, skipped} */
+function statementToLedger(rows, mapping){
+  if(!mapping.date) throw new Error('Map the date column first');
+  if(!mapping.paid && !mapping.extra && !mapping.closing) throw new Error('Map at least the payment or closing balance column');
+  const col = (row, key) => mapping[key] ? parseAmount(row[mapping[key]]) : null;
+  const ledger = [];
+  let skipped = 0;
+  rows.forEach(row => {
+    const date = parseStatementDate(row[mapping.date]);
+    if(!date){ skipped++; return; }
+    ledger.push({
+      date,
+      paid: col(row, 'paid') || 0,
+      extra: col(row, 'extra') || 0,
+      charges: col(row, 'charges') || 0,
+      bankInterest: col(row, 'interest'),
+      bankClosing: col(row, 'closing'),
+      note: 'statement'
+    });
+  });
+  return { ledger: normalizeLedger(ledger), skipped };
+}
+
+function normalizeLedger(ledger = []){
+  const num = v => v === null || v === undefined || v === '' || isNaN(parseFloat(v)) ? null : parseFloat(v);
+  return ledger.filter(e => e && e.date).map(e => ({
+    date: e.date,
+    paid: num(e.paid) || 0,
+    extra: num(e.extra) || 0,
+    charges: num(e.charges) || 0,
+    bankInterest: num(e.bankInterest),
+    bankClosing: num(e.bankClosing),
+    note: e.note || ''
+  })).sort((a,b)=> parseYmd(a.date) - parseYmd(b.date));
+}
+
+/* ---------- Plain loan object ----------
+   normalizeLoan accepts the shape saveState() writes (string fields, roi/prepay lists)
+   and returns the numeric loan object the rest of the engine works on:
+   { principal, initialRate, totalMonths, startDate:Date, roiChanges:[], prepayments:[], interestConvention,
+     rateResetDefault, rateModel:'manual'|'benchmark', benchmark, ledger:[], reconTolerance,
+     disbursementMode:'preEmi'|'fullEmi', tranches:[], fees, sanctioned, financedInsurance, repayment, holidays:[] }
+   principal is what the schedule runs on: the sanctioned amount plus any insurance
+   premium financed into the loan.
+   Invalid ROI / prepayment rows are dropped the same way the form does.
+*/
+function normalizeLoan(state = {}){
+  const years = parseInt(state.years) || 0;
+  const extraMonths = parseInt(state.months) || 0;
+  const start = state.startDate instanceof Date ? new Date(state.startDate.getTime())
+    : state.startDate ? parseYmd(state.startDate) : new Date();
+
+  const manualRoi = (state.roiChanges || state.roi || []).filter(r => r && r.source !== 'benchmark').map(r=>({
+    date: r.date,
+    rate: parseFloat(r.rate),
+    policy: RESET_POLICIES.includes(r.policy) ? r.policy : 'default',
+    source: 'manual'
+  })).filter(r=>r.date && !isNaN(r.rate));
+
+  // benchmark + spread: generated resets, with manual rows overriding on the same date
+  const rateModel = state.rateModel === 'benchmark' && state.benchmark ? 'benchmark' : 'manual';
+  const benchmark = rateModel === 'benchmark' ? {
+    name: state.benchmark.name || 'Benchmark',
+    spread: parseFloat(state.benchmark.spread) || 0,
+    resetMonths: parseInt(state.benchmark.resetMonths) || 3,
+    history: (state.benchmark.history || []).filter(h => h && h.date && !isNaN(parseFloat(h.rate)))
+      .map(h => ({ date: h.date, rate: parseFloat(h.rate) }))
+  } : null;
+  const totalMonthsIn = state.totalMonths !== undefined ? (parseInt(state.totalMonths) || 0) : years*12 + extraMonths;
+  const generated = benchmark ? generateBenchmarkTimeline(benchmark, start, totalMonthsIn + 600) : [];
+  const sourceOrder = r => r.source === 'manual' ? 0 : 1;
+  const roiChanges = manualRoi.concat(generated)
+    .sort((a,b)=> (parseYmd(a.date) - parseYmd(b.date)) || (sourceOrder(a) - sourceOrder(b)));
+
+  // the first generated reset is the rate the loan starts on
+  let initialRate = parseFloat(state.initialRate) || 0;
+  if(generated.length && generated[0].date === ymd(start)) initialRate = generated[0].rate;
+
+  const prepayments = (state.prepayments || state.prepay || []).map(p=>({
+    type: p.type || 'one',
+    amount: parseFloat(p.amount) || 0,
+    date: p.date,
+    strategy: p.strategy || 'reduceTenure',
+    ...(p.type !== 'recurring' && (p.foreclose === true || p.foreclose === 'true') ? { foreclose: true } : {}),
+    ...(p.type === 'recurring' ? {
+      frequency: FREQUENCY_MONTHS[p.frequency] ? p.frequency : 'monthly',
+      endDate: p.endDate || null,
+      count: parseInt(p.count) || 0,
+      growthPct: parseFloat(p.growthPct) || 0
+    } : {})
+  })).filter(p=>p.date && (p.amount > 0 || p.foreclose)).sort((a,b)=> parseYmd(a.date) - parseYmd(b.date));
+
+  const sanctioned = parseFloat(state.principal) || 0;
+  const fees = normalizeFees(state.fees);
+  const financedInsurance = fees.insuranceMode === 'financed' ? fees.insurance : 0;
+
+  return {
+    principal: sanctioned + financedInsurance,
+    sanctioned,
+    financedInsurance,
+    fees,
+    repayment: normalizeRepayment(state.repayment),
+    holidays: normalizeHolidays(state.holidays),
+    initialRate,
+    totalMonths: totalMonthsIn,
+    startDate: start,
+    roiChanges,
+    prepayments,
+    interestConvention: INTEREST_CONVENTIONS.includes(state.interestConvention) ? state.interestConvention : '30/360',
+    rateResetDefault: state.rateResetDefault === 'keepTenure' ? 'keepTenure' : 'keepEmi',
+    rateModel,
+    benchmark,
+    ledger: normalizeLedger(state.ledger),
+    ...normalizeDisbursement(state.disbursement),
+    emiRoundTo: EMI_ROUNDING.includes(parseFloat(state.emiRoundTo)) ? parseFloat(state.emiRoundTo) : 0,
+    reconTolerance: state.reconTolerance !== undefined && !isNaN(parseFloat(state.reconTolerance)) ? parseFloat(state.reconTolerance) : 1
+  };
+}
+
+/* disbursement: {mode:'preEmi'|'fullEmi', tranches:[{date, amount}]} -> {disbursementMode, tranches} */
+function normalizeDisbursement(disbursement = {}){
+  const tranches = (disbursement.tranches || []).map(t => ({ date: t.date, amount: parseFloat(t.amount) || 0 }))
+    .filter(t => t.date && t.amount > 0).sort((a,b)=> parseYmd(a.date) - parseYmd(b.date));
+  return { disbursementMode: disbursement.mode === 'fullEmi' ? 'fullEmi' : 'preEmi', tranches };
+}
+
+/* fees: {processingPct, upfront, insurance, insuranceMode:'upfront'|'financed',
+          prepayPenaltyPct, foreclosurePenaltyPct, lockInMonths, annualFee}
+   processingPct is on the sanctioned amount; upfront covers legal / valuation / stamp charges.
+   lockInMonths = 0 means the penalties apply for the whole tenure. */
+function normalizeFees(fees = {}){
+  const num = v => Math.max(0, parseFloat(v) || 0);
+  return {
+    processingPct: num(fees.processingPct),
+    upfront: num(fees.upfront),
+    insurance: num(fees.insurance),
+    insuranceMode: fees.insuranceMode === 'financed' ? 'financed' : 'upfront',
+    prepayPenaltyPct: num(fees.prepayPenaltyPct),
+    foreclosurePenaltyPct: num(fees.foreclosurePenaltyPct),
+    lockInMonths: parseInt(fees.lockInMonths) || 0,
+    annualFee: num(fees.annualFee)
+  };
+}
+
+/* holidays: [{start, end, interest:'capitalize'|'interestOnly', resume:'extendTenure'|'raiseEmi'}]
+   start / end are any dates in the first and last holiday month */
+function normalizeHolidays(holidays = []){
+  return holidays.filter(h => h && h.start && h.end && h.start <= h.end).map(h => ({
+    start: h.start,
+    end: h.end,
+    interest: h.interest === 'interestOnly' ? 'interestOnly' : 'capitalize',
+    resume: h.resume === 'raiseEmi' ? 'raiseEmi' : 'extendTenure'
+  })).sort((a,b)=> parseYmd(a.start) - parseYmd(b.start));
+}
+
+/* buildSchedule options carried by a normalized loan */
+function scheduleOptions(loan){
+  // a financed premium is paid out with the first tranche
+  const tranches = loan.financedInsurance && loan.tranches.length
+    ? [{ date: loan.tranches[0].date, amount: loan.financedInsurance }].concat(loan.tranches)
+    : loan.tranches;
+  return {
+    interestConvention: loan.interestConvention,
+    rateResetDefault: loan.rateResetDefault,
+    tranches,
+    disbursementMode: loan.disbursementMode,
+    fees: loan.fees,
+    holidays: loan.holidays,
+    emiRoundTo: loan.emiRoundTo,
+    repayment: { ...loan.repayment, balloonAmount: loan.principal * loan.repayment.balloonPct / 100 }
+  };
+}
+
+/* ---------- Fees & effective cost (XIRR) ----------
+   Cash flows from the borrower's side: the money actually received (the sanctioned
+   amount, on each tranche date or one month before the first EMI) less the upfront
+   charges, then every EMI, prepayment, penalty, annual fee and bank charge. The XIRR
+   of those flows is the effective annual cost, comparable across fee structures.
+*/
+function upfrontCharges(loan){
+  const f = loan.fees || normalizeFees();
+  return (loan.sanctioned || 0) * f.processingPct / 100 + f.upfront + (f.insuranceMode === 'upfront' ? f.insurance : 0);
+}
+
+function loanCashFlows(loan, schedule){
+  const received = loan.tranches.length
+    ? loan.tranches.map(t => ({ date: parseYmd(t.date), amount: t.amount }))
+    : [{ date: addMonths(new Date(loan.startDate.getTime()), -1), amount: loan.sanctioned }];
+  const flows = received.concat({ date: received[0].date, amount: -upfrontCharges(loan) });
+  schedule.rows.forEach(r => {
+    const out = (r.emi || 0) + (r.prepay || 0) + (r.penalty || 0) + (r.fee || 0) + (r.charges || 0);
+    if(out) flows.push({ date: r.date, amount: -out });
+  });
+  return flows.filter(f => f.amount);
+}
+
+/* annualised rate r with sum(amount / (1+r)^(days/365)) = 0, or null when there is none.
+   Borrower flows start with the money received, so the NPV rises with r and bisection is safe. */
+function xirr(flows){
+  if(!flows.some(f => f.amount > 0) || !flows.some(f => f.amount < 0)) return null;
+  const t0 = flows.reduce((m, f) => f.date < m ? f.date : m, flows[0].date);
+  const years = flows.map(f => daysBetween(t0, f.date) / 365);
+  const npv = r => flows.reduce((s, f, i) => s + f.amount / Math.pow(1 + r, years[i]), 0);
+  let lo = -0.99, hi = 10;
+  let fLo = npv(lo), fHi = npv(hi);
+  if(fLo * fHi > 0) return null;
+  for(let i=0; i<200 && hi - lo > 1e-10; i++){
+    const mid = (lo + hi) / 2, fMid = npv(mid);
+    if(fMid * fLo > 0){ lo = mid; fLo = fMid; } else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+/* summary numbers for one schedule; with the loan also its charges, true cost and XIRR */
+function summarizeSchedule(schedule, loan){
+  const rows = schedule.rows;
+  const interest = sumBy(rows, 'interest');
+  const emiPaid = sumBy(rows, 'emi');
+  const prepaid = sumBy(rows, 'prepay');
+  const summary = {
+    disbursed: sumBy(rows, 'disbursed'),
+    emi: schedule.baseEmi || 0,
+    interest,
+    totalPaid: emiPaid + prepaid,
+    prepaid,
+    months: schedule.monthsTaken,
+    closureDate: rows.length ? rows[rows.length-1].date : null
+  };
+  if(loan){
+    const charges = {
+      upfront: upfrontCharges(loan),
+      financedInsurance: loan.financedInsurance || 0,
+      penalties: sumBy(rows, 'penalty'),
+      annualFees: sumBy(rows, 'fee'),
+      bankCharges: sumBy(rows, 'charges')
+    };
+    charges.total = charges.upfront + charges.penalties + charges.annualFees + charges.bankCharges;
+    summary.charges = charges;
+    summary.totalCost = summary.totalPaid + charges.total;
+    summary.xirr = xirr(loanCashFlows(loan, schedule));
+  }
+  return summary;
+}
+
+/* calculateLoan: full calculation for one loan (state or normalized object).
+   Baseline ignores both prepayments and ROI changes, as the summary badges always have. */
+function calculateLoan(input){
+  const loan = normalizeLoan(input);
+  const { principal, initialRate, totalMonths, startDate, prepayments, roiChanges } = loan;
+  const options = scheduleOptions(loan);
+
+  const baseline = buildSchedule(principal, initialRate, totalMonths, startDate, [], [], options);
+  // with a payments ledger the schedule is history + projection from the real balance
+  const withPrepay = loan.ledger.length
+    ? buildLedgerSchedule(loan, options, loan.reconTolerance)
+    : buildSchedule(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, options);
+  const perPrepay = computePerPrepaySavings(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, options);
+  const perYear = computePerYearSavings(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, options);
+  const perRoi = computePerRoiImpact(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, options);
+
+  const base = summarizeSchedule(baseline, loan);
+  const pre = summarizeSchedule(withPrepay, loan);
+
+  // pre-EMI cost: the same plan had full EMIs started from the first month
+  let preEmi = null;
+  if(loan.tranches.length && loan.disbursementMode === 'preEmi'){
+    const fullEmi = buildSchedule(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, { ...options, disbursementMode: 'fullEmi' });
+    preEmi = {
+      months: withPrepay.preEmiMonths || 0,
+      interest: withPrepay.preEmiInterest || 0,
+      extraInterest: pre.interest - sumBy(fullEmi.rows, 'interest')
+    };
+  }
+
+  // moratorium cost: the same plan with the EMIs never paused
+  let moratorium = null;
+  const holidayRows = withPrepay.rows.filter(r => r.holiday);
+  if(holidayRows.length){
+    const noHoliday = summarizeSchedule(buildSchedule(principal, initialRate, totalMonths, startDate, prepayments, roiChanges, { ...options, holidays: [] }));
+    const after = withPrepay.rows.find(r => !r.holiday && r.date > holidayRows[holidayRows.length-1].date);
+    moratorium = {
+      months: holidayRows.length,
+      capitalized: sumBy(holidayRows.filter(r => r.holiday === 'capitalize'), 'interest'),
+      interestOnlyPaid: sumBy(holidayRows.filter(r => r.holiday === 'interestOnly'), 'interest'),
+      emiAfter: after ? after.emiDue : 0,
+      extraInterest: pre.interest - noHoliday.interest,
+      extraMonths: pre.months - noHoliday.months
+    };
+  }
+
+  return {
+    loan, baseline, withPrepay, perPrepay, perYear, perRoi,
+    warnings: withPrepay.warnings,
+    summary: {
+      baseline: base,
+      withPrepay: pre,
+      interestSaved: base.interest - pre.interest,
+      monthsSaved: base.months - pre.months,
+      preEmi,
+      moratorium
+    }
+  };
+}
+
+/* ---------- Yearly rollups ----------
+   period: 'calendar' (Jan–Dec) or 'fy' (Indian financial year, Apr–Mar).
+   Group: {key, label, months, opening, disbursed, emi, interest, principal, prepay, closing, avgRoi, rows}
+   avgRoi is weighted by each month's opening balance (a plain mean when those are all 0).
+*/
+const ROLLUP_PERIODS = ['calendar', 'fy'];
+
+/* FY start year: Apr 2024 – Mar 2025 -> 2024 */
+const financialYear = d => d.getMonth() >= 3 ? d.getFullYear() : d.getFullYear() - 1;
+const fyLabel = fy => `FY ${fy}-${pad2((fy + 1) % 100)}`;
+
+function rollupSchedule(rows, period = 'calendar'){
+  const fy = period === 'fy';
+  const groups = new Map();
+  rows.forEach(r => {
+    const key = fy ? financialYear(r.date) : r.date.getFullYear();
+    if(!groups.has(key)) groups.set(key, { key, label: fy ? fyLabel(key) : String(key), rows: [] });
+    groups.get(key).rows.push(r);
+  });
+  return [...groups.values()].sort((a,b) => a.key - b.key).map(g => {
+    const weight = sumBy(g.rows, 'opening');
+    return {
+      ...g,
+      months: g.rows.length,
+      opening: g.rows[0].opening,
+      disbursed: sumBy(g.rows, 'disbursed'),
+      emi: sumBy(g.rows, 'emi'),
+      interest: sumBy(g.rows, 'interest'),
+      principal: sumBy(g.rows, 'principal'),
+      prepay: sumBy(g.rows, 'prepay'),
+      closing: g.rows[g.rows.length-1].closing,
+      avgRoi: weight > 0
+        ? g.rows.reduce((s, r) => s + (r.roi || 0) * r.opening, 0) / weight
+        : g.rows.reduce((s, r) => s + (r.roi || 0), 0) / g.rows.length
+    };
+  });
+}
+
+/* ---------- Serializers ---------- */
+const CSV_HEADER = ['Month','Date','ROI%','Opening','Disbursed','EMI','Interest','Principal','Prepay','Closing'];
+
+/* options: { decimals: places for amounts (2), currency: code appended to amount headers, e.g. 'EMI (INR)' } */
+const csvHeader = (header, amountColumns, currency) =>
+  header.map(h => currency && amountColumns.includes(h) ? `${h} (${currency})` : h).join(',');
+const CSV_AMOUNTS = ['Opening','Disbursed','EMI','Interest','Principal','Prepay','Closing'];
+
+function scheduleToCsv(rows, options = {}){
+  const dp = options.decimals !== undefined ? options.decimals : 2;
+  const lines = rows.map(r => [
+    r.month,
+    `"${ymd(r.date)}"`,
+    (r.roi||0).toFixed(2),
+    r.opening.toFixed(dp),
+    (r.disbursed||0).toFixed(dp),
+    r.emi.toFixed(dp),
+    r.interest.toFixed(dp),
+    r.principal.toFixed(dp),
+    r.prepay.toFixed(dp),
+    r.closing.toFixed(dp)
+  ].join(','));
+  return [csvHeader(CSV_HEADER, CSV_AMOUNTS, options.currency)].concat(lines).join('\n');
+}
+
+const ROLLUP_CSV_HEADER = ['Year','Months','Opening','Disbursed','EMI','Interest','Principal','Prepay','Closing','Avg ROI%'];
+
+function rollupToCsv(groups, options = {}){
+  const dp = options.decimals !== undefined ? options.decimals : 2;
+  const lines = groups.map(g => [
+    `"${g.label}"`,
+    g.months,
+    g.opening.toFixed(dp),
+    g.disbursed.toFixed(dp),
+    g.emi.toFixed(dp),
+    g.interest.toFixed(dp),
+    g.principal.toFixed(dp),
+    g.prepay.toFixed(dp),
+    g.closing.toFixed(dp),
+    g.avgRoi.toFixed(2)
+  ].join(','));
+  return [csvHeader(ROLLUP_CSV_HEADER, CSV_AMOUNTS, options.currency)].concat(lines).join('\n');
+}
+
+/* rows with dates as YYYY-MM-DD, ready for JSON.stringify */
+function scheduleToJson(rows){
+  return rows.map(r => ({ ...r, date: ymd(r.date), prepayments: (r.prepayments || []).map(p => ({ ...p, date: ymd(p.date) })) }));
+}
+
+return {
+  ymd, parseYmd, sumBy,
+  addMonths, computeEmi, getRoiChangeForDate, getRateForDate,
+  RESET_POLICIES, resolveResetPolicy,
+  REPAYMENT_TYPES, normalizeRepayment, EMI_ROUNDING, roundEmiUp, stepFactor, structuredEmi,
+  RESET_PERIODS, getBenchmarkPoint, generateBenchmarkTimeline, parseBenchmarkHistory,
+  INTEREST_CONVENTIONS, daysBetween, accrueDailyInterest,
+  FREQUENCY_MONTHS, FREQUENCY_LABELS, recurringDue,
+  ROLLUP_PERIODS, financialYear, fyLabel, rollupSchedule, rollupToCsv,
+  buildSchedule, computePerPrepaySavings, computePerYearSavings, computePerRoiImpact,
+  buildLedgerSchedule, normalizeLedger, parseCsv, parseStatementDate, parseAmount, statementToLedger,
+  normalizeLoan, normalizeDisbursement, normalizeFees, normalizeHolidays, scheduleOptions,
+  upfrontCharges, loanCashFlows, xirr, summarizeSchedule, calculateLoan,
+  CSV_HEADER, ROLLUP_CSV_HEADER, scheduleToCsv, scheduleToJson
+};
+});
@@ -0,0 +1,344 @@
+/* ================= LOAN FILE SCHEMA, MIGRATION & IMPORT (NO DOM) =================
+   Loan files (Export JSON backups and the page's own storage) are versioned:
+
+   v3 (current):
+     { schema: 'homeloan-loans', version: 3, exportedAt: ISO string,
+       loans: [{ id, name, state: {...saveState() object}, result: {...} | null,
+                 snapshots: [{ id, name, createdAt, state }] (optional, oldest first) }] }
+
+   Older shapes are migrated step by step on load:
+     v1: a single bare state object (the old homeloanApp_state_v1 value)
+     v2: the multiLoan_profiles_v2 array, [{ name, state: JSON string, result }]
+
+   validateDocument() checks every loan field by field and returns readable messages.
+   Errors block an import; warnings (rows the engine would ignore anyway) do not.
+   mergeLoans() adds or updates loans matched by id, then by name, instead of replacing all.
+   Snapshots are named revisions of one loan; diffStates/compareResults diff any two.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.LoanStore = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { INTEREST_CONVENTIONS, RESET_POLICIES, REPAYMENT_TYPES, FREQUENCY_MONTHS, EMI_ROUNDING } = LoanEngine;
+
+const SCHEMA = 'homeloan-loans';
+const SCHEMA_VERSION = 3;
+
+const newId = () => 'loan-' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8);
+
+/* 1 = bare state, 2 = profiles array, 3+ = versioned document, 0 = not a loan file */
+function detectVersion(data){
+  if(Array.isArray(data)) return 2;
+  if(!data || typeof data !== 'object') return 0;
+  if(data.schema === SCHEMA) return parseInt(data.version) || 0;
+  if('principal' in data || 'startDate' in data) return 1;
+  return 0;
+}
+
+/* MIGRATIONS[v] turns a v document into a v+1 document */
+const MIGRATIONS = {
+  1: state => [{ name: 'Loan 1', state: JSON.stringify(state), result: null }],
+  2: profiles => ({
+    schema: SCHEMA,
+    version: 3,
+    loans: profiles.map((p, i) => {
+      let state = p && p.state;
+      if(typeof state === 'string'){
+        try { state = JSON.parse(state); }
+        catch(e){ throw new Error(`Loan ${i+1} ("${p.name || 'unnamed'}"): saved state is not valid JSON`); }
+      }
+      return { id: (p && p.id) || newId(), name: p && p.name, state: state || null, result: (p && p.result) || null };
+    })
+  })
+};
+
+/* any supported shape -> current document; throws on unknown or newer files */
+function migrate(data){
+  let version = detectVersion(data);
+  if(!version) throw new Error('Not a loan file: expected a loan backup or a saved loan');
+  if(version > SCHEMA_VERSION) throw new Error(`This file is schema v${version}; this version of the app reads up to v${SCHEMA_VERSION}`);
+  let doc = data;
+  while(version < SCHEMA_VERSION){
+    doc = MIGRATIONS[version](doc);
+    version++;
+  }
+  return doc;
+}
+
+/* ---------- Validation ---------- */
+const isBlank = v => v === undefined || v === null || v === '';
+const isNumber = v => !isBlank(v) && !isNaN(parseFloat(v)) && isFinite(v);
+const isDate = v => typeof v === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(v) &&
+  LoanEngine.ymd(LoanEngine.parseYmd(v)) === v;
+
+function validateState(state){
+  const errors = [], warnings = [];
+  if(!state || typeof state !== 'object' || Array.isArray(state)) return { errors: ['state is missing'], warnings };
+  const number = (path, v, { required = false, min = null, max = null, integer = false } = {}) => {
+    if(isBlank(v)){ if(required) errors.push(`${path} is required`); return; }
+    if(!isNumber(v)) return errors.push(`${path} must be a number (got "${v}")`);
+    const n = parseFloat(v);
+    if(integer && !Number.isInteger(n)) errors.push(`${path} must be a whole number (got ${v})`);
+    else if(min !== null && n < min) errors.push(`${path} must be at least ${min} (got ${v})`);
+    else if(max !== null && n > max) errors.push(`${path} must be at most ${max} (got ${v})`);
+  };
+  const date = (path, v, required = false) => {
+    if(isBlank(v)){ if(required) errors.push(`${path} is required`); return; }
+    if(!isDate(v)) errors.push(`${path} must be a date as YYYY-MM-DD (got "${v}")`);
+  };
+  const oneOf = (path, v, allowed) => {
+    if(!isBlank(v) && !allowed.includes(v)) errors.push(`${path} must be one of ${allowed.join(', ')} (got "${v}")`);
+  };
+  const list = (path, v, check) => {
+    if(isBlank(v)) return;
+    if(!Array.isArray(v)) return errors.push(`${path} must be a list`);
+    v.forEach((row, i) => {
+      if(!row || typeof row !== 'object') return errors.push(`${path} ${i+1} is not an entry`);
+      check(row, `${path} ${i+1}`);
+    });
+  };
+
+  number('principal', state.principal, { required: true, min: 1 });
+  number('years', state.years, { min: 0, integer: true });
+  number('months', state.months, { min: 0, max: 11, integer: true });
+  if(!errors.some(e => /^(years|months)/.test(e)) && (parseInt(state.years) || 0) * 12 + (parseInt(state.months) || 0) <= 0){
+    errors.push('tenure (years + months) must be more than 0');
+  }
+  date('startDate', state.startDate, true);
+  number('initialRate', state.initialRate, { required: true, min: 0, max: 100 });
+  oneOf('interestConvention', state.interestConvention, INTEREST_CONVENTIONS);
+  oneOf('rateResetDefault', state.rateResetDefault, RESET_POLICIES.filter(p => p !== 'default'));
+  oneOf('rateModel', state.rateModel, ['manual', 'benchmark']);
+  oneOf('emiRoundTo', isBlank(state.emiRoundTo) ? state.emiRoundTo : String(state.emiRoundTo), EMI_ROUNDING.map(String));
+  number('reconTolerance', state.reconTolerance, { min: 0 });
+
+  if(state.repayment){
+    oneOf('repayment type', state.repayment.type, REPAYMENT_TYPES);
+    number('repayment step %', state.repayment.stepPct, { min: 0, max: 100 });
+    number('repayment step months', state.repayment.stepMonths, { min: 1, integer: true });
+    number('balloon %', state.repayment.balloonPct, { min: 0, max: 100 });
+  }
+  if(state.benchmark){
+    number('benchmark spread', state.benchmark.spread);
+    number('benchmark reset months', state.benchmark.resetMonths, { min: 1, integer: true });
+    list('benchmark point', state.benchmark.history, (r, p) => { date(`${p} date`, r.date, true); number(`${p} rate`, r.rate, { required: true }); });
+  }
+
+  list('ROI change', state.roi, (r, p) => {
+    if(isBlank(r.date)) return warnings.push(`${p} has no date and will be ignored`);
+    date(`${p} date`, r.date);
+    number(`${p} rate`, r.rate, { required: true, min: 0, max: 100 });
+    oneOf(`${p} policy`, r.policy, RESET_POLICIES);
+  });
+  list('Prepayment', state.prepay || state.prepayments, (r, p) => {
+    if(isBlank(r.date)) return warnings.push(`${p} has no date and will be ignored`);
+    date(`${p} date`, r.date);
+    oneOf(`${p} type`, r.type, ['one', 'recurring']);
+    // a foreclosure pays off whatever is left, so it needs no amount
+    number(`${p} amount`, r.amount, { required: !(r.foreclose === true || r.foreclose === 'true'), min: 0 });
+    oneOf(`${p} strategy`, r.strategy, ['reduceTenure', 'reduceEmi']);
+    oneOf(`${p} frequency`, r.frequency, Object.keys(FREQUENCY_MONTHS));
+    date(`${p} end date`, r.endDate);
+    number(`${p} count`, r.count, { min: 0, integer: true });
+    number(`${p} growth %`, r.growthPct);
+  });
+  list('Ledger entry', state.ledger, (r, p) => {
+    if(isBlank(r.date)) return warnings.push(`${p} has no date and will be ignored`);
+    date(`${p} date`, r.date);
+    ['paid', 'extra', 'charges', 'bankInterest', 'bankClosing'].forEach(k => number(`${p} ${k}`, r[k], { min: 0 }));
+  });
+  list('Holiday', state.holidays, (r, p) => {
+    if(isBlank(r.start) && isBlank(r.end)) return warnings.push(`${p} has no dates and will be ignored`);
+    date(`${p} start`, r.start, true);
+    date(`${p} end`, r.end, true);
+    if(isDate(r.start) && isDate(r.end) && r.end < r.start) errors.push(`${p} ends before it starts`);
+    oneOf(`${p} interest`, r.interest, ['capitalize', 'interestOnly']);
+    oneOf(`${p} resume`, r.resume, ['extendTenure', 'raiseEmi']);
+  });
+  if(state.disbursement){
+    oneOf('disbursement mode', state.disbursement.mode, ['preEmi', 'fullEmi']);
+    list('Tranche', state.disbursement.tranches, (r, p) => {
+      if(isBlank(r.date)) return warnings.push(`${p} has no date and will be ignored`);
+      date(`${p} date`, r.date);
+      number(`${p} amount`, r.amount, { required: true, min: 0 });
+    });
+  }
+  if(state.fees){
+    const f = state.fees;
+    number('processing fee %', f.processingPct, { min: 0, max: 100 });
+    number('upfront fee', f.upfront, { min: 0 });
+    number('insurance premium', f.insurance, { min: 0 });
+    oneOf('insurance mode', f.insuranceMode, ['upfront', 'financed']);
+    number('prepayment penalty %', f.prepayPenaltyPct, { min: 0, max: 100 });
+    number('foreclosure penalty %', f.foreclosurePenaltyPct, { min: 0, max: 100 });
+    number('lock-in months', f.lockInMonths, { min: 0, integer: true });
+    number('annual fee', f.annualFee, { min: 0 });
+  }
+  if(state.tax){
+    oneOf('tax property type', state.tax.propertyType, ['selfOccupied', 'letOut']);
+    list('Borrower', state.tax.borrowers, (r, p) => {
+      number(`${p} share %`, r.share, { min: 0, max: 100 });
+      oneOf(`${p} regime`, r.regime, ['old', 'new']);
+      number(`${p} slab %`, r.slab, { min: 0, max: 100 });
+      number(`${p} other 80C`, r.other80C, { min: 0 });
+    });
+  }
+  if(state.eligibility){
+    const e = state.eligibility;
+    list('Applicant', e.applicants, (r, p) => {
+      number(`${p} income`, r.income, { min: 0 });
+      number(`${p} existing EMIs`, r.existingEmi, { min: 0 });
+      number(`${p} age`, r.age, { min: 0, max: 120, integer: true });
+    });
+    number('property value', e.propertyValue, { min: 0 });
+    number('down payment', e.downPayment, { min: 0 });
+    number('FOIR %', e.foirPct, { min: 0, max: 100 });
+    number('LTV %', e.ltvPct, { min: 0, max: 100 });
+    number('comfortable EMI %', e.comfortPct, { min: 0, max: 100 });
+    number('retirement age', e.retirementAge, { min: 0, max: 120 });
+    number('max tenure years', e.maxTenureYears, { min: 0 });
+    number('eligibility rate', e.rate, { min: 0, max: 100 });
+  }
+  return { errors, warnings };
+}
+
+/* document -> {errors, warnings}, each message prefixed with the loan it belongs to */
+function validateDocument(doc){
+  const errors = [], warnings = [];
+  if(!doc || !Array.isArray(doc.loans)) return { errors: ['File has no list of loans'], warnings };
+  if(!doc.loans.length) errors.push('File contains no loans');
+  const ids = new Set();
+  doc.loans.forEach((loan, i) => {
+    const label = `Loan ${i+1}${loan && loan.name ? ` ("${loan.name}")` : ''}`;
+    if(!loan || typeof loan !== 'object') return errors.push(`${label}: not a loan entry`);
+    if(isBlank(loan.name) || typeof loan.name !== 'string') errors.push(`${label}: name is required`);
+    if(loan.id){
+      if(ids.has(loan.id)) errors.push(`${label}: id "${loan.id}" is used twice`);
+      ids.add(loan.id);
+    }
+    const r = validateState(loan.state);
+    r.errors.forEach(e => errors.push(`${label}: ${e}`));
+    r.warnings.forEach(w => warnings.push(`${label}: ${w}`));
+    if(isBlank(loan.snapshots)) return;
+    if(!Array.isArray(loan.snapshots)) return errors.push(`${label}: snapshots must be a list`);
+    loan.snapshots.forEach((snap, j) => {
+      const snapLabel = `${label} snapshot ${j+1}${snap && snap.name ? ` ("${snap.name}")` : ''}`;
+      validateState(snap && snap.state).errors.forEach(e => errors.push(`${snapLabel}: ${e}`));
+    });
+  });
+  return { errors, warnings };
+}
+
+/* file text -> {doc, fromVersion, errors, warnings}; doc is null when the file cannot be read at all */
+function parseLoanFile(text){
+  let data;
+  try { data = JSON.parse(text); }
+  catch(e){ return { doc: null, fromVersion: 0, errors: [`Not valid JSON: ${e.message}`], warnings: [] }; }
+  const fromVersion = detectVersion(data);
+  let doc;
+  try { doc = migrate(data); }
+  catch(e){ return { doc: null, fromVersion, errors: [e.message], warnings: [] }; }
+  return { doc, fromVersion, ...validateDocument(doc) };
+}
+
+const sameName = (a, b) => String(a || '').trim().toLowerCase() === String(b || '').trim().toLowerCase();
+
+/* merge incoming loans into existing ones: match by id, then by name; matched loans are updated
+   (keeping their id), the rest are added. Returns {loans, added:[names], updated:[names]} */
+function mergeLoans(existing, incoming){
+  const loans = existing.map(l => ({ ...l }));
+  const added = [], updated = [];
+  incoming.forEach(inc => {
+    let idx = inc.id ? loans.findIndex(l => l.id === inc.id) : -1;
+    if(idx < 0) idx = loans.findIndex(l => sameName(l.name, inc.name));
+    if(idx >= 0){
+      const old = loans[idx];
+      // snapshots are history: keep ours and add the file's ones we do not have yet
+      const snapshots = (old.snapshots || []).concat((inc.snapshots || []).filter(s => !(old.snapshots || []).some(o => o.id === s.id)));
+      loans[idx] = { ...old, name: inc.name, state: inc.state, result: inc.result || null, snapshots };
+      updated.push(inc.name);
+    } else {
+      loans.push({ id: inc.id && !loans.some(l => l.id === inc.id) ? inc.id : newId(), name: inc.name, state: inc.state, result: inc.result || null, snapshots: inc.snapshots || [] });
+      added.push(inc.name);
+    }
+  });
+  return { loans, added, updated };
+}
+
+/* loans -> current document (what Export JSON writes and storage keeps) */
+function toDocument(loans){
+  return {
+    schema: SCHEMA,
+    version: SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    loans: loans.map(l => ({ id: l.id || newId(), name: l.name, state: l.state, result: l.result || null, snapshots: l.snapshots || [] }))
+  };
+}
+
+/* ---------- Snapshots ---------- */
+function takeSnapshot(name, state){
+  return { id: 'snap-' + newId().slice(5), name, createdAt: new Date().toISOString(), state: JSON.parse(JSON.stringify(state)) };
+}
+
+// list names as they read in validation messages
+const LIST_LABELS = { roi: 'ROI change', prepay: 'Prepayment', ledger: 'Ledger entry', holidays: 'Holiday', tranches: 'Tranche', borrowers: 'Borrower' };
+
+/* state -> {label: value} with one entry per input; benchmark history is summarised */
+function flattenState(state, prefix = '', out = {}){
+  Object.keys(state || {}).forEach(key => {
+    const v = state[key];
+    const label = prefix ? `${prefix} ${key}` : key;
+    if(key === 'history' && Array.isArray(v)){
+      out[label] = v.length ? `${v.length} points, ${v[0].date} to ${v[v.length-1].date}` : '';
+    } else if(Array.isArray(v)){
+      v.forEach((row, i) => flattenState(row, `${LIST_LABELS[key] || label} ${i+1}`, out));
+    } else if(v && typeof v === 'object'){
+      flattenState(v, label, out);
+    } else {
+      out[label] = isBlank(v) ? '' : String(v);
+    }
+  });
+  return out;
+}
+
+/* inputs that differ between two states: [{field, from, to}] ('' = not set) */
+function diffStates(a, b){
+  const fa = flattenState(a), fb = flattenState(b);
+  const fields = [...new Set(Object.keys(fa).concat(Object.keys(fb)))];
+  return fields.filter(f => (fa[f] || '') !== (fb[f] || ''))
+    .map(f => ({ field: f, from: fa[f] || '', to: fb[f] || '' }));
+}
+
+/* headline results of a state, from the current engine */
+function stateResults(state){
+  const r = LoanEngine.calculateLoan(state);
+  const s = r.summary.withPrepay;
+  return {
+    emi: s.emi,
+    interest: s.interest,
+    months: s.months,
+    closureDate: s.closureDate,
+    totalCost: s.totalCost,
+    xirr: s.xirr
+  };
+}
+
+/* results side by side with b - a for the numeric ones */
+function compareResults(a, b){
+  const ra = stateResults(a), rb = stateResults(b);
+  return Object.keys(ra).map(key => ({
+    key,
+    a: ra[key],
+    b: rb[key],
+    diff: typeof ra[key] === 'number' && typeof rb[key] === 'number' ? rb[key] - ra[key] : null
+  }));
+}
+
+return {
+  SCHEMA, SCHEMA_VERSION, MIGRATIONS, newId, detectVersion, migrate,
+  validateState, validateDocument, parseLoanFile, mergeLoans, toDocument,
+  takeSnapshot, flattenState, diffStates, stateResults, compareResults
+};
+});
@@ -0,0 +1,159 @@
+/* ================= CURRENCY, LOCALE & NUMBER FORMATS (NO DOM) =================
+   Every amount and date the page shows or exports goes through one formatter, built
+   from the user's display settings:
+
+     { currency: 'INR', locale: '' (browser default) | 'en-IN' | ...,
+       grouping: 'indian' (12,34,567) | 'international' (1,234,567) | 'locale',
+       decimals: 'auto' (up to 2) | '2' | '0', compact: false, words: true }
+
+   grouping 'locale' leaves digit grouping to the locale; the other two keep the
+   locale's separators and digits but place the groups themselves. Compact amounts use
+   the same system: K / L / Cr for Indian grouping, K / M / B otherwise. Amounts in
+   words are English and whole units only.
+
+   These settings change display only; schedules are calculated the same way whatever
+   is chosen here (EMI rounding is a loan input, see LoanEngine.normalizeLoan).
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory();
+  else root.MoneyFormat = factory();
+})(typeof self !== 'undefined' ? self : this, function(){
+'use strict';
+
+/* code -> [label, unit name in words (plural)] */
+const CURRENCIES = {
+  INR: ['Indian rupee', 'rupees'],
+  USD: ['US dollar', 'dollars'],
+  EUR: ['Euro', 'euros'],
+  GBP: ['British pound', 'pounds'],
+  AED: ['UAE dirham', 'dirhams'],
+  SGD: ['Singapore dollar', 'dollars'],
+  AUD: ['Australian dollar', 'dollars'],
+  CAD: ['Canadian dollar', 'dollars'],
+  JPY: ['Japanese yen', 'yen']
+};
+const GROUPINGS = ['indian', 'international', 'locale'];
+const DECIMALS = ['auto', '2', '0'];
+const DEFAULT_SETTINGS = { currency: 'INR', locale: '', grouping: 'indian', decimals: 'auto', compact: false, words: true };
+const WORDS_FROM = 100000;   // amounts in words are offered from 1 lakh / 100 thousand up
+
+function validLocale(locale){
+  if(!locale) return '';
+  try { return Intl.NumberFormat.supportedLocalesOf([locale]).length ? locale : ''; }
+  catch(e){ return ''; }
+}
+
+function normalizeSettings(settings = {}){
+  const s = settings || {};
+  return {
+    currency: CURRENCIES[s.currency] ? s.currency : DEFAULT_SETTINGS.currency,
+    locale: validLocale(s.locale),
+    grouping: GROUPINGS.includes(s.grouping) ? s.grouping : DEFAULT_SETTINGS.grouping,
+    decimals: DECIMALS.includes(String(s.decimals)) ? String(s.decimals) : DEFAULT_SETTINGS.decimals,
+    compact: !!s.compact,
+    words: s.words === undefined ? DEFAULT_SETTINGS.words : !!s.words
+  };
+}
+
+/* '1234567' -> '12,34,567' (indian) or '1,234,567'; works on any digit characters */
+function groupDigits(digits, grouping, separator){
+  const chars = [...digits];
+  const out = [];
+  let size = 3;
+  while(chars.length > size){
+    out.unshift(chars.splice(chars.length - size).join(''));
+    if(grouping === 'indian') size = 2;
+  }
+  out.unshift(chars.join(''));
+  return out.join(separator);
+}
+
+/* English words for a whole number, Indian (lakh, crore) or international scales */
+const ONES = ['zero', 'one', 'two', 'three', 'four', 'five', 'six', 'seven', 'eight', 'nine', 'ten', 'eleven',
+  'twelve', 'thirteen', 'fourteen', 'fifteen', 'sixteen', 'seventeen', 'eighteen', 'nineteen'];
+const TENS = ['', '', 'twenty', 'thirty', 'forty', 'fifty', 'sixty', 'seventy', 'eighty', 'ninety'];
+const SCALES = {
+  indian: [[1e7, 'crore'], [1e5, 'lakh'], [1e3, 'thousand'], [100, 'hundred']],
+  international: [[1e12, 'trillion'], [1e9, 'billion'], [1e6, 'million'], [1e3, 'thousand'], [100, 'hundred']]
+};
+
+function numberToWords(n, system = 'indian'){
+  n = Math.floor(Math.abs(n));
+  if(n < 20) return ONES[n];
+  if(n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? '-' + ONES[n % 10] : '');
+  const [size, name] = SCALES[system].find(([s]) => n >= s);
+  const rest = n % size;
+  return `${numberToWords(Math.floor(n / size), system)} ${name}${rest ? ' ' + numberToWords(rest, system) : ''}`;
+}
+
+function createFormatter(settings){
+  const s = normalizeSettings(settings);
+  const locale = s.locale || undefined;
+  const system = s.grouping === 'indian' || (s.grouping === 'locale' && /-IN\b/.test(new Intl.NumberFormat(locale).resolvedOptions().locale))
+    ? 'indian' : 'international';
+  const currencyDigits = new Intl.NumberFormat(locale, { style: 'currency', currency: s.currency }).resolvedOptions().maximumFractionDigits;
+  const fraction = s.decimals === '0' ? [0, 0] : s.decimals === '2' ? [2, 2] : [0, 2];
+  const groupSeparator = (new Intl.NumberFormat(locale).formatToParts(1234567).find(p => p.type === 'group') || { value: ',' }).value;
+
+  const cache = {};
+  const numberFormat = (currency, min, max) => {
+    const key = `${currency}|${min}|${max}`;
+    return cache[key] || (cache[key] = new Intl.NumberFormat(locale, {
+      ...(currency ? { style: 'currency', currency: s.currency, currencyDisplay: 'narrowSymbol' } : {}),
+      minimumFractionDigits: min, maximumFractionDigits: max, useGrouping: s.grouping === 'locale'
+    }));
+  };
+  // unit: text placed right after the number (compact suffix, whose decimals are not the currency's)
+  const render = (v, currency, [min, max], unit = '') => {
+    const value = Number(v) || 0;
+    const cap = currency && !unit ? currencyDigits : max;
+    const nf = numberFormat(currency, Math.min(min, cap), Math.min(max, cap));
+    const parts = nf.formatToParts(value);
+    const lastNumber = parts.map(p => p.type).reduce((at, t, i) => ['integer', 'group', 'decimal', 'fraction'].includes(t) ? i : at, -1);
+    return parts.map((p, i) => (p.type === 'integer' && s.grouping !== 'locale' ? groupDigits(p.value, system, groupSeparator) : p.value)
+      + (i === lastNumber ? unit : '')).join('');
+  };
+
+  const COMPACT = system === 'indian' ? [[1e7, 'Cr'], [1e5, 'L'], [1e3, 'K']] : [[1e9, 'B'], [1e6, 'M'], [1e3, 'K']];
+  const compactDigits = scaled => Math.abs(scaled) < 10 ? 2 : Math.abs(scaled) < 100 ? 1 : 0;
+  const roundAbs = (x, digits) => Math.round(Math.abs(x) * Math.pow(10, digits)) / Math.pow(10, digits);
+  const compact = (v, currency = true) => {
+    const value = Number(v) || 0;
+    // the unit follows the amount as it reads once rounded: 99,999.9 is 1 L, not 100 K
+    let at = COMPACT.findIndex(([size]) => Math.abs(value) >= size);
+    if(at === -1 && roundAbs(value, 0) >= COMPACT[COMPACT.length-1][0]) at = COMPACT.length - 1;
+    if(at === -1) return render(value, currency, [0, 0]);
+    const size = COMPACT[at][0];
+    if(at > 0 && roundAbs(value / size, compactDigits(value / size)) * size >= COMPACT[at-1][0]) at--;
+    const scaled = value / COMPACT[at][0];
+    return render(scaled, currency, [0, compactDigits(scaled)], ' ' + COMPACT[at][1]);
+  };
+
+  const units = CURRENCIES[s.currency][1];
+  const dateFormat = new Intl.DateTimeFormat(locale, { day: '2-digit', month: 'short', year: 'numeric' });
+  const monthFormat = new Intl.DateTimeFormat(locale, { month: 'short', year: 'numeric' });
+
+  return {
+    settings: s,
+    system,
+    /* plain figure for tables and lists: 12,34,567.5 */
+    number: v => render(v, false, fraction),
+    /* with the currency symbol: ₹12,34,567.5, or ₹12.35 L when compact amounts are on */
+    money: v => s.compact ? compact(v) : render(v, true, fraction),
+    compact,
+    /* most decimals shown; CSV cells are written with this many */
+    decimals: fraction[1],
+    /* 'Twenty-five lakh rupees' for amounts from WORDS_FROM up; '' when off or smaller */
+    words: v => {
+      const n = Math.round(Math.abs(Number(v) || 0));
+      if(!s.words || n < WORDS_FROM) return '';
+      const text = `${numberToWords(n, system)} ${units}`;
+      return text.charAt(0).toUpperCase() + text.slice(1);
+    },
+    date: d => dateFormat.format(new Date(d)),
+    monthYear: d => monthFormat.format(new Date(d))
+  };
+}
+
+return { CURRENCIES, GROUPINGS, DECIMALS, DEFAULT_SETTINGS, WORDS_FROM, normalizeSettings, groupDigits, numberToWords, createFormatter };
+});
@@ -0,0 +1,112 @@
+/* ================= PREPAYMENT OPTIMIZER (NO DOM) =================
+   Goal-seek on top of LoanEngine.buildSchedule (so ROI changes, conventions and
+   tranches all apply). Existing prepayments stay in place; the solver adds a plan.
+
+   goal: { type:'closeBy', date:'YYYY-MM-DD' }      close the loan on or before date
+         { type:'maxInterest', amount }             keep total interest under amount
+         { type:'budget', amount }                  best use of `amount` per year
+   Plan shapes: one-time lump on the plan date, or monthly recurring from it.
+   Each shape is tried with several reduceTenure / reduceEmi splits.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.PrepayOptimizer = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { buildSchedule, scheduleOptions, addMonths, parseYmd, ymd, sumBy } = LoanEngine;
+
+const SPLITS = [0, 0.25, 0.5, 0.75, 1];   // share of each prepayment marked reduceEmi
+const SHAPES = ['one', 'recurring'];
+
+/* prepayment entries for one plan; amount is per payment (per month for recurring) */
+function planEntries(shape, amount, date, split){
+  const entries = [];
+  const tenurePart = Math.round(amount * (1 - split) * 100) / 100;
+  const emiPart = Math.round(amount * split * 100) / 100;
+  if(tenurePart > 0) entries.push({ type: shape, amount: tenurePart, date, strategy: 'reduceTenure' });
+  if(emiPart > 0) entries.push({ type: shape, amount: emiPart, date, strategy: 'reduceEmi' });
+  return entries;
+}
+
+/* budget plans pay the yearly amount as a lump on each anniversary of the plan date */
+function yearlyEntries(amount, date, split){
+  return planEntries('recurring', amount, date, split).map(e => ({ ...e, frequency: 'yearly' }));
+}
+
+function evaluate(loan, extra){
+  const schedule = buildSchedule(loan.principal, loan.initialRate, loan.totalMonths, loan.startDate,
+    loan.prepayments.concat(extra), loan.roiChanges, scheduleOptions(loan));
+  const rows = schedule.rows;
+  const firstPlanDate = extra.length ? parseYmd(extra[0].date) : null;
+  const after = firstPlanDate ? rows.find(r => r.date > firstPlanDate) : null;
+  return {
+    schedule,
+    interest: sumBy(rows, 'interest'),
+    prepaid: sumBy(rows, 'prepay'),
+    closureDate: rows.length ? rows[rows.length-1].date : null,
+    months: schedule.monthsTaken,
+    emiAfter: after ? after.emiDue : schedule.baseEmi,
+    closed: schedule.closed
+  };
+}
+
+function meetsGoal(result, goal){
+  if(!result.closed) return false;
+  if(goal.type === 'closeBy') return result.closureDate <= parseYmd(goal.date);
+  if(goal.type === 'maxInterest') return result.interest <= goal.amount;
+  return true;
+}
+
+/* smallest amount (rounded up to `step`) for which the plan meets the goal, or null */
+function solveAmount(loan, shape, split, date, goal, step=100){
+  const plan = amount => planEntries(shape, amount, date, split);
+  if(meetsGoal(evaluate(loan, []), goal)) return 0;
+  let hi = shape === 'one' ? loan.principal : loan.principal / 12;
+  if(!meetsGoal(evaluate(loan, plan(hi)), goal)) return null;
+  let lo = 0;
+  for(let i=0; i<40 && hi - lo > step / 2; i++){
+    const mid = (lo + hi) / 2;
+    if(meetsGoal(evaluate(loan, plan(mid)), goal)) hi = mid; else lo = mid;
+  }
+  let amount = Math.ceil(hi / step) * step;
+  // rounding can land just under the goal when splits are rounded to paise
+  while(!meetsGoal(evaluate(loan, plan(amount)), goal)) amount += step;
+  return amount;
+}
+
+/* returns {goal, current, candidates:[...], best}; each candidate carries the entries to apply */
+function optimize(input, goal, planDate){
+  const loan = input.startDate instanceof Date && input.prepayments ? input : LoanEngine.normalizeLoan(input);
+  const date = planDate || ymd(addMonths(new Date(), 1));
+  const current = evaluate(loan, []);
+  const candidates = [];
+
+  if(goal.type === 'budget'){
+    SPLITS.forEach(split => {
+      [['recurring', planEntries('recurring', goal.amount / 12, date, split)],
+       ['yearly', yearlyEntries(goal.amount, date, split)]].forEach(([shape, entries]) => {
+        const r = evaluate(loan, entries);
+        candidates.push({ shape, split, amount: shape === 'yearly' ? goal.amount : goal.amount / 12, entries, ...r });
+      });
+    });
+    // the budget is fixed: best = least interest, then the lower EMI
+    candidates.sort((a,b) => (a.interest - b.interest) || (a.emiAfter - b.emiAfter));
+  } else {
+    SHAPES.forEach(shape => SPLITS.forEach(split => {
+      const amount = solveAmount(loan, shape, split, date, goal);
+      if(amount === null) return;
+      const entries = planEntries(shape, amount, date, split);
+      candidates.push({ shape, split, amount, entries, ...evaluate(loan, entries) });
+    }));
+    // least cash actually prepaid, then the lower EMI
+    candidates.sort((a,b) => (a.prepaid - b.prepaid) || (a.emiAfter - b.emiAfter));
+  }
+
+  candidates.forEach(c => { delete c.schedule; });
+  delete current.schedule;
+  return { goal, planDate: date, current, candidates, best: candidates[0] || null };
+}
+
+return { SPLITS, SHAPES, planEntries, yearlyEntries, evaluate, meetsGoal, solveAmount, optimize };
+});
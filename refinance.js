@@ -0,0 +1,172 @@
+/* ================= BALANCE TRANSFER / REFINANCE (NO DOM) =================
+   Compares staying with the current schedule against moving the outstanding balance
+   to a new lender on `switchDate`. The current side is the remaining part of an
+   already built schedule (window._last.withPrepay on the page), so ROI changes,
+   prepayments and the ledger are already in it.
+
+   offer: { switchDate, rate, tenureMonths, processingFeePct, legalCharges, topUp,
+            discountRate (annual %, for NPV), carryPrepayments (default true) }
+
+   Net position at month k = payments saved so far + (old balance - new balance)
+                             + top-up received - fees paid.
+   It starts at -fees; the break-even month is the first month it is >= 0.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.Refinance = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { buildSchedule, parseYmd, ymd, sumBy } = LoanEngine;
+
+/* problems with a raw offer, worded like LoanStore.validateState; [] when it can be analysed */
+function offerErrors(offer = {}){
+  const errors = [];
+  const isBlank = v => v === undefined || v === null || v === '';
+  const number = (label, v, { required = false, min = null, max = null, integer = false } = {}) => {
+    if(isBlank(v)){ if(required) errors.push(`${label} is required`); return; }
+    if(isNaN(parseFloat(v)) || !isFinite(v)) return errors.push(`${label} must be a number (got "${v}")`);
+    const n = parseFloat(v);
+    if(integer && !Number.isInteger(n)) errors.push(`${label} must be a whole number (got ${v})`);
+    else if(min !== null && n < min) errors.push(`${label} must be at least ${min} (got ${v})`);
+    else if(max !== null && n > max) errors.push(`${label} must be at most ${max} (got ${v})`);
+  };
+  if(isBlank(offer.switchDate)) errors.push('switch date is required');
+  else if(!/^\d{4}-\d{2}-\d{2}$/.test(offer.switchDate) || isNaN(parseYmd(offer.switchDate))) errors.push(`switch date must be a date as YYYY-MM-DD (got "${offer.switchDate}")`);
+  number('new rate', offer.rate, { required: true, min: 0, max: 100 });
+  number('new tenure (months)', offer.tenureMonths, { required: true, min: 1, integer: true });
+  number('processing fee %', offer.processingFeePct, { min: 0, max: 100 });
+  number('legal charges', offer.legalCharges, { min: 0 });
+  number('top-up', offer.topUp, { min: 0 });
+  number('discount rate', offer.discountRate, { min: 0, max: 100 });
+  return errors;
+}
+
+function normalizeOffer(offer = {}){
+  return {
+    switchDate: offer.switchDate,
+    rate: parseFloat(offer.rate) || 0,
+    tenureMonths: parseInt(offer.tenureMonths) || 0,
+    processingFeePct: parseFloat(offer.processingFeePct) || 0,
+    legalCharges: parseFloat(offer.legalCharges) || 0,
+    topUp: parseFloat(offer.topUp) || 0,
+    discountRate: parseFloat(offer.discountRate) || 0,
+    carryPrepayments: offer.carryPrepayments !== false
+  };
+}
+
+/* future prepayments moved onto the new loan; recurring plans keep their own date, so
+   frequency, count and growth carry on from where they were on the old loan */
+function carriedPrepayments(prepayments, switchDate){
+  return prepayments.filter(p => p.type === 'recurring' ? !p.endDate || parseYmd(p.endDate) > switchDate : parseYmd(p.date) > switchDate)
+    .map(p => ({ ...p }));
+}
+
+const cashOut = r => (r.emi || 0) + (r.prepay || 0) + (r.penalty || 0) + (r.fee || 0) + (r.charges || 0);
+
+/* present value at the switch date of monthly cash flows (index 0 = first EMI, one month out) */
+function presentValue(flows, annualRate){
+  const m = annualRate / 1200;
+  return flows.reduce((s, v, k) => s + v / Math.pow(1 + m, k + 1), 0);
+}
+
+/* analyzeRefinance(loan, rows, offer): loan = normalized loan, rows = current schedule rows.
+   Throws when the offer is incomplete (see offerErrors) or the loan is already repaid. */
+function analyzeRefinance(loan, rows, offerIn){
+  const errors = offerErrors(offerIn);
+  if(errors.length) throw new Error(errors.join('\n'));
+  const offer = normalizeOffer(offerIn);
+  const switchDate = parseYmd(offer.switchDate);
+  const remaining = rows.filter(r => r.date > switchDate);
+  if(!remaining.length) throw new Error('The current loan is already repaid by the switch date');
+
+  const outstanding = remaining[0].opening;
+  const firstDue = remaining[0].date;
+  const newPrincipal = outstanding + offer.topUp;
+  const processingFee = newPrincipal * offer.processingFeePct / 100;
+  const fees = processingFee + offer.legalCharges;
+
+  const prepayments = offer.carryPrepayments ? carriedPrepayments(loan.prepayments, switchDate) : [];
+  const schedule = buildSchedule(newPrincipal, offer.rate, offer.tenureMonths, firstDue, prepayments, [],
+    { interestConvention: loan.interestConvention, rateResetDefault: loan.rateResetDefault });
+  const newRows = schedule.rows;
+
+  const oldFlows = remaining.map(cashOut);
+  const newFlows = newRows.map(cashOut);
+  const oldSide = {
+    months: remaining.length,
+    interest: sumBy(remaining, 'interest'),
+    payments: oldFlows.reduce((s, v) => s + v, 0),
+    closureDate: remaining[remaining.length-1].date,
+    emi: remaining[0].emiDue || remaining[0].emi,
+    npv: presentValue(oldFlows, offer.discountRate)
+  };
+  const newPayments = newFlows.reduce((s, v) => s + v, 0);
+  const newSide = {
+    months: newRows.length,
+    interest: sumBy(newRows, 'interest'),
+    payments: newPayments,
+    closureDate: newRows.length ? newRows[newRows.length-1].date : null,
+    emi: schedule.baseEmi,
+    // what switching really costs: fees up front and the EMIs, less the top-up cash received
+    totalCost: fees + newPayments - offer.topUp,
+    npv: fees - offer.topUp + presentValue(newFlows, offer.discountRate),
+    warnings: schedule.warnings
+  };
+
+  const timeline = [];
+  let cumulative = 0, breakEven = null;
+  const horizon = Math.max(remaining.length, newRows.length);
+  for(let k=0; k<horizon; k++){
+    cumulative += (oldFlows[k] || 0) - (newFlows[k] || 0);
+    const oldBal = remaining[k] ? remaining[k].closing : 0;
+    const newBal = newRows[k] ? newRows[k].closing : 0;
+    const net = cumulative + oldBal - newBal + offer.topUp - fees;
+    const date = (remaining[k] || newRows[k]).date;
+    timeline.push({ month: k + 1, date, net });
+    if(breakEven === null && net >= 0) breakEven = { month: k + 1, date };
+  }
+
+  return {
+    offer, switchDate, firstDue, outstanding, newPrincipal, processingFee, fees,
+    old: oldSide,
+    new: newSide,
+    costSaving: oldSide.payments - newSide.totalCost,
+    npvSaving: oldSide.npv - newSide.npv,
+    breakEven,
+    timeline,
+    schedule
+  };
+}
+
+/* the refinanced loan in saveState() shape, so it can live in the profiles manager. Only what
+   analyzeRefinance modelled is kept: the old lender's fees, holidays, repayment structure and EMI
+   rounding are reset, and the switch's processing fee and legal charges become the new fees. */
+function refinanceState(state, analysis){
+  const a = analysis;
+  return {
+    ...state,
+    principal: String(Math.round(a.newPrincipal * 100) / 100),
+    years: String(Math.floor(a.offer.tenureMonths / 12)),
+    months: String(a.offer.tenureMonths % 12),
+    startDate: ymd(a.firstDue),
+    initialRate: String(a.offer.rate),
+    rateModel: 'manual',
+    benchmark: { ...(state.benchmark || {}), history: [] },
+    roi: [],
+    prepay: a.offer.carryPrepayments
+      ? carriedPrepayments(LoanEngine.normalizeLoan(state).prepayments, a.switchDate)
+        .map(p => ({ ...p, amount: String(p.amount) }))
+      : [],
+    ledger: [],
+    holidays: [],
+    repayment: { type: 'level', stepPct: '5', stepMonths: '12', balloonPct: '20' },
+    emiRoundTo: '0',
+    disbursement: { mode: 'preEmi', tranches: [] },
+    fees: { processingPct: String(a.offer.processingFeePct), upfront: String(a.offer.legalCharges), insurance: '0', insuranceMode: 'upfront',
+      prepayPenaltyPct: '0', foreclosurePenaltyPct: '0', lockInMonths: '0', annualFee: '0' }
+  };
+}
+
+return { offerErrors, normalizeOffer, carriedPrepayments, presentValue, analyzeRefinance, refinanceState };
+});
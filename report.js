@@ -0,0 +1,393 @@
+/* ================= REPORT BUILDER (NO DOM) =================
+   One report model, two renderers: renderPdf() draws it with jsPDF and
+   renderHtml() writes the same layout for the browser's print dialog.
+
+   buildReport(entries, options): entries = [{name, state}] (saved inputs, so every
+   figure comes from LoanEngine.calculateLoan on what the user entered).
+   options: { sections: subset of REPORT_SECTIONS, period: 'calendar'|'fy',
+              cover, pageNumbers, title, format: number -> text, formatDate: Date -> text,
+              currency: code named under the title, e.g. 'INR' }
+
+   Model: { title, generatedAt, currency, cover, pageNumbers, coverTable, loans: [{ name, result, sections: [
+            { key, title, blocks: [ {kind:'pairs', rows:[[label, value]]}
+                                  | {kind:'table', columns:[{label, align}], rows:[[text]]}
+                                  | {kind:'chart', chart:'balance'|'yearly'}
+                                  | {kind:'note', text} ] } ] }] }
+   Chart images are drawn by the page (it has Chart.js) and passed to the renderers
+   as images[loanIndex][chart] = {src, width, height}.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.LoanReport = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { ymd, calculateLoan, rollupSchedule, FREQUENCY_LABELS } = LoanEngine;
+
+const REPORT_SECTIONS = ['inputs', 'summary', 'schedule', 'yearly', 'roi', 'prepay', 'charts'];
+const SECTION_TITLES = {
+  inputs: 'Loan inputs', summary: 'Summary', schedule: 'Amortization schedule', yearly: 'Yearly rollup',
+  roi: 'ROI timeline', prepay: 'Prepayment savings', charts: 'Charts'
+};
+const RESET_TEXT = { keepEmi: 'EMI kept', keepTenure: 'tenure kept' };
+
+const num = { align: 'right' };
+const col = (label, align) => ({ label, align: align || 'left' });
+
+/* ---------- Sections ---------- */
+function inputsSection(loan, f, d){
+  const rows = [
+    ['Loan amount', f(loan.sanctioned)],
+    ['Tenure', `${Math.floor(loan.totalMonths / 12)}y ${loan.totalMonths % 12}m (${loan.totalMonths} months)`],
+    ['Start date', d(loan.startDate)],
+    ['Initial ROI', `${loan.initialRate.toFixed(2)}%`],
+    ['Interest convention', loan.interestConvention],
+    ['On rate change', loan.rateResetDefault === 'keepTenure' ? 'Keep tenure, change EMI' : 'Keep EMI, change tenure'],
+    ['Rate model', loan.rateModel === 'benchmark' ? `${loan.benchmark.name} + ${loan.benchmark.spread}%, reset every ${loan.benchmark.resetMonths} months` : 'Manual ROI changes'],
+    ['Repayment', loan.repayment.type === 'level' ? 'Level EMI' : loan.repayment.type]
+  ];
+  if(loan.tranches.length) rows.push(['Disbursement', `${loan.tranches.length} tranches, ${loan.disbursementMode === 'preEmi' ? 'pre-EMI' : 'full EMI'}`]);
+  if(loan.holidays.length) rows.push(['EMI holidays', loan.holidays.map(h => `${h.start} to ${h.end}`).join(', ')]);
+  const fees = loan.fees;
+  if(fees.processingPct || fees.upfront || fees.insurance || fees.annualFee){
+    rows.push(['Fees', [
+      fees.processingPct ? `processing ${fees.processingPct}%` : '',
+      fees.upfront ? `upfront ${f(fees.upfront)}` : '',
+      fees.insurance ? `insurance ${f(fees.insurance)} (${fees.insuranceMode})` : '',
+      fees.annualFee ? `annual ${f(fees.annualFee)}` : ''
+    ].filter(Boolean).join(', ')]);
+  }
+  const blocks = [{ kind: 'pairs', rows }];
+  if(loan.prepayments.length){
+    blocks.push({
+      kind: 'table',
+      columns: [col('Date'), col('Amount', 'right'), col('Plan'), col('Strategy')],
+      rows: loan.prepayments.map(p => [p.date, f(p.amount), planText(p), p.strategy === 'reduceEmi' ? 'Reduce EMI' : 'Reduce tenure'])
+    });
+  }
+  return blocks;
+}
+
+function planText(p){
+  if(p.type !== 'recurring') return 'One-time';
+  return [FREQUENCY_LABELS[p.frequency] || 'Monthly', p.count ? `${p.count} payments` : '', p.endDate ? `until ${p.endDate}` : '',
+    p.growthPct ? `+${p.growthPct}%/yr` : ''].filter(Boolean).join(', ');
+}
+
+function summarySection(result, f, d){
+  const s = result.summary;
+  const rows = [
+    ['EMI', f(s.withPrepay.emi)],
+    ['Interest without prepayments', f(s.baseline.interest)],
+    ['Interest with prepayments', f(s.withPrepay.interest)],
+    ['Interest saved', f(s.interestSaved)],
+    ['Months saved', String(s.monthsSaved)],
+    ['Total paid', f(s.withPrepay.totalPaid)],
+    ['Fees and charges', f(s.withPrepay.charges.total)],
+    ['True cost', f(s.withPrepay.totalCost)],
+    ['Effective rate (XIRR)', s.withPrepay.xirr !== null ? `${(s.withPrepay.xirr * 100).toFixed(2)}%` : '-'],
+    ['Closes', s.withPrepay.closureDate ? d(s.withPrepay.closureDate) : '-']
+  ];
+  if(s.moratorium){
+    rows.push(['Moratorium', `${s.moratorium.months} months, extra interest ${f(s.moratorium.extraInterest)}`]);
+  }
+  return [{ kind: 'pairs', rows }];
+}
+
+function scheduleSection(rows, f, d){
+  const has = key => rows.some(r => r[key]);
+  const columns = [col('M', 'right'), col('Date'), col('ROI', 'right'), col('Opening', 'right')];
+  if(has('disbursed')) columns.push(col('Disbursed', 'right'));
+  columns.push(col('EMI', 'right'), col('Interest', 'right'), col('Principal', 'right'), col('Prepay', 'right'));
+  if(has('penalty') || has('fee')) columns.push(col('Charges', 'right'));
+  columns.push(col('Closing', 'right'));
+  return [{
+    kind: 'table',
+    columns,
+    rows: rows.map(r => [
+      String(r.month), d(r.date), (r.roi || 0).toFixed(2), f(r.opening),
+      ...(has('disbursed') ? [r.disbursed ? f(r.disbursed) : ''] : []),
+      f(r.emi), f(r.interest), f(r.principal), f(r.prepay),
+      ...(has('penalty') || has('fee') ? [f((r.penalty || 0) + (r.fee || 0))] : []),
+      f(r.closing)
+    ])
+  }];
+}
+
+function yearlySection(rows, period, f){
+  return [{
+    kind: 'table',
+    columns: [col(period === 'fy' ? 'Financial year' : 'Year'), col('Months', 'right'), col('Avg ROI', 'right'), col('Opening', 'right'),
+      col('EMI', 'right'), col('Interest', 'right'), col('Principal', 'right'), col('Prepay', 'right'), col('Closing', 'right')],
+    rows: rollupSchedule(rows, period).map(g => [g.label, String(g.months), g.avgRoi.toFixed(2), f(g.opening), f(g.emi),
+      f(g.interest), f(g.principal), f(g.prepay), f(g.closing)])
+  }];
+}
+
+/* every month the rate differs from the month before */
+function roiSection(rows, f, d){
+  const out = [];
+  let prev = null;
+  rows.forEach(r => {
+    if(r.roi === prev) return;
+    out.push([d(r.date), `${(r.roi || 0).toFixed(2)}%`, prev === null ? 'Start' : (RESET_TEXT[r.rateReset] || ''), f(r.emiDue || r.emi)]);
+    prev = r.roi;
+  });
+  return [{ kind: 'table', columns: [col('From'), col('ROI', 'right'), col('Reset'), col('EMI after', 'right')], rows: out }];
+}
+
+function prepaySection(result, f){
+  if(!result.perPrepay.length) return [{ kind: 'note', text: 'No prepayments planned.' }];
+  const blocks = [{
+    kind: 'table',
+    columns: [col('#', 'right'), col('Date'), col('Amount', 'right'), col('Plan'), col('Prepaid', 'right'),
+      col('Interest saved', 'right'), col('Months saved', 'right'), col('Penalty', 'right')],
+    rows: result.perPrepay.map((s, i) => [String(i + 1), s.prepay.date, f(s.prepay.amount), planText(s.prepay), f(s.prepaid),
+      f(s.interestSaved), String(s.monthsSaved), s.penalty ? f(s.penalty) : ''])
+  }];
+  if(result.perYear.length > 1){
+    blocks.push({
+      kind: 'table',
+      columns: [col('Year'), col('Prepaid', 'right'), col('Interest saved', 'right'), col('Months saved', 'right')],
+      rows: result.perYear.map(y => [String(y.year), f(y.prepaid), f(y.interestSaved), String(y.monthsSaved)])
+    });
+  }
+  return blocks;
+}
+
+/* entries -> report model */
+function buildReport(entries, options = {}){
+  const sections = options.sections || REPORT_SECTIONS;
+  const f = options.format || (v => Number(v).toFixed(2));
+  const d = options.formatDate || ymd;
+  const period = options.period === 'fy' ? 'fy' : 'calendar';
+  const loans = entries.map(e => {
+    const result = calculateLoan(e.state);
+    const rows = result.withPrepay.rows;
+    const build = {
+      inputs: () => inputsSection(result.loan, f, d),
+      summary: () => summarySection(result, f, d),
+      schedule: () => scheduleSection(rows, f, d),
+      yearly: () => yearlySection(rows, period, f),
+      roi: () => roiSection(rows, f, d),
+      prepay: () => prepaySection(result, f),
+      charts: () => [{ kind: 'chart', chart: 'balance' }, { kind: 'chart', chart: 'yearly' }]
+    };
+    return {
+      name: e.name,
+      result,
+      sections: REPORT_SECTIONS.filter(k => sections.includes(k))
+        .map(key => ({ key, title: key === 'yearly' && period === 'fy' ? 'Financial year rollup' : SECTION_TITLES[key], blocks: build[key]() }))
+    };
+  });
+  return {
+    title: options.title || 'Home Loan Report',
+    generatedAt: options.now || new Date(),
+    currency: options.currency || '',
+    cover: !!options.cover,
+    pageNumbers: options.pageNumbers !== false,
+    coverTable: {
+      kind: 'table',
+      columns: [col('Loan'), col('Amount', 'right'), col('EMI', 'right'), col('Interest', 'right'), col('Closes')],
+      rows: loans.map(l => {
+        const s = l.result.summary.withPrepay;
+        return [l.name, f(l.result.loan.sanctioned), f(s.emi), f(s.interest), s.closureDate ? d(s.closureDate) : '-'];
+      })
+    },
+    loans
+  };
+}
+
+const generatedLine = model => `Generated ${model.generatedAt.toLocaleString()}${model.currency ? `, amounts in ${model.currency}` : ''}`;
+
+/* ---------- PDF (jsPDF) ---------- */
+const PDF = { margin: 40, header: 28, footer: 28, font: 8, lineGap: 3.5, cellPad: 6 };
+
+function renderPdf(doc, model, images = []){
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const left = PDF.margin, right = pageW - PDF.margin, width = right - left;
+  const top = PDF.margin + PDF.header, bottom = pageH - PDF.margin - PDF.footer;
+  let y = top, loanName = '', repeatHeader = null, first = true;
+
+  const runningHeader = () => {
+    doc.setFont('helvetica', 'normal'); doc.setFontSize(8); doc.setTextColor(120);
+    doc.text(model.title + (loanName ? ` - ${loanName}` : ''), left, PDF.margin);
+    doc.setDrawColor(200); doc.line(left, PDF.margin + 6, right, PDF.margin + 6);
+    doc.setTextColor(0);
+  };
+  const newPage = () => {
+    if(first) first = false; else doc.addPage();
+    runningHeader();
+    y = top;
+    if(repeatHeader) repeatHeader();
+  };
+  const ensure = h => { if(y + h > bottom) newPage(); };
+
+  const heading = (text, size) => {
+    ensure(size * 2.5);
+    doc.setFont('helvetica', 'bold'); doc.setFontSize(size);
+    doc.text(text, left, y + size);
+    y += size + 8;
+    doc.setFont('helvetica', 'normal');
+  };
+
+  const pairs = block => {
+    doc.setFontSize(9);
+    const labelW = Math.max(...block.rows.map(r => doc.getTextWidth(r[0]))) + 14;
+    block.rows.forEach(([label, value]) => {
+      const lines = doc.splitTextToSize(String(value), width - labelW);
+      ensure(lines.length * 12);
+      doc.setFont('helvetica', 'bold'); doc.text(label, left, y + 9);
+      doc.setFont('helvetica', 'normal'); doc.text(lines, left + labelW, y + 9);
+      y += lines.length * 12;
+    });
+    y += 8;
+  };
+
+  // column widths from the widest text in each column, shrunk to the page if needed
+  const table = block => {
+    let size = PDF.font;
+    doc.setFontSize(size);
+    const measure = () => block.columns.map((c, i) =>
+      Math.max(doc.getTextWidth(c.label), ...block.rows.map(r => doc.getTextWidth(String(r[i])))) + PDF.cellPad);
+    let widths = measure();
+    let total = widths.reduce((a, b) => a + b, 0);
+    while(total > width && size > 5.5){
+      size -= 0.5; doc.setFontSize(size);
+      widths = measure(); total = widths.reduce((a, b) => a + b, 0);
+    }
+    const scale = total > width ? width / total : 1;
+    widths = widths.map(w => w * scale);
+    const lineH = size + PDF.lineGap;
+    const cellX = widths.reduce((xs, w, i) => xs.concat(xs[i] + w), [left]);
+    const drawRow = (cells, bold) => {
+      doc.setFont('helvetica', bold ? 'bold' : 'normal'); doc.setFontSize(size);
+      cells.forEach((text, i) => {
+        const c = block.columns[i];
+        if(c.align === 'right') doc.text(String(text), cellX[i + 1] - PDF.cellPad / 2, y + size, { align: 'right' });
+        else doc.text(String(text), cellX[i], y + size);
+      });
+      y += lineH;
+    };
+    const header = () => {
+      drawRow(block.columns.map(c => c.label), true);
+      doc.setDrawColor(180); doc.line(left, y - 1, left + widths.reduce((a, b) => a + b, 0), y - 1);
+      y += 2;
+    };
+    ensure(lineH * 3);
+    header();
+    repeatHeader = header;
+    block.rows.forEach(r => { ensure(lineH); drawRow(r, false); });
+    repeatHeader = null;
+    doc.setFont('helvetica', 'normal');
+    y += 10;
+  };
+
+  const chart = (block, loanIndex) => {
+    const img = images[loanIndex] && images[loanIndex][block.chart];
+    if(!img) return;
+    const w = Math.min(width, img.width);
+    const h = img.height * w / img.width;
+    ensure(h + 10);
+    doc.addImage(img.src, 'PNG', left, y, w, h);
+    y += h + 12;
+  };
+
+  const block = (b, loanIndex) => {
+    if(b.kind === 'pairs') pairs(b);
+    else if(b.kind === 'table') table(b);
+    else if(b.kind === 'chart') chart(b, loanIndex);
+    else { doc.setFontSize(9); ensure(14); doc.text(b.text, left, y + 9); y += 18; }
+  };
+
+  if(model.cover){
+    first = false;
+    doc.setFont('helvetica', 'bold'); doc.setFontSize(26);
+    doc.text(model.title, pageW / 2, pageH * 0.3, { align: 'center' });
+    doc.setFont('helvetica', 'normal'); doc.setFontSize(11);
+    doc.text(generatedLine(model), pageW / 2, pageH * 0.3 + 26, { align: 'center' });
+    y = pageH * 0.3 + 60;
+    table(model.coverTable);
+    doc.addPage();
+    runningHeader();
+    y = top;
+  }
+
+  model.loans.forEach((loan, i) => {
+    loanName = model.loans.length > 1 ? loan.name : '';
+    if(i > 0 || first) newPage();
+    heading(loan.name, 16);
+    if(i === 0 && !model.cover){
+      doc.setFontSize(9); doc.text(generatedLine(model), left, y); y += 14;
+    }
+    loan.sections.forEach(section => {
+      heading(section.title, 12);
+      section.blocks.forEach(b => block(b, i));
+    });
+  });
+
+  if(model.pageNumbers){
+    const pages = doc.getNumberOfPages();
+    const from = model.cover ? 2 : 1;
+    for(let p = from; p <= pages; p++){
+      doc.setPage(p);
+      doc.setFont('helvetica', 'normal'); doc.setFontSize(8); doc.setTextColor(120);
+      doc.text(`Page ${p - from + 1} of ${pages - from + 1}`, right, pageH - PDF.margin, { align: 'right' });
+      doc.setTextColor(0);
+    }
+  }
+  return doc;
+}
+
+/* ---------- HTML (print) ---------- */
+const esc = s => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+const PRINT_CSS = `
+  body{font-family:Arial,Helvetica,sans-serif;font-size:11px;color:#111;margin:0}
+  h1{font-size:20px} h2{font-size:16px;margin:18px 0 6px} h3{font-size:13px;margin:14px 0 4px}
+  table{border-collapse:collapse;width:100%;margin-bottom:10px}
+  th,td{border:1px solid #ccc;padding:2px 5px} th{background:#f1f5f9}
+  thead{display:table-header-group} tr{page-break-inside:avoid}
+  td.r,th.r{text-align:right} table.pairs td{border:none;padding:1px 8px 1px 0} table.pairs td:first-child{font-weight:bold;width:1%;white-space:nowrap}
+  .cover{height:90vh;display:flex;flex-direction:column;justify-content:center;text-align:center;page-break-after:always}
+  .cover table{width:auto;margin:20px auto}
+  .loan + .loan{page-break-before:always}
+  img{max-width:100%;height:auto;margin:6px 0}
+  .running{color:#777;font-size:9px;border-bottom:1px solid #ccc;margin-bottom:8px}
+  @page{margin:14mm}`;
+const PAGE_NUMBER_CSS = `@page{@bottom-right{content:"Page " counter(page) " of " counter(pages);font-size:9px;color:#777}}`;
+
+function htmlBlock(b, loanIndex, images){
+  if(b.kind === 'pairs'){
+    return `<table class="pairs">${b.rows.map(([k, v]) => `<tr><td>${esc(k)}</td><td>${esc(v)}</td></tr>`).join('')}</table>`;
+  }
+  if(b.kind === 'table'){
+    const cls = c => c.align === 'right' ? ' class="r"' : '';
+    return `<table><thead><tr>${b.columns.map(c => `<th${cls(c)}>${esc(c.label)}</th>`).join('')}</tr></thead>
+      <tbody>${b.rows.map(r => `<tr>${r.map((v, i) => `<td${cls(b.columns[i])}>${esc(v)}</td>`).join('')}</tr>`).join('')}</tbody></table>`;
+  }
+  if(b.kind === 'chart'){
+    const img = images[loanIndex] && images[loanIndex][b.chart];
+    return img ? `<img src="${img.src}" alt="${b.chart} chart">` : '';
+  }
+  return `<p>${esc(b.text)}</p>`;
+}
+
+function renderHtml(model, images = []){
+  const generated = esc(generatedLine(model));
+  const cover = model.cover
+    ? `<div class="cover"><h1>${esc(model.title)}</h1><div>${generated}</div>${htmlBlock(model.coverTable, 0, images)}</div>`
+    : '';
+  const loans = model.loans.map((loan, i) => `<div class="loan">
+    <div class="running">${esc(model.title)}${model.loans.length > 1 ? ` - ${esc(loan.name)}` : ''}</div>
+    <h2>${esc(loan.name)}</h2>
+    ${i === 0 && !model.cover ? `<div>${generated}</div>` : ''}
+    ${loan.sections.map(s => `<h3>${esc(s.title)}</h3>${s.blocks.map(b => htmlBlock(b, i, images)).join('')}`).join('')}
+  </div>`).join('');
+  return `<!DOCTYPE html><html><head><meta charset="utf-8"><title>${esc(model.title)}</title>
+<style>${PRINT_CSS}${model.pageNumbers ? PAGE_NUMBER_CSS : ''}</style></head><body>${cover}${loans}</body></html>`;
+}
+
+return { REPORT_SECTIONS, SECTION_TITLES, buildReport, renderPdf, renderHtml };
+});
@@ -0,0 +1,177 @@
+/* ================= RATE SCENARIOS (NO DOM) =================
+   Stress tests and Monte Carlo on top of LoanEngine.buildSchedule. Every scenario
+   keeps the loan's own prepayments, conventions and tranches and only changes the
+   ROI path from `fromDate` onwards; rates before that are history and stay as entered.
+
+   Shocks:      +x% on the rate in force at fromDate and on every later ROI change.
+   Custom path: list of shocks, one per year from fromDate (the last one holds).
+   Monte Carlo: mean-reverting (Vasicek) monthly rate, applied at each reset date,
+                driven by a seeded PRNG so the same seed gives the same result.
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.RateScenarios = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { buildSchedule, scheduleOptions, addMonths, parseYmd, ymd, sumBy, getRateForDate } = LoanEngine;
+
+const PERCENTILES = [5, 25, 50, 75, 95];
+const MC_DEFAULTS = { runs: 200, seed: 42, volatility: 1, reversion: 0.3, mean: null, floor: 0.5 };
+
+/* mulberry32: small seeded PRNG, returns floats in [0, 1) */
+function seededRandom(seed){
+  let a = (parseInt(seed) || 0) >>> 0;
+  return function(){
+    a = (a + 0x6D2B79F5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/* standard normal via Box-Muller */
+function normalSample(rand){
+  const u = 1 - rand();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * rand());
+}
+
+const round2 = v => Math.round(v * 100) / 100;
+
+/* ROI changes after fromDate shifted by `shift(date)`, plus an entry at fromDate itself */
+function shiftedRoiChanges(loan, fromDate, shift){
+  const from = parseYmd(fromDate);
+  const startRate = getRateForDate(from, loan.roiChanges, loan.initialRate);
+  const past = loan.roiChanges.filter(r => parseYmd(r.date) < from);
+  const future = loan.roiChanges.filter(r => parseYmd(r.date) > from)
+    .map(r => ({ ...r, rate: round2(r.rate + shift(parseYmd(r.date))) }));
+  return past.concat({ date: fromDate, rate: round2(startRate + shift(from)), policy: 'default', source: 'scenario' }, future);
+}
+
+function shockRoiChanges(loan, fromDate, shock){
+  return shiftedRoiChanges(loan, fromDate, () => shock);
+}
+
+/* path: [shock year 1, shock year 2, ...]; a yearly step is added so later years apply even without ROI rows */
+function pathRoiChanges(loan, fromDate, path){
+  if(!path.length) return loan.roiChanges.slice();
+  const from = parseYmd(fromDate);
+  const shiftFor = d => {
+    const year = Math.floor(((d.getFullYear() - from.getFullYear())*12 + d.getMonth() - from.getMonth()) / 12);
+    return path[Math.min(Math.max(year, 0), path.length - 1)];
+  };
+  const changes = shiftedRoiChanges(loan, fromDate, shiftFor);
+  for(let y=1; y<path.length; y++){
+    const date = addMonths(from, 12*y);
+    if(changes.some(r => r.date === ymd(date))) continue;
+    changes.push({ date: ymd(date), rate: round2(getRateForDate(date, loan.roiChanges, loan.initialRate) + shiftFor(date)), policy: 'default', source: 'scenario' });
+  }
+  return changes.sort((a,b) => parseYmd(a.date) - parseYmd(b.date));
+}
+
+/* one simulated path: ROI changes at every reset from fromDate over `months` */
+function simulateRoiChanges(loan, fromDate, params, rand){
+  const p = { ...MC_DEFAULTS, ...params };
+  const from = parseYmd(fromDate);
+  const resetMonths = loan.benchmark ? loan.benchmark.resetMonths : 3;
+  const months = loan.totalMonths + 120;
+  const startRate = getRateForDate(from, loan.roiChanges, loan.initialRate);
+  const mean = p.mean === null || isNaN(p.mean) ? startRate : p.mean;
+  const dt = 1 / 12;
+  const changes = loan.roiChanges.filter(r => parseYmd(r.date) < from);
+  let rate = startRate;
+  for(let m=0; m<months; m++){
+    if(m > 0) rate = Math.max(p.floor, rate + p.reversion * (mean - rate) * dt + p.volatility * Math.sqrt(dt) * normalSample(rand));
+    if(m % resetMonths === 0) changes.push({ date: ymd(addMonths(from, m)), rate: round2(rate), policy: 'default', source: 'scenario' });
+  }
+  return changes;
+}
+
+function runScenario(loan, roiChanges){
+  const schedule = buildSchedule(loan.principal, loan.initialRate, loan.totalMonths, loan.startDate,
+    loan.prepayments, roiChanges, scheduleOptions(loan));
+  const rows = schedule.rows;
+  return {
+    schedule,
+    interest: sumBy(rows, 'interest'),
+    closureDate: rows.length ? rows[rows.length-1].date : null,
+    months: schedule.monthsTaken,
+    peakEmi: rows.reduce((m, r) => Math.max(m, r.emiDue || 0), 0),
+    closed: schedule.closed
+  };
+}
+
+/* nearest-rank percentile of a sorted numeric array */
+function percentile(sorted, p){
+  if(!sorted.length) return null;
+  return sorted[Math.min(sorted.length - 1, Math.max(0, Math.ceil(p / 100 * sorted.length) - 1))];
+}
+
+const asLoan = input => input.startDate instanceof Date && input.prepayments ? input : LoanEngine.normalizeLoan(input);
+const defaultFrom = loan => ymd(loan.startDate > new Date() ? loan.startDate : addMonths(new Date(), 1));
+
+/* stressTest(loanOrState, {shocks:[1,2], path:[...], fromDate}) -> [{label, shock, ...result}] */
+function stressTest(input, opts = {}){
+  const loan = asLoan(input);
+  const fromDate = opts.fromDate || defaultFrom(loan);
+  const out = [{ label: 'Current', shock: 0, ...runScenario(loan, loan.roiChanges) }];
+  (opts.shocks || [1, 2]).forEach(s => {
+    out.push({ label: `${s > 0 ? '+' : ''}${s}%`, shock: s, ...runScenario(loan, shockRoiChanges(loan, fromDate, s)) });
+  });
+  if(opts.path && opts.path.length){
+    out.push({ label: 'Custom path', path: opts.path, ...runScenario(loan, pathRoiChanges(loan, fromDate, opts.path)) });
+  }
+  out.forEach(r => { delete r.schedule; });
+  return out;
+}
+
+/* monteCarlo(loanOrState, params) -> {runs, fromDate, interest, closureDate, peakEmi, fan, notClosed}
+   interest/closureDate/peakEmi: {p5, p25, p50, p75, p95}; fan: per month, outstanding balance percentiles.
+   closureDate covers only the runs that repay the loan (each percentile is null when none do);
+   notClosed counts the rest. */
+function monteCarlo(input, params = {}){
+  const loan = asLoan(input);
+  const p = { ...MC_DEFAULTS, ...params };
+  const fromDate = p.fromDate || defaultFrom(loan);
+  const rand = seededRandom(p.seed);
+  const results = [];
+  for(let i=0; i<p.runs; i++){
+    results.push(runScenario(loan, simulateRoiChanges(loan, fromDate, p, rand)));
+  }
+
+  const stats = values => {
+    const sorted = values.slice().sort((a,b) => a - b);
+    return Object.fromEntries(PERCENTILES.map(q => [`p${q}`, percentile(sorted, q)]));
+  };
+  const repaid = results.filter(r => r.closed && r.closureDate);
+  const closure = stats(repaid.map(r => r.closureDate.getTime()));
+  Object.keys(closure).forEach(k => { closure[k] = closure[k] === null ? null : new Date(closure[k]); });
+
+  // fan: outstanding balance at each month across runs (0 once a run has closed)
+  const longest = results.reduce((a, r) => r.schedule.rows.length > a.length ? r.schedule.rows : a, []);
+  const fan = [];
+  for(let m=0; m<longest.length; m++){
+    fan.push({
+      date: longest[m].date,
+      ...stats(results.map(r => r.schedule.rows[m] ? r.schedule.rows[m].closing : 0))
+    });
+  }
+
+  return {
+    runs: p.runs,
+    seed: p.seed,
+    fromDate,
+    interest: stats(results.map(r => r.interest)),
+    closureDate: closure,
+    peakEmi: stats(results.map(r => r.peakEmi)),
+    notClosed: results.length - repaid.length,
+    fan
+  };
+}
+
+return {
+  PERCENTILES, MC_DEFAULTS, seededRandom, normalSample, shockRoiChanges, pathRoiChanges,
+  simulateRoiChanges, runScenario, percentile, stressTest, monteCarlo
+};
+});
@@ -1,122 +1,27 @@
 /* ---------- Utilities ---------- */
 const $ = id => document.getElementById(id);
-const fmt = v => Number(v).toLocaleString(undefined,{maximumFractionDigits:2});
-const ymd = d => d.toISOString().slice(0,10);
-const formatNice = d => new Date(d).toLocaleDateString(undefined,{day:'2-digit',month:'short',year:'numeric'});
-
-/* date helpers */
-function addMonths(date, months) {
-  const d = new Date(date.getTime());
-  const day = d.getDate();
-  d.setMonth(d.getMonth() + months);
-  if (d.getDate() < day) { d.setDate(0); }
-  return d;
-}
-
-/* EMI formula */
-function computeEmi(principal, monthlyRate, months){
-  if(months <= 0) return months === 0 ? principal : 0;
-  if(monthlyRate === 0) return principal / months;
-  return principal * monthlyRate * Math.pow(1+monthlyRate, months) / (Math.pow(1+monthlyRate, months) - 1);
-}
-
-/* ROI selection: get latest ROI change with date <= paymentDate */
-function getRateForDate(paymentDate, roiChanges, initialRate){
-  if(!roiChanges || roiChanges.length === 0) return initialRate;
-  const pd = new Date(paymentDate.getTime()); pd.setHours(0,0,0,0);
-  let applicable = null;
-  for(const r of roiChanges){
-    const rd = new Date(r.date + 'T00:00:00');
-    if(rd <= pd){
-      if(!applicable || rd > new Date(applicable.date + 'T00:00:00')) applicable = r;
-    }
-  }
-  return applicable ? parseFloat(applicable.rate) : initialRate;
-}
-
-/* buildSchedule: returns {rows:[], monthsTaken, baseEmi}
-   prepayments: [{type:'one'|'recurring', amount:number, date:'YYYY-MM-DD', strategy:'reduceEmi'|'reduceTenure'}]
-   roiChanges sorted ascending by date: [{date, rate}]
-*/
-function buildSchedule(principal, initialRate, totalMonths, startDate, prepayments=[], roiChanges=[]){
-  const rows = [];
-  let outstanding = principal;
-  let month = 1;
-  const maxIter = totalMonths + 600;
-  const baseEmiInitial = computeEmi(principal, initialRate/1200, totalMonths);
-  let currentEmi = computeEmi(principal, initialRate/1200, totalMonths);
-
-  while(outstanding > 0.005 && month <= maxIter){
-    const paymentDate = addMonths(new Date(startDate.getTime()), month-1);
-
-    // pick applicable monthly rate
-    const applicableRate = getRateForDate(new Date(paymentDate.getTime()), roiChanges, initialRate);
-    const monthlyRate = applicableRate / 1200;
-
-    // interest & principal part for this month
-    let interest = outstanding * monthlyRate;
-    let principalPart = Math.max(0, Math.min(currentEmi - interest, outstanding));
-
-    // find prepayments for this EMI (one-time: same month+year; recurring: p.date <= paymentDate)
-    let prepayThisMonth = 0;
-    const prepayActions = [];
-    for(const p of prepayments){
-      if(!p.date) continue;
-      const pDate = new Date(p.date + 'T00:00:00');
-      if(p.type === 'one'){
-        if(pDate.getFullYear() === paymentDate.getFullYear() && pDate.getMonth() === paymentDate.getMonth()){
-          const allowed = Math.max(0, outstanding - principalPart);
-          const applyAmt = Math.min(p.amount, allowed);
-          if(applyAmt > 0){ prepayThisMonth += applyAmt; prepayActions.push(p); }
-        }
-      } else if(p.type === 'recurring'){
-        if(paymentDate >= pDate){
-          const allowed = Math.max(0, outstanding - principalPart);
-          const applyAmt = Math.min(p.amount, allowed);
-          if(applyAmt > 0){ prepayThisMonth += applyAmt; prepayActions.push(p); }
-        }
-      }
-    }
-
-    // detect if any applied prepay asks to reduce EMI
-    const anyReduceEmi = prepayActions.some(a => a.strategy === 'reduceEmi');
-
-    const paidEmi = principalPart + interest;
-    const closing = Math.max(0, outstanding - principalPart - prepayThisMonth);
-
-    rows.push({
-      month,
-      date: new Date(paymentDate.getTime()),
-      roi: monthlyRate * 1200,
-      opening: outstanding,
-      emi: paidEmi,
-      interest,
-      principal: principalPart,
-      prepay: prepayThisMonth,
-      closing
-    });
-
-    outstanding = closing;
-
-    // after applying prepayment(s), recompute EMI if reduceEmi requested (to amortize over remaining original months)
-    if(anyReduceEmi && outstanding > 0.005){
-      const monthsGone = month;
-      const monthsLeft = Math.max(1, totalMonths - monthsGone);
-      currentEmi = computeEmi(outstanding, monthlyRate, monthsLeft);
-    } else {
-      // keep currentEmi unchanged (reduce tenure)
-      if(outstanding > 0.005 && currentEmi < 0.00001){
-        currentEmi = computeEmi(outstanding, monthlyRate, Math.max(1, totalMonths - month));
-      }
-    }
-
-    month++;
-    if(month > 5000) break;
-  }
-
-  return { rows, monthsTaken: rows.length, baseEmi: baseEmiInitial };
+/* amounts and dates follow the display settings (money.js); calculations never go through these */
+let money = MoneyFormat.createFormatter(MoneyFormat.DEFAULT_SETTINGS);
+const fmt = v => money.number(v);
+const fmtMoney = v => money.money(v);
+const formatNice = d => money.date(d);
+const formatMonth = d => money.monthYear(d);
+/* chart value axis: compact amounts (₹20 L) on the ticks, full amounts in the tooltip */
+const moneyScale = (scale = {}) => ({ ...scale, ticks: { ...(scale.ticks || {}), callback: v => money.compact(v) } });
+const moneyTooltip = { callbacks: { label: c => `${c.dataset.label}: ${fmtMoney(c.parsed.y)}` } };
+/* summary badge: amount with currency, spelled out in its tooltip */
+function showAmount(id, v, suffix = ''){
+  $(id).textContent = fmtMoney(v) + suffix;
+  $(id).title = money.words(v);
 }
 
+/* calculation core lives in loan-engine.js */
+const {
+  ymd, parseYmd, sumBy, addMonths, computeEmi, getRateForDate,
+  buildSchedule, computePerPrepaySavings, normalizeLoan, scheduleOptions, calculateLoan, scheduleToCsv,
+  rollupSchedule, rollupToCsv
+} = LoanEngine;
+
 /* ---------- DOM Builders for ROI & Prepayments ---------- */
 function createRoiElement(pref = {}) {
   const dom = document.createElement('div');
@@ -135,15 +40,25 @@ function createRoiElement(pref = {}) {
       <div class="col-2 text-end">
         <button class="remove-roi btn btn-sm btn-danger">✕</button>
       </div>
+      <div class="col-12">
+        <label class="form-label small">On reset</label>
+        <select class="rpolicy form-select form-select-sm">
+          <option value="default">Bank default</option>
+          <option value="keepEmi">Keep EMI, extend tenure</option>
+          <option value="keepTenure">Keep tenure, revise EMI</option>
+        </select>
+      </div>
     </div>
   `;
 
   if (pref.date) dom.querySelector('.rdate').value = pref.date;
   if (pref.rate !== undefined) dom.querySelector('.rrate').value = pref.rate;
+  if (pref.policy) dom.querySelector('.rpolicy').value = pref.policy;
 
   dom.querySelector('.remove-roi').addEventListener('click', () => { dom.remove(); scheduleSave(); });
   dom.querySelector('.rdate').addEventListener('change', scheduleSave);
   dom.querySelector('.rrate').addEventListener('input', scheduleSave);
+  dom.querySelector('.rpolicy').addEventListener('change', scheduleSave);
 
   return dom;
 }
@@ -185,6 +100,35 @@ function createPrepayElement(pref = {}) {
         <button class="remove-pre btn btn-sm btn-danger">✕</button>
       </div>
     </div>
+
+    <label class="ponce form-check small mt-1">
+      <input class="pforeclose form-check-input" type="checkbox">
+      Foreclosure: pay off the whole balance (foreclosure penalty applies)
+    </label>
+
+    <div class="precurring row g-2 align-items-end mt-0 d-none">
+      <div class="col-6">
+        <label class="form-label small">Every</label>
+        <select class="pfreq form-select form-select-sm">
+          ${Object.entries(LoanEngine.FREQUENCY_LABELS).map(([k, v]) => `<option value="${k}">${v}</option>`).join('')}
+        </select>
+      </div>
+
+      <div class="col-6">
+        <label class="form-label small">Growth % / year</label>
+        <input class="pgrowth form-control form-control-sm" type="number" step="0.5" placeholder="0">
+      </div>
+
+      <div class="col-6">
+        <label class="form-label small">Until (optional)</label>
+        <input class="pend form-control form-control-sm" type="date">
+      </div>
+
+      <div class="col-6">
+        <label class="form-label small">No. of payments</label>
+        <input class="pcount form-control form-control-sm" type="number" min="0" placeholder="Unlimited">
+      </div>
+    </div>
   `;
 
   /* restore values */
@@ -192,6 +136,20 @@ function createPrepayElement(pref = {}) {
   if (pref.amount !== undefined) dom.querySelector('.pamt').value = pref.amount;
   if (pref.date) dom.querySelector('.pdate').value = pref.date;
   if (pref.strategy) dom.querySelector('.pstrategy').value = pref.strategy;
+  if (pref.frequency) dom.querySelector('.pfreq').value = pref.frequency;
+  if (pref.growthPct) dom.querySelector('.pgrowth').value = pref.growthPct;
+  if (pref.endDate) dom.querySelector('.pend').value = pref.endDate;
+  if (pref.count) dom.querySelector('.pcount').value = pref.count;
+  dom.querySelector('.pforeclose').checked = pref.foreclose === true || pref.foreclose === 'true';
+
+  const showRecurring = () => {
+    const recurring = dom.querySelector('.ptype').value === 'recurring';
+    dom.querySelector('.precurring').classList.toggle('d-none', !recurring);
+    dom.querySelector('.ponce').classList.toggle('d-none', recurring);
+    // a foreclosure pays whatever is left, so its amount is not used
+    dom.querySelector('.pamt').disabled = !recurring && dom.querySelector('.pforeclose').checked;
+  };
+  showRecurring();
 
   /* events (UNCHANGED LOGIC) */
   dom.querySelector('.remove-pre').addEventListener('click', () => {
@@ -199,14 +157,246 @@ function createPrepayElement(pref = {}) {
     scheduleSave();
   });
 
-  dom.querySelector('.ptype').addEventListener('change', scheduleSave);
+  dom.querySelector('.ptype').addEventListener('change', () => { showRecurring(); scheduleSave(); });
   dom.querySelector('.pamt').addEventListener('input', scheduleSave);
   dom.querySelector('.pdate').addEventListener('change', scheduleSave);
   dom.querySelector('.pstrategy').addEventListener('change', scheduleSave);
+  dom.querySelector('.pforeclose').addEventListener('change', () => { showRecurring(); scheduleSave(); });
+  dom.querySelector('.pfreq').addEventListener('change', scheduleSave);
+  dom.querySelector('.pgrowth').addEventListener('input', scheduleSave);
+  dom.querySelector('.pend').addEventListener('change', scheduleSave);
+  dom.querySelector('.pcount').addEventListener('input', scheduleSave);
+
+  return dom;
+}
+
+
+/* "Quarterly, 8 payments, +5%/yr" */
+function recurringLabel(p){
+  const parts = [LoanEngine.FREQUENCY_LABELS[p.frequency] || 'Monthly'];
+  if(p.count) parts.push(`${p.count} payments`);
+  if(p.endDate) parts.push(`until ${formatNice(parseYmd(p.endDate))}`);
+  if(p.growthPct) parts.push(`+${p.growthPct}%/yr`);
+  return parts.join(', ');
+}
+
+
+function createTrancheElement(pref = {}) {
+  const dom = document.createElement('div');
+  dom.className = 'list-item border rounded p-2 mb-2';
+
+  dom.innerHTML = `
+    <div class="row g-2 align-items-end">
+      <div class="col-5">
+        <label class="form-label small">Date</label>
+        <input class="tdate form-control form-control-sm" type="date">
+      </div>
+      <div class="col-5">
+        <label class="form-label small">Amount</label>
+        <input class="tamt form-control form-control-sm" type="number" placeholder="Amount">
+      </div>
+      <div class="col-2 text-end">
+        <button class="remove-tranche btn btn-sm btn-danger">✕</button>
+      </div>
+    </div>
+  `;
+
+  if (pref.date) dom.querySelector('.tdate').value = pref.date;
+  if (pref.amount !== undefined) dom.querySelector('.tamt').value = pref.amount;
+
+  dom.querySelector('.remove-tranche').addEventListener('click', () => { dom.remove(); scheduleSave(); });
+  dom.querySelector('.tdate').addEventListener('change', scheduleSave);
+  dom.querySelector('.tamt').addEventListener('input', scheduleSave);
+
+  return dom;
+}
+
+
+function createHolidayElement(pref = {}) {
+  const dom = document.createElement('div');
+  dom.className = 'list-item border rounded p-2 mb-2';
+
+  dom.innerHTML = `
+    <div class="row g-2 align-items-end">
+      <div class="col-5">
+        <label class="form-label small">From</label>
+        <input class="hstart form-control form-control-sm" type="date">
+      </div>
+      <div class="col-5">
+        <label class="form-label small">To</label>
+        <input class="hend form-control form-control-sm" type="date">
+      </div>
+      <div class="col-2 text-end">
+        <button class="remove-holiday btn btn-sm btn-danger">✕</button>
+      </div>
+      <div class="col-6">
+        <label class="form-label small">Interest</label>
+        <select class="hinterest form-select form-select-sm">
+          <option value="capitalize">Added to principal</option>
+          <option value="interestOnly">Paid (interest only)</option>
+        </select>
+      </div>
+      <div class="col-6">
+        <label class="form-label small">After holiday</label>
+        <select class="hresume form-select form-select-sm">
+          <option value="extendTenure">Extend tenure</option>
+          <option value="raiseEmi">Raise EMI</option>
+        </select>
+      </div>
+    </div>
+  `;
+
+  const fields = { start: '.hstart', end: '.hend', interest: '.hinterest', resume: '.hresume' };
+  Object.entries(fields).forEach(([key, sel]) => {
+    if (pref[key]) dom.querySelector(sel).value = pref[key];
+    dom.querySelector(sel).addEventListener('change', scheduleSave);
+  });
+
+  dom.querySelector('.remove-holiday').addEventListener('click', () => { dom.remove(); scheduleSave(); });
+
+  return dom;
+}
+
+
+function createLedgerElement(pref = {}) {
+  const dom = document.createElement('div');
+  dom.className = 'list-item border rounded p-2 mb-2';
+
+  dom.innerHTML = `
+    <div class="row g-2 align-items-end">
+      <div class="col-5">
+        <label class="form-label small">Paid on</label>
+        <input class="ldate form-control form-control-sm" type="date">
+      </div>
+      <div class="col-3">
+        <label class="form-label small">EMI paid</label>
+        <input class="lpaid form-control form-control-sm" type="number" placeholder="0 = missed">
+      </div>
+      <div class="col-3">
+        <label class="form-label small">Extra</label>
+        <input class="lextra form-control form-control-sm" type="number" placeholder="Extra">
+      </div>
+      <div class="col-1 text-end">
+        <button class="remove-ledger btn btn-sm btn-danger">✕</button>
+      </div>
+
+      <div class="col-4">
+        <label class="form-label small">Charges</label>
+        <input class="lcharges form-control form-control-sm" type="number" placeholder="Bounce etc.">
+      </div>
+      <div class="col-4">
+        <label class="form-label small">Bank interest</label>
+        <input class="lbint form-control form-control-sm" type="number" placeholder="Optional">
+      </div>
+      <div class="col-4">
+        <label class="form-label small">Bank closing</label>
+        <input class="lbclose form-control form-control-sm" type="number" placeholder="Optional">
+      </div>
+    </div>
+  `;
+
+  const fields = { date: '.ldate', paid: '.lpaid', extra: '.lextra', charges: '.lcharges', bankInterest: '.lbint', bankClosing: '.lbclose' };
+  Object.entries(fields).forEach(([key, sel]) => {
+    if (pref[key] !== undefined && pref[key] !== null) dom.querySelector(sel).value = pref[key];
+    dom.querySelector(sel).addEventListener(key === 'date' ? 'change' : 'input', scheduleSave);
+  });
+  dom.dataset.note = pref.note || '';
+
+  dom.querySelector('.remove-ledger').addEventListener('click', () => { dom.remove(); scheduleSave(); });
+
+  return dom;
+}
+
+
+function createBorrowerElement(pref = {}) {
+  const dom = document.createElement('div');
+  dom.className = 'list-item border rounded p-2 mb-2';
+
+  dom.innerHTML = `
+    <div class="row g-2 align-items-end">
+      <div class="col-5">
+        <label class="form-label small">Borrower</label>
+        <input class="bname form-control form-control-sm" placeholder="Name">
+      </div>
+      <div class="col-3">
+        <label class="form-label small">Share %</label>
+        <input class="bshare form-control form-control-sm" type="number" step="0.01">
+      </div>
+      <div class="col-3">
+        <label class="form-label small">Regime</label>
+        <select class="bregime form-select form-select-sm">
+          <option value="old">Old</option>
+          <option value="new">New</option>
+        </select>
+      </div>
+      <div class="col-1 text-end">
+        <button class="remove-borrower btn btn-sm btn-danger">✕</button>
+      </div>
+      <div class="col-6">
+        <label class="form-label small">Slab % (incl. cess)</label>
+        <input class="bslab form-control form-control-sm" type="number" step="0.1">
+      </div>
+      <div class="col-6">
+        <label class="form-label small">Other 80C used</label>
+        <input class="b80c form-control form-control-sm" type="number">
+      </div>
+    </div>
+  `;
+
+  const fields = { name: '.bname', share: '.bshare', regime: '.bregime', slab: '.bslab', other80C: '.b80c' };
+  Object.entries(fields).forEach(([key, sel]) => {
+    if (pref[key] !== undefined) dom.querySelector(sel).value = pref[key];
+    dom.querySelector(sel).addEventListener(key === 'regime' ? 'change' : 'input', scheduleSave);
+  });
+
+  dom.querySelector('.remove-borrower').addEventListener('click', () => { dom.remove(); scheduleSave(); });
+
+  return dom;
+}
+
+const DEFAULT_BORROWER = { name: 'Borrower 1', share: 100, regime: 'old', slab: 31.2, other80C: 0 };
+
+function createApplicantElement(pref = {}) {
+  const dom = document.createElement('div');
+  dom.className = 'list-item border rounded p-2 mb-2';
+
+  dom.innerHTML = `
+    <div class="row g-2 align-items-end">
+      <div class="col-5">
+        <label class="form-label small">Applicant</label>
+        <input class="aname form-control form-control-sm" placeholder="Name">
+      </div>
+      <div class="col-6">
+        <label class="form-label small">Net income / month</label>
+        <input class="aincome form-control form-control-sm" type="number">
+      </div>
+      <div class="col-1 text-end">
+        <button class="remove-applicant btn btn-sm btn-danger">✕</button>
+      </div>
+      <div class="col-6">
+        <label class="form-label small">Existing EMIs</label>
+        <input class="aemi form-control form-control-sm" type="number">
+      </div>
+      <div class="col-6">
+        <label class="form-label small">Age</label>
+        <input class="aage form-control form-control-sm" type="number">
+      </div>
+    </div>
+  `;
+
+  const fields = { name: '.aname', income: '.aincome', existingEmi: '.aemi', age: '.aage' };
+  Object.entries(fields).forEach(([key, sel]) => {
+    if (pref[key] !== undefined) dom.querySelector(sel).value = pref[key];
+    dom.querySelector(sel).addEventListener('input', scheduleSave);
+  });
+
+  dom.querySelector('.remove-applicant').addEventListener('click', () => { dom.remove(); scheduleSave(); });
 
   return dom;
 }
 
+const DEFAULT_APPLICANT = { name: 'Applicant 1', income: 0, existingEmi: 0, age: 30 };
+
 
 /* ---------- Handlers ---------- */
 $('addRoi').addEventListener('click', ()=> {
@@ -219,11 +409,165 @@ $('addPrepay').addEventListener('click', ()=> {
   scheduleSave();
 });
 $('clearPrepay').addEventListener('click', ()=> { $('prepayList').innerHTML = ''; scheduleSave(); });
+$('addTranche').addEventListener('click', ()=> {
+  // suggest the part of the sanctioned amount not yet scheduled
+  const scheduled = [...document.querySelectorAll('#trancheList .tamt')].reduce((s, el) => s + (parseFloat(el.value) || 0), 0);
+  const remaining = Math.max(0, (parseFloat($('principal').value) || 0) - scheduled);
+  const last = [...document.querySelectorAll('#trancheList .tdate')].map(el => el.value).filter(Boolean).sort().pop();
+  const date = last ? ymd(addMonths(parseYmd(last), 6)) : ($('startDate').value || ymd(new Date()));
+  $('trancheList').appendChild(createTrancheElement({date, amount: remaining}));
+  scheduleSave();
+});
+$('clearTranche').addEventListener('click', ()=> { $('trancheList').innerHTML = ''; scheduleSave(); });
+$('addHoliday').addEventListener('click', ()=> {
+  const start = ymd(new Date());
+  $('holidayList').appendChild(createHolidayElement({start, end: ymd(addMonths(parseYmd(start), 5))}));
+  scheduleSave();
+});
+$('clearHoliday').addEventListener('click', ()=> { $('holidayList').innerHTML = ''; scheduleSave(); });
+$('addLedger').addEventListener('click', ()=> {
+  const last = [...document.querySelectorAll('#ledgerList .ldate')].map(el => el.value).filter(Boolean).sort().pop();
+  const date = last ? ymd(addMonths(parseYmd(last), 1)) : ($('startDate').value || ymd(new Date()));
+  $('ledgerList').appendChild(createLedgerElement({date, paid: Math.round((window._last?.baseline?.baseEmi || 0)*100)/100}));
+  scheduleSave();
+});
+$('clearLedger').addEventListener('click', ()=> { $('ledgerList').innerHTML = ''; scheduleSave(); });
+$('addBorrower').addEventListener('click', ()=> {
+  const n = $('borrowerList').children.length + 1;
+  $('borrowerList').appendChild(createBorrowerElement({ ...DEFAULT_BORROWER, name: `Borrower ${n}`, share: 0 }));
+  scheduleSave();
+});
+$('addApplicant').addEventListener('click', ()=> {
+  const n = $('applicantList').children.length + 1;
+  $('applicantList').appendChild(createApplicantElement({ ...DEFAULT_APPLICANT, name: `Applicant ${n}` }));
+  scheduleSave();
+});
+
+/* ---------- Bank statement import (CSV + column mapping) ---------- */
+const STATEMENT_FIELDS = [
+  ['date', 'Date', /date/i],
+  ['paid', 'EMI / payment (credit)', /credit|paid|payment|deposit/i],
+  ['extra', 'Extra / part payment', /part|prepay|extra/i],
+  ['charges', 'Charges (debit)', /charge|debit|fee|penal/i],
+  ['interest', 'Interest', /interest/i],
+  ['closing', 'Closing balance', /balance|outstanding|closing/i]
+];
+
+function showStatementMapping(parsed){
+  const box = $('statementMapping');
+  box.innerHTML = `<div class="small fw-bold mb-1">Map statement columns (${parsed.rows.length} rows)</div>
+    ${STATEMENT_FIELDS.map(([key, label]) => `
+      <div class="row g-1 mb-1 align-items-center">
+        <div class="col-5 small">${label}</div>
+        <div class="col-7"><select data-field="${key}" class="form-select form-select-sm"><option value="">— skip —</option></select></div>
+      </div>`).join('')}
+    <button class="apply-mapping btn btn-sm btn-primary mt-1">Import rows</button>
+    <button class="cancel-mapping btn btn-sm btn-secondary mt-1">Cancel</button>`;
+
+  // column names come from the file, so they are added as text
+  box.querySelectorAll('select').forEach(sel => parsed.headers.forEach(h => sel.add(new Option(h, h))));
+
+  // guess the obvious columns
+  STATEMENT_FIELDS.forEach(([key, , pattern]) => {
+    const guess = parsed.headers.find(h => pattern.test(h));
+    if(guess) box.querySelector(`[data-field="${key}"]`).value = guess;
+  });
+
+  box.querySelector('.cancel-mapping').addEventListener('click', () => { box.classList.add('d-none'); box.innerHTML = ''; });
+  box.querySelector('.apply-mapping').addEventListener('click', () => {
+    const mapping = {};
+    box.querySelectorAll('[data-field]').forEach(sel => { mapping[sel.dataset.field] = sel.value; });
+    try {
+      const { ledger, skipped } = LoanEngine.statementToLedger(parsed.rows, mapping);
+      if(ledger.length === 0) throw new Error('No rows with a readable date');
+      if($('ledgerList').children.length && !confirm('Replace the existing ledger entries with this statement?')) return;
+      $('ledgerList').innerHTML = '';
+      ledger.forEach(e => $('ledgerList').appendChild(createLedgerElement(e)));
+      box.classList.add('d-none'); box.innerHTML = '';
+      scheduleSave();
+      calculateAll();
+      if(skipped) alert(`${ledger.length} rows imported, ${skipped} rows skipped (no readable date).`);
+    } catch(err){
+      alert('Statement import failed: ' + err.message);
+    }
+  });
+  box.classList.remove('d-none');
+}
+
+$('importStatement').addEventListener('click', ()=> $('statementFileInput').click());
+$('statementFileInput').addEventListener('change', function(){
+  const file = this.files[0];
+  if(!file) return;
+  const reader = new FileReader();
+  reader.onload = e => {
+    try { showStatementMapping(LoanEngine.parseCsv(e.target.result)); }
+    catch(err){ alert('Could not read statement: ' + err.message); }
+  };
+  reader.readAsText(file);
+  this.value = '';
+});
+
+/* ---------- Repayment structure ---------- */
+function showRepaymentFields(){
+  const type = $('repaymentType').value;
+  $('repaymentStepBox').classList.toggle('d-none', type !== 'stepUp' && type !== 'stepDown');
+  $('repaymentBalloonBox').classList.toggle('d-none', type !== 'balloon');
+}
+$('repaymentType').addEventListener('change', ()=> { showRepaymentFields(); scheduleSave(); });
+
+/* ---------- Benchmark-linked rate ---------- */
+let benchmarkHistory = [];
+
+function showBenchmarkBox(){
+  $('benchmarkBox').classList.toggle('d-none', $('rateModel').value !== 'benchmark');
+}
+
+function renderBenchmarkStatus(){
+  const n = benchmarkHistory.length;
+  $('benchmarkStatus').textContent = n
+    ? `${n} benchmark points, latest ${benchmarkHistory[n-1].rate.toFixed(2)}% on ${formatNice(parseYmd(benchmarkHistory[n-1].date))}`
+    : 'No benchmark history imported yet.';
+}
+
+/* generated resets, shown apart from the manual rows in #roiList */
+function renderBenchmarkTimeline(loan){
+  const generated = loan.roiChanges.filter(r => r.source === 'benchmark');
+  if(loan.rateModel !== 'benchmark' || generated.length === 0){ $('benchmarkTimeline').innerHTML = ''; return; }
+  $('benchmarkTimeline').innerHTML = `<table class="table table-sm table-bordered small mb-1">
+    <thead class="table-light"><tr><th>Reset</th><th class="bmname"></th><th>Effective</th><th>Lag</th></tr></thead>
+    <tbody>${generated.map(g => `<tr class="table-info">
+      <td>${formatNice(parseYmd(g.date))} <span class="badge bg-info text-dark">auto</span></td>
+      <td>${g.benchmarkRate.toFixed(2)}% <span class="small-muted">(${formatNice(parseYmd(g.benchmarkDate))})</span></td>
+      <td>${g.rate.toFixed(2)}%</td>
+      <td>${g.lagDays} d</td>
+    </tr>`).join('')}</tbody>
+  </table>`;
+  $('benchmarkTimeline').querySelector('.bmname').textContent = loan.benchmark.name;
+}
+
+$('rateModel').addEventListener('change', ()=> { showBenchmarkBox(); scheduleSave(); });
+$('importBenchmark').addEventListener('click', ()=> $('benchmarkFileInput').click());
+$('benchmarkFileInput').addEventListener('change', function(){
+  const file = this.files[0];
+  if(!file) return;
+  const reader = new FileReader();
+  reader.onload = e => {
+    try {
+      benchmarkHistory = LoanEngine.parseBenchmarkHistory(e.target.result);
+      renderBenchmarkStatus();
+      scheduleSave();
+      calculateAll();
+    } catch(err){
+      alert('Could not read benchmark file: ' + err.message);
+    }
+  };
+  reader.readAsText(file);
+  this.value = '';
+});
 
 /* ---------- Chart (compare baseline vs withPrepay) ---------- */
 let chartInst = null;
-function renderCompareChart(baseline, withPrepay){
-  const ctx = $('compareChart');
+function balanceChartConfig(baseline, withPrepay){
   // union dates (YYYY-MM-DD)
   const set = new Set();
   baseline.rows.forEach(r => set.add(ymd(r.date)));
@@ -233,10 +577,8 @@ function renderCompareChart(baseline, withPrepay){
   const mapPre = new Map(withPrepay.rows.map(r => [ymd(r.date), r.closing]));
   const baseData = allDates.map(d => mapBase.has(d) ? mapBase.get(d) : null);
   const preData = allDates.map(d => mapPre.has(d) ? mapPre.get(d) : null);
-  const labels = allDates.map(d => (new Date(d + 'T00:00:00')).toLocaleDateString(undefined,{month:'short',year:'numeric'}));
-
-  if(chartInst) chartInst.destroy();
-  chartInst = new Chart(ctx, {
+  const labels = allDates.map(d => formatMonth(parseYmd(d)));
+  return {
     type:'line',
     data:{
       labels,
@@ -245,42 +587,16 @@ function renderCompareChart(baseline, withPrepay){
         { label:'With Prepay', data: preData, borderColor:'#2563eb', borderWidth:2, spanGaps:true, fill:false, tension:0.2 }
       ]
     },
-    options:{plugins:{legend:{position:'top'}}, scales:{y:{beginAtZero:false}}}
-  });
+    options:{plugins:{legend:{position:'top'}, tooltip: moneyTooltip}, scales:{y: moneyScale({beginAtZero:false})}}
+  };
 }
 
-/* ---------- Per-prepayment marginal savings ----------
-   Approach:
-   - Sort prepayments chronologically.
-   - For i-th prepayment: compute schedule with prepayments[0..i-1] (prevSchedule)
-     then schedule with prepayments[0..i] (newSchedule)
-   - Marginal saving = interest(prev) - interest(new), months saved = months(prev)-months(new)
-*/
-function computePerPrepaySavings(principal, initialRate, totalMonths, startDate, prepayments, roiChanges){
-  const sorted = [...prepayments].sort((a,b)=> new Date(a.date) - new Date(b.date));
-  const results = [];
-  let applied = [];
-  // baseline for comparison (no prepayments)
-  const baselineAll = buildSchedule(principal, initialRate, totalMonths, startDate, [], roiChanges);
-  let prevSchedule = baselineAll;
-  for(let i=0;i<sorted.length;i++){
-    applied.push(sorted[i]);
-    const newSchedule = buildSchedule(principal, initialRate, totalMonths, startDate, applied, roiChanges);
-    const prevInterest = prevSchedule.rows.reduce((s,r)=>s+(r.interest||0),0);
-    const newInterest = newSchedule.rows.reduce((s,r)=>s+(r.interest||0),0);
-    const marginalInterestSaved = prevInterest - newInterest;
-    const monthsSaved = prevSchedule.monthsTaken - newSchedule.monthsTaken;
-    results.push({
-      prepay: sorted[i],
-      interestSaved: marginalInterestSaved,
-      monthsSaved
-    });
-    prevSchedule = newSchedule;
-  }
-  return results;
+function renderCompareChart(baseline, withPrepay){
+  if(chartInst) chartInst.destroy();
+  chartInst = new Chart($('compareChart'), balanceChartConfig(baseline, withPrepay));
 }
 
-/* ---------- Persistence (localStorage) ---------- */
+/* ---------- Persistence (appStore: IndexedDB, see loan-db.js) ---------- */
 const STORAGE_KEY = 'homeloanApp_state_v1';
 let saveTimer = null;
 function scheduleSave(){
@@ -289,104 +605,253 @@ function scheduleSave(){
   saveTimer = setTimeout(saveState, 450);
 }
 
+/* form -> plain state object (the shape stored by appStore and read by LoanEngine.normalizeLoan) */
+function collectFormState(){
+  return {
+    principal: $('principal').value,
+    years: $('years').value,
+    months: $('months').value,
+    startDate: $('startDate').value,
+    initialRate: $('initialRate').value,
+    interestConvention: $('interestConvention').value,
+    emiRoundTo: $('emiRoundTo').value,
+    rateResetDefault: $('rateResetDefault').value,
+    repayment: {
+      type: $('repaymentType').value,
+      stepPct: $('repaymentStepPct').value,
+      stepMonths: $('repaymentStepMonths').value,
+      balloonPct: $('repaymentBalloonPct').value
+    },
+    rateModel: $('rateModel').value,
+    benchmark: {
+      name: $('benchmarkName').value,
+      spread: $('benchmarkSpread').value,
+      resetMonths: $('benchmarkReset').value,
+      history: benchmarkHistory
+    },
+    roi: [...document.querySelectorAll('#roiList .list-item')].map(el=>({
+      date: el.querySelector('.rdate').value,
+      rate: el.querySelector('.rrate').value,
+      policy: el.querySelector('.rpolicy').value
+    })),
+    prepay: [...document.querySelectorAll('#prepayList .list-item')].map(el=>({
+      type: el.querySelector('.ptype').value,
+      amount: el.querySelector('.pamt').value,
+      date: el.querySelector('.pdate').value,
+      strategy: el.querySelector('.pstrategy').value,
+      ...(el.querySelector('.ptype').value === 'recurring' ? {
+        frequency: el.querySelector('.pfreq').value,
+        endDate: el.querySelector('.pend').value,
+        count: el.querySelector('.pcount').value,
+        growthPct: el.querySelector('.pgrowth').value
+      } : el.querySelector('.pforeclose').checked ? { foreclose: true } : {})
+    })),
+    ledger: [...document.querySelectorAll('#ledgerList .list-item')].map(el=>({
+      date: el.querySelector('.ldate').value,
+      paid: el.querySelector('.lpaid').value,
+      extra: el.querySelector('.lextra').value,
+      charges: el.querySelector('.lcharges').value,
+      bankInterest: el.querySelector('.lbint').value,
+      bankClosing: el.querySelector('.lbclose').value,
+      note: el.dataset.note
+    })),
+    reconTolerance: $('reconTolerance').value,
+    holidays: [...document.querySelectorAll('#holidayList .list-item')].map(el=>({
+      start: el.querySelector('.hstart').value,
+      end: el.querySelector('.hend').value,
+      interest: el.querySelector('.hinterest').value,
+      resume: el.querySelector('.hresume').value
+    })),
+    disbursement: {
+      mode: $('disbursementMode').value,
+      tranches: [...document.querySelectorAll('#trancheList .list-item')].map(el=>({
+        date: el.querySelector('.tdate').value,
+        amount: el.querySelector('.tamt').value
+      }))
+    },
+    fees: {
+      processingPct: $('feeProcessingPct').value,
+      upfront: $('feeUpfront').value,
+      insurance: $('feeInsurance').value,
+      insuranceMode: $('feeInsuranceMode').value,
+      prepayPenaltyPct: $('feePrepayPct').value,
+      foreclosurePenaltyPct: $('feeForeclosurePct').value,
+      lockInMonths: $('feeLockIn').value,
+      annualFee: $('feeAnnual').value
+    },
+    tax: {
+      propertyType: $('taxPropertyType').value,
+      netRent: $('taxNetRent').value,
+      borrowers: [...document.querySelectorAll('#borrowerList .list-item')].map(el=>({
+        name: el.querySelector('.bname').value,
+        share: el.querySelector('.bshare').value,
+        regime: el.querySelector('.bregime').value,
+        slab: el.querySelector('.bslab').value,
+        other80C: el.querySelector('.b80c').value
+      }))
+    },
+    eligibility: {
+      applicants: [...document.querySelectorAll('#applicantList .list-item')].map(el=>({
+        name: el.querySelector('.aname').value,
+        income: el.querySelector('.aincome').value,
+        existingEmi: el.querySelector('.aemi').value,
+        age: el.querySelector('.aage').value
+      })),
+      propertyValue: $('eligProperty').value,
+      downPayment: $('eligDown').value,
+      foirPct: $('eligFoir').value,
+      ltvPct: $('eligLtv').value,
+      comfortPct: $('eligComfort').value,
+      retirementAge: $('eligRetire').value,
+      maxTenureYears: $('eligMaxYears').value,
+      rate: $('eligRate').value
+    }
+  };
+}
+
 function saveState(){
+  if(isSharedView()) return;
   try {
-    const state = {
-      principal: $('principal').value,
-      years: $('years').value,
-      months: $('months').value,
-      startDate: $('startDate').value,
-      initialRate: $('initialRate').value,
-      roi: [...document.querySelectorAll('#roiList .list-item')].map(el=>({
-        date: el.querySelector('.rdate').value,
-        rate: el.querySelector('.rrate').value
-      })),
-      prepay: [...document.querySelectorAll('#prepayList .list-item')].map(el=>({
-        type: el.querySelector('.ptype').value,
-        amount: el.querySelector('.pamt').value,
-        date: el.querySelector('.pdate').value,
-        strategy: el.querySelector('.pstrategy').value
-      }))
-    };
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(state));
+    const json = JSON.stringify(collectFormState());
+    appStore.setItem(STORAGE_KEY, json);
+    recordStep(json);
     // console.log('Saved state');
   } catch(e){ console.warn('Save failed', e); }
 }
 
-function loadState(){
+/* fills the form from `state`, or from the saved scratch state when none is given */
+function loadState(state){
   try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if(!raw) return false;
-    const state = JSON.parse(raw);
+    if(!state){
+      const raw = appStore.getItem(STORAGE_KEY);
+      if(!raw) return false;
+      state = JSON.parse(raw);
+    }
     if(state.principal !== undefined) $('principal').value = state.principal;
     if(state.years !== undefined) $('years').value = state.years;
     if(state.months !== undefined) $('months').value = state.months;
     if(state.startDate !== undefined && state.startDate) $('startDate').value = state.startDate;
     if(state.initialRate !== undefined) $('initialRate').value = state.initialRate;
+    $('interestConvention').value = state.interestConvention || '30/360';
+    $('emiRoundTo').value = LoanEngine.EMI_ROUNDING.includes(parseFloat(state.emiRoundTo)) ? String(parseFloat(state.emiRoundTo)) : '0';
+    $('rateResetDefault').value = state.rateResetDefault || 'keepEmi';
+    const repayment = state.repayment || {};
+    $('repaymentType').value = repayment.type || 'level';
+    $('repaymentStepPct').value = repayment.stepPct !== undefined ? repayment.stepPct : 5;
+    $('repaymentStepMonths').value = repayment.stepMonths || 12;
+    $('repaymentBalloonPct').value = repayment.balloonPct !== undefined ? repayment.balloonPct : 20;
+    showRepaymentFields();
+    $('rateModel').value = state.rateModel || 'manual';
+    const bm = state.benchmark || {};
+    $('benchmarkName').value = bm.name || '';
+    if(bm.spread !== undefined) $('benchmarkSpread').value = bm.spread;
+    $('benchmarkReset').value = bm.resetMonths || '3';
+    // a bad point (e.g. from an old link or a hand-edited import) is dropped, not allowed to stop the load
+    benchmarkHistory = (Array.isArray(bm.history) ? bm.history : [])
+      .map(h => ({ date: h && h.date, rate: parseFloat(h && h.rate) }))
+      .filter(h => /^\d{4}-\d{2}-\d{2}$/.test(h.date || '') && !isNaN(h.rate));
+    showBenchmarkBox();
+    renderBenchmarkStatus();
 
     // rebuild lists
     $('roiList').innerHTML = '';
     (state.roi || []).forEach(r => {
-      if(r && r.date) $('roiList').appendChild(createRoiElement({date: r.date, rate: r.rate}));
+      if(r && r.date) $('roiList').appendChild(createRoiElement({date: r.date, rate: r.rate, policy: r.policy}));
     });
 
     $('prepayList').innerHTML = '';
     (state.prepay || []).forEach(p => {
-      if(p && p.date) $('prepayList').appendChild(createPrepayElement({type:p.type, amount:p.amount, date:p.date, strategy:p.strategy}));
+      if(p && p.date) $('prepayList').appendChild(createPrepayElement(p));
+    });
+
+    $('ledgerList').innerHTML = '';
+    (state.ledger || []).forEach(e => {
+      if(e && e.date) $('ledgerList').appendChild(createLedgerElement(e));
+    });
+    $('reconTolerance').value = state.reconTolerance !== undefined ? state.reconTolerance : 1;
+
+    $('holidayList').innerHTML = '';
+    (state.holidays || []).forEach(h => {
+      if(h && h.start) $('holidayList').appendChild(createHolidayElement(h));
+    });
+
+    const disbursement = state.disbursement || {};
+    $('disbursementMode').value = disbursement.mode || 'preEmi';
+    $('trancheList').innerHTML = '';
+    (disbursement.tranches || []).forEach(t => {
+      if(t && t.date) $('trancheList').appendChild(createTrancheElement(t));
     });
 
+    const fees = state.fees || {};
+    $('feeProcessingPct').value = fees.processingPct || 0;
+    $('feeUpfront').value = fees.upfront || 0;
+    $('feeInsurance').value = fees.insurance || 0;
+    $('feeInsuranceMode').value = fees.insuranceMode || 'upfront';
+    $('feePrepayPct').value = fees.prepayPenaltyPct || 0;
+    $('feeForeclosurePct').value = fees.foreclosurePenaltyPct || 0;
+    $('feeLockIn').value = fees.lockInMonths || 0;
+    $('feeAnnual').value = fees.annualFee || 0;
+
+    const tax = state.tax || {};
+    $('taxPropertyType').value = tax.propertyType || 'selfOccupied';
+    $('taxNetRent').value = tax.netRent || 0;
+    $('borrowerList').innerHTML = '';
+    (tax.borrowers && tax.borrowers.length ? tax.borrowers : [DEFAULT_BORROWER]).forEach(b => {
+      $('borrowerList').appendChild(createBorrowerElement(b));
+    });
+
+    const elig = { ...LoanEligibility.DEFAULTS, propertyValue: 0, downPayment: 0, rate: 8.5, ...(state.eligibility || {}) };
+    $('applicantList').innerHTML = '';
+    (elig.applicants && elig.applicants.length ? elig.applicants : [DEFAULT_APPLICANT]).forEach(a => {
+      $('applicantList').appendChild(createApplicantElement(a));
+    });
+    $('eligProperty').value = elig.propertyValue;
+    $('eligDown').value = elig.downPayment;
+    $('eligFoir').value = elig.foirPct;
+    $('eligLtv').value = elig.ltvPct;
+    $('eligComfort').value = elig.comfortPct;
+    $('eligRetire').value = elig.retirementAge;
+    $('eligMaxYears').value = elig.maxTenureYears;
+    $('eligRate').value = elig.rate;
+
     return true;
   } catch(e){ console.warn('Load failed', e); return false; }
 }
 
 /* ---------- Main calculate & render ---------- */
 function calculateAll(){
-  const P = parseFloat($('principal').value) || 0;
-  const initialRate = parseFloat($('initialRate').value) || 0;
-  const years = parseInt($('years').value) || 0;
-  const extraMonths = parseInt($('months').value) || 0;
-  const totalMonths = years*12 + extraMonths;
-  const startDateVal = $('startDate').value;
-  const startDate = startDateVal ? new Date(startDateVal + 'T00:00:00') : new Date();
-
-  // collect ROI changes and sort ascending
-  const roiChanges = [...document.querySelectorAll('#roiList .list-item')].map(el=>({
-    date: el.querySelector('.rdate').value,
-    rate: parseFloat(el.querySelector('.rrate').value)
-  })).filter(r=>r.date && !isNaN(r.rate)).sort((a,b)=> new Date(a.date) - new Date(b.date));
-
-  // collect prepayments (filter invalid)
-  const prepayments = [...document.querySelectorAll('#prepayList .list-item')].map(el=>({
-    type: el.querySelector('.ptype').value,
-    amount: parseFloat(el.querySelector('.pamt').value) || 0,
-    date: el.querySelector('.pdate').value,
-    strategy: el.querySelector('.pstrategy').value
-  })).filter(p=>p.date && p.amount > 0).sort((a,b)=> new Date(a.date) - new Date(b.date));
-
-  // baseline and withPrepay schedules
-const baseline = buildSchedule(P, initialRate, totalMonths, startDate, [], []);
-
-  const withPrepay = buildSchedule(P, initialRate, totalMonths, startDate, prepayments, roiChanges);
+  // baseline and withPrepay schedules (see LoanEngine.calculateLoan)
+  const formState = collectFormState();
+  const result = calculateLoan(formState);
+  const { loan, baseline, withPrepay } = result;
+  const { startDate, roiChanges, prepayments } = loan;
 
   // summary numbers
-  const baseInterest = baseline.rows.reduce((s,r)=>s + (r.interest||0), 0);
-  const baseTotal = baseline.rows.reduce((s,r)=>s + (r.emi||0), 0);
-  const withInterest = withPrepay.rows.reduce((s,r)=>s + (r.interest||0), 0);
-  $('interestWithPrepay').textContent = fmt(withInterest);
-
-  const withTotal = withPrepay.rows.reduce((s,r)=>s + (r.emi||0) + (r.prepay||0), 0);
-
-  $('emi').textContent = fmt(baseline.baseEmi || 0);
-$('totalInterest').textContent = fmt(baseInterest) + " (Actual Payable)";
-  $('totalPayment').textContent = fmt(baseTotal);
+  const baseInterest = result.summary.baseline.interest;
+  const baseTotal = result.summary.baseline.totalPaid;
+  const withInterest = result.summary.withPrepay.interest;
+  showAmount('interestWithPrepay', withInterest);
+
+  showAmount('emi', baseline.baseEmi || 0);
+  if(loan.repayment.stepPct && baseline.rows.length){
+    $('emi').textContent += ` → ${fmtMoney(baseline.rows[baseline.rows.length-1].emiDue)}`;
+  }
+showAmount('totalInterest', baseInterest, " (Actual Payable)");
+  showAmount('totalPayment', baseTotal);
+  showPrincipalWords();
 
-  const savedInterest = baseInterest - withInterest;
-  const savedMonths = baseline.monthsTaken - withPrepay.monthsTaken;
+  const savedInterest = result.summary.interestSaved;
+  const savedMonths = result.summary.monthsSaved;
 $('afterPrepay').textContent =
-  `Interest Saved: ${fmt(baseInterest)} − ${fmt(withInterest)} = ${fmt(savedInterest)}`;
+  `Interest Saved: ${fmtMoney(baseInterest)} − ${fmtMoney(withInterest)} = ${fmtMoney(savedInterest)}`;
 $('tenureReduced').textContent =
   `Tenure Reduced: ${fmt(savedMonths)} months`;
 
+  // true cost: EMIs + prepayments + every fee and penalty, and the XIRR of those cash flows
+  const pre = result.summary.withPrepay;
+  $('costBadge').textContent = `True cost: ${fmtMoney(pre.totalCost)} (charges ${fmtMoney(pre.charges.total)})` +
+    (pre.xirr !== null ? ` | Effective rate (XIRR): ${(pre.xirr*100).toFixed(2)}%` : '');
+
   // Remaining months countdown (live)
 // Remaining months from today
 const today = new Date();
@@ -398,28 +863,15 @@ $('remainingCountdown').textContent =
     `Remaining: ${remainingMonths} months (${yearsLeft}y ${monthsLeft}m)`;
 
   // table (with prepay)
-  const tbody = $('scheduleTable').querySelector('tbody');
-  tbody.innerHTML = '';
-  withPrepay.rows.forEach(r=>{
-    const tr = document.createElement('tr');
-    tr.innerHTML = `<td style="text-align:center">${r.month}</td>
-                    <td style="text-align:center">${formatNice(r.date)}</td>
-                    <td>${(r.roi||0).toFixed(2)}</td>
-                    <td>${fmt(r.opening)}</td>
-                    <td>${fmt(r.emi)}</td>
-                    <td>${fmt(r.interest)}</td>
-                    <td>${fmt(r.principal)}</td>
-                    <td>${fmt(r.prepay)}</td>
-                    <td>${fmt(r.closing)}</td>`;
-    tbody.appendChild(tr);
-  });
+  renderScheduleTable(withPrepay.rows);
 
 
   // chart
   try { renderCompareChart(baseline, withPrepay); } catch(e){ console.warn('Chart render failed', e); }
+  try { renderYearlyChart(withPrepay.rows); } catch(e){ console.warn('Chart render failed', e); }
 
   // per-prepayment marginal savings
-  const perSavings = computePerPrepaySavings(P, initialRate, totalMonths, startDate, prepayments, roiChanges);
+  const perSavings = result.perPrepay;
   const savingsList = $('savingsList');
   savingsList.innerHTML = '';
   if(perSavings.length === 0) savingsList.innerHTML = '<div class="muted">No prepayments defined.</div>';
@@ -427,198 +879,1033 @@ $('remainingCountdown').textContent =
     const p = s.prepay;
     const node = document.createElement('div');
     node.style.padding = '6px 0';
-    node.innerHTML = `<strong>Prepayment ${idx+1}:</strong> ${formatNice(new Date(p.date + 'T00:00:00'))} — ${fmt(p.amount)} — <em>${p.strategy}</em>
-      <div class="muted">Interest saved: ${fmt(s.interestSaved)} | Months saved: ${s.monthsSaved}</div>`;
+    node.innerHTML = `<strong>Prepayment ${idx+1}:</strong> ${formatNice(new Date(p.date + 'T00:00:00'))} — ${p.foreclose ? `foreclosure, ${fmtMoney(s.prepaid)}` : fmtMoney(p.amount)} — <em>${p.strategy}</em>${p.type === 'recurring' ? ` <span class="badge bg-light text-dark border">${recurringLabel(p)}</span>` : ''}
+      <div class="muted">${p.type === 'recurring' ? `Prepaid: ${fmtMoney(s.prepaid)} | ` : ''}Interest saved: ${fmtMoney(s.interestSaved)} | Months saved: ${s.monthsSaved}${s.penalty ? ` | Penalty: ${fmtMoney(s.penalty)} | Net: ${fmtMoney(s.interestSaved - s.penalty)}` : ''}</div>`;
+    savingsList.appendChild(node);
+  });
+  if(result.perYear.length > 1){
+    const node = document.createElement('div');
+    node.className = 'table-responsive mt-2';
+    node.innerHTML = `<table class="table table-sm small mb-0">
+      <thead><tr><th>Year</th><th class="text-end">Prepaid</th><th class="text-end">Interest saved</th><th class="text-end">Months saved</th></tr></thead>
+      <tbody>${result.perYear.map(y => `<tr><td>${y.year}</td><td class="text-end">${fmt(y.prepaid)}</td><td class="text-end">${fmt(y.interestSaved)}</td><td class="text-end">${y.monthsSaved}</td></tr>`).join('')}</tbody>
+    </table>`;
     savingsList.appendChild(node);
+  }
+
+  renderBenchmarkTimeline(loan);
+
+  // pre-EMI phase cost (under-construction loans)
+  const preEmi = result.summary.preEmi;
+  $('preEmiBadge').classList.toggle('d-none', !preEmi);
+  $('preEmiBadge').textContent = preEmi
+    ? `Pre-EMI: ${preEmi.months} months, interest ${fmt(preEmi.interest)} | Extra vs full EMI: ${fmt(preEmi.extraInterest)}`
+    : '';
+  // EMI holiday (moratorium) cost
+  const moratorium = result.summary.moratorium;
+  $('moratoriumBadge').classList.toggle('d-none', !moratorium);
+  $('moratoriumBadge').textContent = moratorium
+    ? `EMI holiday: ${moratorium.months} months, ${fmt(moratorium.capitalized)} capitalised | Extra interest ${fmt(moratorium.extraInterest)}, +${moratorium.extraMonths} months, EMI after ${fmt(moratorium.emiAfter)}`
+    : '';
+  renderTaxBenefit(result, formState.tax);
+
+  // bank reconciliation (payments ledger)
+  const reconList = $('reconList');
+  if(!loan.ledger.length){
+    reconList.innerHTML = '<div class="muted">No payments recorded. Add them under 🧾 Payments Ledger.</div>';
+  } else {
+    const history = withPrepay.rows.filter(r => r.actual);
+    const missed = history.filter(r => r.status === 'missed').length;
+    const partial = history.filter(r => r.status === 'partial').length;
+    const charges = sumBy(history, 'charges');
+    const mismatches = withPrepay.mismatches;
+    reconList.innerHTML = `<div class="mb-2">${history.length} months recorded — ${missed} missed, ${partial} partial, charges ${fmt(charges)}.
+      Outstanding now: <strong>${fmt(history.length ? history[history.length-1].closing : loan.principal)}</strong></div>` +
+      (mismatches.length === 0
+        ? '<div class="text-success">Bank figures match the computed schedule.</div>'
+        : `<table class="table table-sm table-bordered small">
+            <thead class="table-light"><tr><th>M</th><th>Date</th><th>Field</th><th>Bank</th><th>Computed</th><th>Diff</th></tr></thead>
+            <tbody>${mismatches.map(m => `<tr class="table-warning"><td>${m.month}</td><td>${formatNice(m.date)}</td><td>${m.field}</td>
+              <td>${fmt(m.bank)}</td><td>${fmt(m.computed)}</td><td>${fmt(m.diff)}</td></tr>`).join('')}</tbody>
+          </table>`);
+  }
+
+  // per-ROI-change impact
+  const policyLabels = { keepEmi: 'EMI kept, tenure changed', keepTenure: 'tenure kept, EMI revised' };
+  const roiImpactList = $('roiImpactList');
+  roiImpactList.innerHTML = '';
+  if(result.perRoi.length === 0) roiImpactList.innerHTML = '<div class="muted">No ROI changes defined.</div>';
+  result.perRoi.forEach((s, idx) => {
+    const c = s.change;
+    const sign = v => (v > 0 ? '+' : '') + fmt(v);
+    const node = document.createElement('div');
+    node.style.padding = '6px 0';
+    const tag = c.source === 'benchmark' ? ' <span class="badge bg-info text-dark">auto</span>' : '';
+    node.innerHTML = `<strong>ROI change ${idx+1}:</strong>${tag} ${formatNice(parseYmd(c.date))} — ${c.rate.toFixed(2)}% — <em>${policyLabels[s.policy]}</em>
+      <div class="muted">Tenure: ${sign(s.monthsAdded)} months | EMI: ${sign(s.emiAdded)} | Interest: ${sign(s.interestAdded)}${s.closed ? '' : ' | <strong>loan never closes</strong>'}</div>`;
+    roiImpactList.appendChild(node);
   });
 
+  // negative / zero amortization alert
+  const amortWarning = $('amortWarning');
+  const warningText = result.warnings.map(w => w.type === 'negativeAmortization'
+    ? loan.repayment.type === 'stepUp'
+      ? `ℹ Step-up EMI is below the interest from ${formatNice(w.from)} for ${w.months} months; ${fmt(w.shortfall)} of interest is added to the balance.`
+      : `⚠ EMI does not cover interest from ${formatNice(w.from)} for ${w.months} months (shortfall ${fmt(w.shortfall)}). Balance is not reducing — increase the EMI or choose "Keep tenure, revise EMI".`
+    : `⚠ Loan is not repaid within ${w.months} months; ${fmt(w.outstanding)} still outstanding.`);
+  warningText.push(...affordabilityWarnings(formState.eligibility, withPrepay.rows));
+  amortWarning.innerHTML = warningText.join('<br>');
+  amortWarning.classList.toggle('d-none', warningText.length === 0);
+
   // save last
-  window._last = { baseline, withPrepay, roiChanges, prepayments, startDate };
+  window._last = { baseline, withPrepay, roiChanges, prepayments, startDate, loan, summary: result.summary };
   scheduleSave();
   
 }
 
+/* ---------- Schedule table & yearly rollups ---------- */
+function createScheduleRow(r){
+  const tr = document.createElement('tr');
+  if(r.negAm) tr.className = 'table-danger';
+  else if(r.holiday) tr.className = 'table-info';
+  else if(r.mismatches && r.mismatches.length) tr.className = 'table-warning';
+  else if(r.actual) tr.className = 'table-secondary';
+  if(r.mismatches && r.mismatches.length){
+    tr.title = r.mismatches.map(m => `Bank ${m.field} ${fmt(m.bank)} vs computed ${fmt(m.computed)}`).join('\n');
+  }
+  const statusBadge = r.actual && r.status !== 'paid'
+    ? ` <span class="badge ${r.status === 'missed' ? 'bg-danger' : 'bg-warning text-dark'}">${r.status}</span>`
+    : r.phase === 'preEmi' ? ' <span class="badge bg-warning text-dark">pre-EMI</span>'
+    : r.balloon ? ' <span class="badge bg-info text-dark">balloon</span>'
+    : r.holiday ? ' <span class="badge bg-info text-dark">holiday</span>' : '';
+  tr.innerHTML = `<td style="text-align:center">${r.month}${r.actual ? ' ✓' : ''}</td>
+                  <td style="text-align:center">${formatNice(r.date)}</td>
+                  <td>${(r.roi||0).toFixed(2)}</td>
+                  <td>${fmt(r.opening)}</td>
+                  <td>${r.disbursed ? fmt(r.disbursed) : ''}</td>
+                  <td>${fmt(r.emi)}${statusBadge}</td>
+                  <td>${fmt(r.interest)}</td>
+                  <td>${fmt(r.principal)}</td>
+                  <td>${fmt(r.prepay)}</td>
+                  <td>${fmt(r.closing)}</td>`;
+  return tr;
+}
+
+/* monthly rows, or one line per year (click to show its months) */
+function renderScheduleTable(rows){
+  const tbody = $('scheduleTable').querySelector('tbody');
+  tbody.innerHTML = '';
+  const view = $('scheduleView').value;
+  if(view === 'month'){
+    rows.forEach(r => tbody.appendChild(createScheduleRow(r)));
+    return;
+  }
+  rollupSchedule(rows, view).forEach((g, k) => {
+    const head = document.createElement('tr');
+    head.className = 'table-light fw-semibold';
+    head.style.cursor = 'pointer';
+    head.title = 'Show / hide months';
+    head.innerHTML = `<td style="text-align:center"><span class="caret">▸</span> ${g.months}m</td>
+                      <td style="text-align:center">${g.label}</td>
+                      <td>${g.avgRoi.toFixed(2)}</td>
+                      <td>${fmt(g.opening)}</td>
+                      <td>${g.disbursed ? fmt(g.disbursed) : ''}</td>
+                      <td>${fmt(g.emi)}</td>
+                      <td>${fmt(g.interest)}</td>
+                      <td>${fmt(g.principal)}</td>
+                      <td>${fmt(g.prepay)}</td>
+                      <td>${fmt(g.closing)}</td>`;
+    const months = g.rows.map(r => {
+      const tr = createScheduleRow(r);
+      tr.classList.add('d-none', 'small');
+      return tr;
+    });
+    head.addEventListener('click', () => {
+      const open = months[0].classList.contains('d-none');
+      months.forEach(tr => tr.classList.toggle('d-none', !open));
+      head.querySelector('.caret').textContent = open ? '▾' : '▸';
+    });
+    tbody.appendChild(head);
+    months.forEach(tr => tbody.appendChild(tr));
+  });
+}
+
+let yearlyChartInst = null;
+/* stacked interest / principal / prepayment per year; follows the table's period (calendar when monthly) */
+function yearlyChartConfig(groups){
+  return {
+    type:'bar',
+    data:{
+      labels: groups.map(g => g.label),
+      datasets:[
+        { label:'Interest', data: groups.map(g => g.interest), backgroundColor:'#f97316', stack:'paid' },
+        { label:'Principal', data: groups.map(g => g.principal), backgroundColor:'#2563eb', stack:'paid' },
+        { label:'Prepayment', data: groups.map(g => g.prepay), backgroundColor:'#16a34a', stack:'paid' }
+      ]
+    },
+    options:{plugins:{legend:{position:'top'}, tooltip: moneyTooltip}, scales:{x:{stacked:true}, y: moneyScale({stacked:true, beginAtZero:true})}}
+  };
+}
+
+function renderYearlyChart(rows){
+  const period = $('scheduleView').value === 'fy' ? 'fy' : 'calendar';
+  $('yearlyTitle').textContent = `Interest vs principal per ${period === 'fy' ? 'financial' : 'calendar'} year`;
+  if(yearlyChartInst) yearlyChartInst.destroy();
+  yearlyChartInst = new Chart($('yearlyChart'), yearlyChartConfig(rollupSchedule(rows, period)));
+}
+
+$('scheduleView').addEventListener('change', ()=>{
+  if(!window._last) return;
+  renderScheduleTable(window._last.withPrepay.rows);
+  renderYearlyChart(window._last.withPrepay.rows);
+});
+
+/* rollup groups for the exports, or null when the monthly view is picked */
+const exportRollup = rows => $('scheduleView').value === 'month' ? null : rollupSchedule(rows, $('scheduleView').value);
+
+/* ---------- Eligibility & affordability ---------- */
+/* warnings for the loan on screen once applicant income is entered */
+function affordabilityWarnings(eligibility, rows){
+  const elig = LoanEligibility.assessEligibility(eligibility || {});
+  if(!elig.income || !rows.length) return [];
+  const limit = `the ${elig.input.foirPct}% FOIR limit of ${fmt(elig.maxEmi)}`;
+  const out = [];
+  const first = rows.find(r => r.emi > 0 && r.phase !== 'preEmi');
+  if(first && first.emiDue > elig.maxEmi + 0.005) out.push(`⚠ EMI ${fmt(first.emiDue)} is above ${limit}.`);
+  LoanEligibility.affordabilityBreaches(rows, elig.maxEmi).forEach(b => {
+    out.push(`⚠ ROI rise to ${b.roi.toFixed(2)}% on ${formatNice(b.date)} takes the EMI to ${fmt(b.emi)}, above ${limit}.`);
+  });
+  return out;
+}
+
+function renderEligibility(elig){
+  const box = $('eligResult');
+  if(elig.errors.length){
+    box.innerHTML = `<div class="alert alert-warning small py-2">${elig.errors.join('<br>')}</div>`;
+    return;
+  }
+  const tenure = m => `${Math.floor(m / 12)}y ${m % 12}m`;
+  box.innerHTML = `<table class="table table-sm table-bordered small mb-2">
+    <tbody>
+      <tr><td>Income / existing EMIs</td><td>${fmt(elig.income)} / ${fmt(elig.existingEmi)}</td></tr>
+      <tr><td>Max EMI (FOIR ${elig.input.foirPct}%)</td><td>${fmt(elig.maxEmi)}</td></tr>
+      <tr><td>Max tenure</td><td>${tenure(elig.tenureMonths)}</td></tr>
+      <tr><td>Limit by income</td><td>${fmt(elig.limits.income)}</td></tr>
+      ${elig.limits.ltv !== undefined ? `<tr><td>Limit by LTV ${elig.input.ltvPct}%</td><td>${fmt(elig.limits.ltv)}</td></tr>
+      <tr><td>Property less down payment</td><td>${fmt(elig.limits.need)}</td></tr>` : ''}
+      <tr class="table-success"><td><strong>Eligible loan</strong></td><td><strong>${fmt(elig.maxLoan)}</strong> at EMI ${fmt(elig.emi)}</td></tr>
+      <tr class="table-info"><td>Comfortable (${elig.input.comfortPct}% of income)</td><td>${fmt(elig.comfortable.loan)} at EMI ${fmt(elig.comfortable.emi)}</td></tr>
+    </tbody>
+  </table>
+  <div class="small small-muted mb-2">Limited by ${elig.bindingLabel}.</div>
+  <div class="d-flex gap-2">
+    <button class="elig-use btn btn-sm btn-outline-primary" data-amount="${elig.maxLoan}" ${elig.maxLoan ? '' : 'disabled'}>New loan: eligible</button>
+    <button class="elig-use btn btn-sm btn-outline-success" data-amount="${elig.comfortable.loan}" ${elig.comfortable.loan ? '' : 'disabled'}>New loan: comfortable</button>
+  </div>`;
+  box.querySelectorAll('.elig-use').forEach(btn => btn.addEventListener('click', () => createEligibleLoan(elig, parseFloat(btn.dataset.amount))));
+}
+
+/* new loan profile from the current form, with the amount, tenure and rate filled in */
+function createEligibleLoan(elig, amount){
+  const name = prompt('Name for the new loan?', `Eligible ${fmt(amount)}`);
+  if(!name) return;
+  captureCurrentLoanState();
+  const state = {
+    ...collectFormState(),
+    principal: String(amount),
+    years: String(Math.floor(elig.tenureMonths / 12)),
+    months: String(elig.tenureMonths % 12),
+    startDate: ymd(new Date()),
+    initialRate: String(elig.input.rate),
+    roi: [], prepay: [], ledger: [], holidays: [],
+    disbursement: { mode: 'preEmi', tranches: [] }
+  };
+  loanProfiles.push({ id: LoanStore.newId(), name, state, result: null });
+  persistProfiles();
+  loadLoanProfile(loanProfiles.length - 1);
+  refreshLoanDropdowns();
+}
+
+$('eligCalc').addEventListener('click', ()=> renderEligibility(LoanEligibility.assessEligibility(collectFormState().eligibility)));
+
+/* ---------- Tax benefit panel ---------- */
+function renderTaxBenefit(result, taxSettings){
+  const tax = TaxEngine.computeLoanTax(result, taxSettings);
+  // borrower names are filled in as text below
+  const borrowerSplit = (y, yi) => y.borrowers.map((b, bi) => `<span class="borrower" data-y="${yi}" data-b="${bi}"></span>: ${fmt(b.taxSaved)}`).join('<br>');
+  let html = `<table class="table table-sm table-bordered small">
+    <thead class="table-light"><tr><th>FY</th><th>Interest</th><th>Principal</th><th>24(b)</th><th>80C</th><th>Tax saved</th><th>Split</th></tr></thead>
+    <tbody>${tax.years.map((y, yi) => `<tr>
+      <td>${y.label}</td><td>${fmt(y.interest)}</td><td>${fmt(y.principal)}</td>
+      <td>${fmt(y.interestDeduction)}</td><td>${fmt(y.principalDeduction)}</td>
+      <td>${fmt(y.taxSaved)}</td><td>${borrowerSplit(y, yi)}</td>
+    </tr>`).join('')}</tbody>
+  </table>
+  <div class="mb-2"><strong>Total tax saved:</strong> ${fmt(tax.totalTaxSaved)}</div>`;
+
+  if(tax.perPrepay.length){
+    html += `<div class="fw-bold small mb-1">Prepayments: interest saved vs tax benefit lost</div>` +
+      tax.perPrepay.map((p, idx) => `<div class="small" style="padding:4px 0">
+        <strong>Prepayment ${idx+1}:</strong> ${formatNice(parseYmd(p.prepay.date))} — ${fmt(p.prepay.amount)}
+        <div class="muted">Interest saved: ${fmt(p.interestSaved)} | Tax benefit lost: ${fmt(p.taxBenefitLost)} | <strong>Net: ${fmt(p.netSaving)}</strong></div>
+      </div>`).join('') +
+      `<div class="mt-1"><strong>All prepayments:</strong> gross interest saved ${fmt(tax.grossInterestSaved)} − tax benefit lost ${fmt(tax.taxBenefitLost)} = <strong>net ${fmt(tax.netSaving)}</strong></div>`;
+  }
+  $('taxResult').innerHTML = html;
+  $('taxResult').querySelectorAll('.borrower').forEach(el => { el.textContent = tax.years[el.dataset.y].borrowers[el.dataset.b].name; });
+}
+
+/* ---------- Prepayment optimizer (goal-seek) ---------- */
+const OPT_SHAPES = { one: 'One-time', recurring: 'Monthly', yearly: 'Yearly lump' };
+const OPT_TARGET_LABELS = { closeBy: 'Close by', maxInterest: 'Max total interest', budget: 'Amount per year' };
+
+function showOptimizerTarget(){
+  const goal = $('optGoal').value;
+  $('optTargetLabel').textContent = OPT_TARGET_LABELS[goal];
+  $('optDate').classList.toggle('d-none', goal !== 'closeBy');
+  $('optAmount').classList.toggle('d-none', goal === 'closeBy');
+}
+
+function renderOptimizer(opt){
+  const box = $('optResult');
+  if(!opt.candidates.length){
+    box.innerHTML = `<div class="alert alert-warning small py-2">No prepayment plan meets this goal.</div>`;
+    return;
+  }
+  const splitLabel = c => c.split === 0 ? 'All tenure' : c.split === 1 ? 'All EMI' : `${100 - c.split*100}% tenure / ${c.split*100}% EMI`;
+  box.innerHTML = `<div class="small mb-1">Current plan: closes ${formatNice(opt.current.closureDate)}, interest ${fmt(opt.current.interest)}</div>
+  <table class="table table-sm table-bordered small">
+    <thead class="table-light"><tr><th>Plan</th><th>Amount</th><th>Split</th><th>Closes</th><th>Interest</th><th>EMI after</th><th></th></tr></thead>
+    <tbody>${opt.candidates.map((c, idx) => `<tr class="${c === opt.best ? 'table-success' : ''}">
+      <td>${OPT_SHAPES[c.shape]}</td><td>${fmt(c.amount)}</td><td>${splitLabel(c)}</td>
+      <td>${formatNice(c.closureDate)}</td><td>${fmt(c.interest)}</td><td>${fmt(c.emiAfter)}</td>
+      <td><button class="apply-plan btn btn-sm btn-outline-primary" data-idx="${idx}">Apply</button></td>
+    </tr>`).join('')}</tbody>
+  </table>`;
+  box.querySelectorAll('.apply-plan').forEach(btn => btn.addEventListener('click', () => {
+    opt.candidates[btn.dataset.idx].entries.forEach(p => $('prepayList').appendChild(createPrepayElement(p)));
+    scheduleSave();
+    calculateAll();
+  }));
+}
+
+$('optGoal').addEventListener('change', showOptimizerTarget);
+$('optSolve').addEventListener('click', ()=>{
+  const type = $('optGoal').value;
+  const goal = type === 'closeBy' ? { type, date: $('optDate').value } : { type, amount: parseFloat($('optAmount').value) || 0 };
+  if(type === 'closeBy' ? !goal.date : goal.amount <= 0){ alert('Enter a target for the goal'); return; }
+  const start = $('optStart').value || ymd(addMonths(new Date(), 1));
+  renderOptimizer(PrepayOptimizer.optimize(collectFormState(), goal, start));
+});
+
+/* ---------- Rate stress test & Monte Carlo ---------- */
+const parseNumberList = text => text.split(/[,\s]+/).map(parseFloat).filter(v => !isNaN(v));
+
+$('runStress').addEventListener('click', ()=>{
+  const results = RateScenarios.stressTest(collectFormState(), {
+    shocks: parseNumberList($('stressShocks').value),
+    path: parseNumberList($('stressPath').value),
+    fromDate: $('stressFrom').value || undefined
+  });
+  const current = results[0];
+  $('stressResult').innerHTML = `<table class="table table-sm table-bordered small">
+    <thead class="table-light"><tr><th>Scenario</th><th>Interest</th><th>Closes</th><th>Peak EMI</th><th>Extra interest</th></tr></thead>
+    <tbody>${results.map(r => `<tr class="${r.closed ? '' : 'table-danger'}">
+      <td>${r.label}</td><td>${fmt(r.interest)}</td><td>${r.closed ? formatNice(r.closureDate) : 'Not repaid'}</td>
+      <td>${fmt(r.peakEmi)}</td><td>${fmt(r.interest - current.interest)}</td>
+    </tr>`).join('')}</tbody>
+  </table>`;
+});
+
+let fanChartInst = null;
+function renderFanChart(mc){
+  $('fanWrap').classList.remove('d-none');
+  const labels = mc.fan.map(f => formatMonth(f.date));
+  const band = (key, color, fill) => ({ label: key.toUpperCase(), data: mc.fan.map(f => f[key]), borderColor: color, borderWidth: 1,
+    backgroundColor: fill ? color + '33' : undefined, fill: fill ? '-1' : false, pointRadius: 0, tension: 0.2 });
+  const current = window._last ? window._last.withPrepay.rows.map(r => r.closing) : [];
+  if(fanChartInst) fanChartInst.destroy();
+  fanChartInst = new Chart($('fanChart'), {
+    type:'line',
+    data:{
+      labels,
+      datasets:[
+        band('p5', '#93c5fd', false), band('p95', '#93c5fd', true),
+        band('p25', '#3b82f6', false), band('p75', '#3b82f6', true),
+        { label:'Median', data: mc.fan.map(f => f.p50), borderColor:'#1d4ed8', borderWidth:2, fill:false, pointRadius:0, tension:0.2 },
+        { label:'Current rates', data: current, borderColor:'#94a3b8', borderWidth:2, borderDash:[4,4], fill:false, pointRadius:0, tension:0.2 }
+      ]
+    },
+    options:{plugins:{legend:{position:'top'}, tooltip: moneyTooltip}, scales:{y: moneyScale({beginAtZero:true})}}
+  });
+}
+
+$('runMonteCarlo').addEventListener('click', ()=>{
+  const mean = parseFloat($('mcMean').value);
+  const mc = RateScenarios.monteCarlo(collectFormState(), {
+    runs: Math.min(2000, Math.max(10, parseInt($('mcRuns').value) || 200)),
+    seed: parseInt($('mcSeed').value) || 0,
+    volatility: parseFloat($('mcVolatility').value) || 0,
+    reversion: parseFloat($('mcReversion').value) || 0,
+    mean: isNaN(mean) ? null : mean,
+    fromDate: $('stressFrom').value || undefined
+  });
+  const row = (label, stats, f) => `<tr><td>${label}</td>${RateScenarios.PERCENTILES.map(q => `<td>${f(stats['p' + q])}</td>`).join('')}</tr>`;
+  $('mcResult').innerHTML = `<table class="table table-sm table-bordered small">
+    <thead class="table-light"><tr><th>${mc.runs} runs</th>${RateScenarios.PERCENTILES.map(q => `<th>P${q}</th>`).join('')}</tr></thead>
+    <tbody>
+      ${row('Total interest', mc.interest, fmt)}
+      ${row('Closure', mc.closureDate, d => d ? formatNice(d) : '-')}
+      ${row('Peak EMI', mc.peakEmi, fmt)}
+    </tbody>
+  </table>
+  ${mc.notClosed ? `<div class="alert alert-warning small py-2">${mc.notClosed} of ${mc.runs} paths do not repay the loan within the tenure limit.</div>` : ''}`;
+  renderFanChart(mc);
+});
+
+/* ---------- Balance transfer / refinance ---------- */
+let lastRefinance = null;
+
+function refinanceOffer(){
+  return {
+    switchDate: $('refiDate').value || ymd(new Date()),
+    rate: $('refiRate').value,
+    tenureMonths: Math.round((parseFloat($('refiYears').value) || 0) * 12),
+    processingFeePct: $('refiFeePct').value,
+    legalCharges: $('refiLegal').value,
+    topUp: $('refiTopUp').value,
+    discountRate: $('refiDiscount').value,
+    carryPrepayments: $('refiCarryPrepay').checked
+  };
+}
+
+function renderRefinance(a){
+  const line = (label, oldV, newV) => `<tr><td>${label}</td><td>${oldV}</td><td>${newV}</td></tr>`;
+  $('refiResult').innerHTML = `<div class="small mb-1">Outstanding on ${formatNice(a.switchDate)}: <strong>${fmt(a.outstanding)}</strong>
+    ${a.offer.topUp ? ` + top-up ${fmt(a.offer.topUp)}` : ''} | fees ${fmt(a.fees)}</div>
+  <table class="table table-sm table-bordered small">
+    <thead class="table-light"><tr><th></th><th>Stay</th><th>Switch</th></tr></thead>
+    <tbody>
+      ${line('EMI', fmt(a.old.emi), fmt(a.new.emi))}
+      ${line('Remaining months', a.old.months, a.new.months)}
+      ${line('Closes', formatNice(a.old.closureDate), a.new.closureDate ? formatNice(a.new.closureDate) : '-')}
+      ${line('Interest', fmt(a.old.interest), fmt(a.new.interest))}
+      ${line('Total cost', fmt(a.old.payments), fmt(a.new.totalCost))}
+      ${line(`NPV @ ${a.offer.discountRate}%`, fmt(a.old.npv), fmt(a.new.npv))}
+    </tbody>
+  </table>
+  <div class="small"><strong>Switching ${a.costSaving >= 0 ? 'saves' : 'costs'} ${fmt(Math.abs(a.costSaving))}</strong>
+    (NPV ${a.npvSaving >= 0 ? 'gain' : 'loss'} ${fmt(Math.abs(a.npvSaving))}).
+    ${a.breakEven ? `Break-even in month ${a.breakEven.month} (${formatNice(a.breakEven.date)}).` : 'The switch never pays off its fees.'}</div>`;
+}
+
+$('runRefinance').addEventListener('click', ()=>{
+  if(!window._last) calculateAll();
+  try {
+    lastRefinance = Refinance.analyzeRefinance(window._last.loan, window._last.withPrepay.rows, refinanceOffer());
+  } catch(err){
+    lastRefinance = null;
+    $('refiResult').innerHTML = '<div class="alert alert-warning small py-2" style="white-space:pre-line"></div>';
+    $('refiResult').firstChild.textContent = err.message;
+  }
+  $('saveRefinance').disabled = !lastRefinance;
+  if(lastRefinance) renderRefinance(lastRefinance);
+});
+
+/* new profile in the multi-loan manager, with its result filled in so Compare works straight away */
+$('saveRefinance').addEventListener('click', ()=>{
+  if(!lastRefinance) return;
+  const name = prompt('Name for the refinanced loan?', `${loanProfiles[currentLoan]?.name || 'Loan'} @ ${lastRefinance.offer.rate}%`);
+  if(!name) return;
+  const state = Refinance.refinanceState(collectFormState(), lastRefinance);
+  loanProfiles.push({
+    id: LoanStore.newId(),
+    name,
+    state,
+    result: {
+      interest: lastRefinance.new.interest,
+      chart: lastRefinance.schedule.rows.map(r => r.closing)
+    }
+  });
+  persistProfiles();
+  refreshLoanDropdowns();
+  alert(`Saved "${name}". Pick it in the loan list or Compare to see it side by side.`);
+});
+
+/* ---------- Prepay vs invest ---------- */
+let investChartInst = null;
+
+const investPlanLabel = p => `${p.date}: ${fmt(p.amount)}${p.type === 'recurring' ? ` (${recurringLabel(p)})` : ''}`;
+
+function renderInvestChart(cmp, title){
+  $('investWrap').classList.remove('d-none');
+  $('investTitle').textContent = `Net wealth: prepay vs invest (${title})`;
+  const labels = cmp.series.map(p => formatMonth(p.date));
+  if(investChartInst) investChartInst.destroy();
+  investChartInst = new Chart($('investChart'), {
+    type:'line',
+    data:{
+      labels,
+      datasets:[
+        { label:'Prepay', data: cmp.series.map(p => p.prepayWealth), borderColor:'#2563eb', borderWidth:2, fill:false, pointRadius:0, tension:0.2 },
+        { label:'Invest', data: cmp.series.map(p => p.investWealth), borderColor:'#16a34a', borderWidth:2, fill:false, pointRadius:0, tension:0.2 },
+        { label:'Loan ROI %', data: cmp.series.map(p => p.loanRate), borderColor:'#94a3b8', borderWidth:1, borderDash:[4,4], fill:false, pointRadius:0, yAxisID:'rate' }
+      ]
+    },
+    options:{plugins:{legend:{position:'top'}, tooltip:{callbacks:{label: c => `${c.dataset.label}: ${c.dataset.yAxisID === 'rate' ? c.parsed.y.toFixed(2) + '%' : fmtMoney(c.parsed.y)}`}}},
+      scales:{y: moneyScale({beginAtZero:false}), rate:{position:'right', grid:{drawOnChartArea:false}}}}
+  });
+}
+
+function renderInvest(cmp){
+  if(!cmp.plans.length){
+    $('investResult').innerHTML = `<div class="alert alert-warning small py-2">Add a prepayment to compare it with investing.</div>`;
+    $('investWrap').classList.add('d-none');
+    return;
+  }
+  const crossover = c => c.crossoverReturn === null ? `> 100%` : `${c.crossoverReturn.toFixed(2)}%`;
+  const row = (label, c, key) => `<tr class="${c.better === 'prepay' ? 'table-success' : 'table-warning'}">
+    <td>${label}</td><td>${fmt(c.prepaid)}</td><td>${c.loanRate.toFixed(2)}%</td>
+    <td>${fmt(c.final.prepay)}</td><td>${fmt(c.final.invest)}</td>
+    <td>${c.better === 'prepay' ? 'Prepay' : 'Invest'} by ${fmt(Math.abs(c.final.advantage))}</td><td>${crossover(c)}</td>
+    <td><button class="invest-chart btn btn-sm btn-outline-primary" data-key="${key}">Chart</button></td>
+  </tr>`;
+  $('investResult').innerHTML = `<div class="small mb-1">Net wealth once both paths have repaid the loan${cmp.options.inflationPct ? ', in today\'s money' : ''}, investing at ${cmp.options.returnPct}% a year.
+    Prepaying wins while the expected return stays below the crossover.</div>
+  <table class="table table-sm table-bordered small">
+    <thead class="table-light"><tr><th>Prepayment</th><th>Cash</th><th>Loan ROI</th><th>Prepay</th><th>Invest</th><th>Better</th><th>Crossover</th><th></th></tr></thead>
+    <tbody>${cmp.plans.map((c, idx) => row(investPlanLabel(c.prepay), c, idx)).join('')}
+      ${cmp.combined ? row('All prepayments', cmp.combined, 'combined') : ''}</tbody>
+  </table>`;
+  const pick = key => key === 'combined' ? [cmp.combined, 'all prepayments'] : [cmp.plans[key], investPlanLabel(cmp.plans[key].prepay)];
+  $('investResult').querySelectorAll('.invest-chart').forEach(btn => btn.addEventListener('click', () => renderInvestChart(...pick(btn.dataset.key))));
+  renderInvestChart(...pick(cmp.combined ? 'combined' : 0));
+}
+
+$('runInvest').addEventListener('click', ()=>{
+  renderInvest(PrepayInvest.comparePrepayInvest(collectFormState(), {
+    returnPct: parseFloat($('investReturn').value) || 0,
+    gainsTaxPct: parseFloat($('investTax').value) || 0,
+    inflationPct: parseFloat($('investInflation').value) || 0
+  }));
+});
+
+/* ---------- Multi-loan comparison dashboard ---------- */
+let lastComparison = null, loanCompareChartInst = null;
+const COMPARE_COLORS = ['#2563eb', '#dc2626', '#16a34a', '#d97706', '#7c3aed', '#0891b2', '#db2777', '#65a30d'];
+
+/* every picked profile is recalculated from its saved state; stored results are refreshed on the way */
+function runLoanComparison(indices){
+  captureCurrentLoanState();
+  const picked = indices.filter(i => loanProfiles[i] && loanProfiles[i].state);
+  if(picked.length < 2) return alert('Pick at least 2 saved loans to compare.');
+  lastComparison = LoanCompare.compareLoans(picked.map(i => loanProfiles[i]));
+  lastComparison.loans.forEach((l, k) => {
+    if(!l.result) return;
+    loanProfiles[picked[k]].result = {
+      interest: l.metrics.interest,
+      totalCost: l.metrics.totalCost,
+      xirr: l.metrics.xirr,
+      chart: l.result.withPrepay.rows.map(r => r.closing)
+    };
+  });
+  persistProfiles();
+  renderLoanComparison();
+}
+
+function renderLoanComparison(){
+  const cmp = lastComparison;
+  if(!cmp) return;
+  const best = LoanCompare.bestBy(cmp.loans);
+  const cell = (l, key, text) => `<td class="text-end${best[key] === l.id ? ' fw-bold text-success' : ''}">${text}</td>`;
+  $('compareResult').innerHTML = `<div class="table-responsive"><table class="table table-sm table-bordered small mb-1">
+    <thead class="table-light"><tr><th>Loan</th><th class="text-end">EMI</th><th class="text-end">Total interest</th><th class="text-end">Total paid</th>
+      <th class="text-end">Closes</th><th class="text-end">Months saved</th><th class="text-end">Effective rate</th></tr></thead>
+    <tbody>${cmp.loans.map((l, k) => l.error
+      ? `<tr><td class="lname" data-k="${k}"></td><td colspan="6" class="text-danger">${l.error}</td></tr>`
+      : `<tr><td class="lname" data-k="${k}"></td>
+          ${cell(l, 'emi', fmt(l.metrics.emi))}
+          ${cell(l, 'interest', fmt(l.metrics.interest))}
+          ${cell(l, 'totalPaid', fmt(l.metrics.totalPaid))}
+          ${cell(l, 'months', l.metrics.closureDate ? formatNice(l.metrics.closureDate) : '-')}
+          <td class="text-end">${l.metrics.monthsSaved}</td>
+          ${cell(l, 'xirr', l.metrics.xirr !== null ? (l.metrics.xirr*100).toFixed(2) + '%' : '-')}
+        </tr>`).join('')}</tbody>
+  </table></div><div class="small small-muted">Lowest in each column in green. Total paid excludes fees; the effective rate includes them.</div>`;
+  $('compareResult').querySelectorAll('.lname').forEach(el => { el.textContent = cmp.loans[el.dataset.k].name; });
+  renderLoanCompareChart();
+}
+
+function renderLoanCompareChart(){
+  const cmp = lastComparison;
+  if(!cmp || !cmp.months.length) return;
+  const metric = $('compareMetric').value;
+  $('compareWrap').classList.remove('d-none');
+  const labels = cmp.months.map(m => formatMonth(parseYmd(m + '-01')));
+  const datasets = cmp.loans.filter(l => l.series).map((l, k) => ({
+    label: l.name, data: l.series[metric], borderColor: COMPARE_COLORS[k % COMPARE_COLORS.length],
+    borderWidth: 2, fill: false, pointRadius: 0, tension: metric === 'outflow' ? 0 : 0.2, stepped: metric === 'outflow'
+  }));
+  if(loanCompareChartInst) loanCompareChartInst.destroy();
+  loanCompareChartInst = new Chart($('loanCompareChart'), {
+    type: 'line',
+    data: { labels, datasets },
+    options: { plugins:{legend:{position:'top'}, tooltip: moneyTooltip}, scales:{y: moneyScale({beginAtZero:true})} }
+  });
+}
+
+$('compareMetric').addEventListener('change', renderLoanCompareChart);
+
+/* ---------- Undo / redo ----------
+   Every save of the form is a step (typing is debounced by scheduleSave, so a pause is one step).
+   undoStack holds JSON states, its top is what the form shows now. */
+const UNDO_LIMIT = 100;
+let undoStack = [], redoStack = [];
+
+function recordStep(json){
+  if(undoStack[undoStack.length-1] === json) return;
+  undoStack.push(json);
+  if(undoStack.length > UNDO_LIMIT) undoStack.shift();
+  redoStack = [];
+  updateUndoButtons();
+}
+
+function updateUndoButtons(){
+  $('undoBtn').disabled = undoStack.length < 2;
+  $('redoBtn').disabled = redoStack.length === 0;
+}
+
+function applyHistoryState(json){
+  appStore.setItem(STORAGE_KEY, json);
+  loadState();
+  // the reloaded form can serialise slightly differently; keep the top in step so its own save is not a new step
+  undoStack[undoStack.length-1] = JSON.stringify(collectFormState());
+  calculateAll();
+  updateUndoButtons();
+}
+
+function undo(){
+  // a pending debounced save is the latest step
+  clearTimeout(saveTimer);
+  saveState();
+  if(undoStack.length < 2) return;
+  redoStack.push(undoStack.pop());
+  applyHistoryState(undoStack[undoStack.length-1]);
+}
+
+function redo(){
+  if(!redoStack.length) return;
+  undoStack.push(redoStack.pop());
+  applyHistoryState(undoStack[undoStack.length-1]);
+}
+
+/* called when a loan profile is loaded: its undo steps start here */
+function resetHistory(){
+  undoStack = [JSON.stringify(collectFormState())];
+  redoStack = [];
+  updateUndoButtons();
+  renderSnapshots();
+  $('snapshotDiff').innerHTML = '';
+}
+
+$('undoBtn').addEventListener('click', undo);
+$('redoBtn').addEventListener('click', redo);
+// inside text fields the browser's own undo applies
+document.addEventListener('keydown', e => {
+  if(!(e.ctrlKey || e.metaKey) || e.target.closest('input, textarea, select')) return;
+  const key = e.key.toLowerCase();
+  if(key === 'z' && !e.shiftKey){ e.preventDefault(); undo(); }
+  else if(key === 'y' || (key === 'z' && e.shiftKey)){ e.preventDefault(); redo(); }
+});
+
+/* ---------- Revision history (named snapshots per loan) ---------- */
+const currentSnapshots = () => (loanProfiles[currentLoan] && loanProfiles[currentLoan].snapshots) || [];
+
+function renderSnapshots(){
+  const snaps = currentSnapshots();
+  const list = $('snapshotList');
+  list.innerHTML = snaps.length ? '' : '<div class="small small-muted">No snapshots for this loan yet.</div>';
+  snaps.forEach(snap => {
+    const node = document.createElement('div');
+    node.className = 'd-flex align-items-center gap-2 border-bottom py-1 small';
+    node.innerHTML = `<div class="flex-grow-1"><strong class="sname"></strong> <span class="small-muted">${formatNice(snap.createdAt)}</span></div>
+      <button class="srestore btn btn-sm btn-outline-primary">Restore</button>
+      <button class="sdelete btn btn-sm btn-outline-danger">✕</button>`;
+    node.querySelector('.sname').textContent = snap.name;
+    node.querySelector('.srestore').addEventListener('click', () => restoreSnapshot(snap));
+    node.querySelector('.sdelete').addEventListener('click', () => {
+      if(!confirm(`Delete snapshot "${snap.name}"?`)) return;
+      loanProfiles[currentLoan].snapshots = currentSnapshots().filter(s => s.id !== snap.id);
+      persistProfiles();
+      renderSnapshots();
+    });
+    list.appendChild(node);
+  });
+
+  ['snapshotA', 'snapshotB'].forEach((id, i) => {
+    const sel = $(id), keep = sel.value;
+    sel.innerHTML = '';
+    sel.add(new Option('Current form', 'current'));
+    snaps.forEach(s => sel.add(new Option(s.name, s.id)));
+    // default: latest snapshot vs the form
+    sel.value = [...sel.options].some(o => o.value === keep) ? keep : (i === 0 && snaps.length ? snaps[snaps.length-1].id : 'current');
+  });
+}
+
+function restoreSnapshot(snap){
+  if(!confirm(`Restore "${snap.name}"? Undo brings the current form back.`)) return;
+  clearTimeout(saveTimer);
+  saveState();
+  const json = JSON.stringify(snap.state);
+  recordStep(json);
+  applyHistoryState(json);
+  captureCurrentLoanState();
+}
+
+$('takeSnapshot').addEventListener('click', ()=>{
+  if(!loanProfiles[currentLoan]) return;
+  captureCurrentLoanState();
+  const name = $('snapshotName').value.trim() || `Snapshot ${currentSnapshots().length + 1}`;
+  loanProfiles[currentLoan].snapshots = currentSnapshots().concat(LoanStore.takeSnapshot(name, collectFormState()));
+  persistProfiles();
+  $('snapshotName').value = '';
+  renderSnapshots();
+});
+
+const SNAPSHOT_RESULTS = {
+  emi: ['EMI', v => fmt(v)],
+  interest: ['Interest', v => fmt(v)],
+  months: ['Tenure (months)', v => v],
+  closureDate: ['Closes', v => v ? formatNice(v) : '-'],
+  totalCost: ['True cost', v => fmt(v)],
+  xirr: ['XIRR', v => v !== null ? (v*100).toFixed(2) + '%' : '-']
+};
+
+$('diffSnapshots').addEventListener('click', ()=>{
+  const pick = id => id === 'current' ? { name: 'Current form', state: collectFormState() } : currentSnapshots().find(s => s.id === id);
+  const a = pick($('snapshotA').value), b = pick($('snapshotB').value);
+  if(!a || !b) return;
+  let inputs, results;
+  try {
+    inputs = LoanStore.diffStates(a.state, b.state);
+    results = LoanStore.compareResults(a.state, b.state);
+  } catch(e){
+    $('snapshotDiff').innerHTML = '<div class="text-danger small"></div>';
+    $('snapshotDiff').firstChild.textContent = e.message;
+    return;
+  }
+  // input names and values come straight from the saved states, so they go in as text
+  const cell = v => {
+    const td = document.createElement('td');
+    if(v === '') td.innerHTML = '<span class="small-muted">–</span>';
+    else td.textContent = v;
+    return td;
+  };
+  $('snapshotDiff').innerHTML = `
+    <table class="table table-sm small mb-2">
+      <thead><tr><th>Result</th><th class="aname"></th><th class="bname"></th><th>Change</th></tr></thead>
+      <tbody>${results.map(r => {
+        const [label, show] = SNAPSHOT_RESULTS[r.key];
+        const change = r.diff === null ? '' : r.key === 'xirr' ? `${r.diff >= 0 ? '+' : ''}${(r.diff*100).toFixed(2)}%` : `${r.diff >= 0 ? '+' : ''}${show(r.diff)}`;
+        return `<tr><td>${label}</td><td>${show(r.a)}</td><td>${show(r.b)}</td><td>${change}</td></tr>`;
+      }).join('')}</tbody>
+    </table>
+    ${inputs.length ? `<table class="table table-sm small mb-0">
+      <thead><tr><th>Input</th><th class="aname"></th><th class="bname"></th></tr></thead>
+      <tbody class="input-diff"></tbody>
+    </table>` : '<div class="small small-muted">Inputs are identical.</div>'}`;
+  const inputRows = $('snapshotDiff').querySelector('.input-diff');
+  inputs.forEach(d => {
+    const tr = document.createElement('tr');
+    tr.append(cell(d.field), cell(d.from), cell(d.to));
+    inputRows.appendChild(tr);
+  });
+  $('snapshotDiff').querySelectorAll('.aname').forEach(el => { el.textContent = a.name; });
+  $('snapshotDiff').querySelectorAll('.bname').forEach(el => { el.textContent = b.name; });
+});
+
 /* ---------- CSV Export ---------- */
 $('exportCsv').addEventListener('click', ()=>{
   const rows = window._last?.withPrepay?.rows;
   if(!rows){ alert('Run calculation first'); return; }
-  const header = ['Month','Date','ROI%','Opening','EMI','Interest','Principal','Prepay','Closing'];
-  const lines = rows.map(r => [
-    r.month,
-    `"${ymd(r.date)}"`,
-    (r.roi||0).toFixed(2),
-    r.opening.toFixed(2),
-    r.emi.toFixed(2),
-    r.interest.toFixed(2),
-    r.principal.toFixed(2),
-    r.prepay.toFixed(2),
-    r.closing.toFixed(2)
-  ].join(','));
-  const csv = [header.join(',')].concat(lines).join('\n');
+  const groups = exportRollup(rows);
+  const csvOptions = { decimals: money.decimals, currency: money.settings.currency };
+  const csv = groups ? rollupToCsv(groups, csvOptions) : scheduleToCsv(rows, csvOptions);
   const blob = new Blob([csv], {type:'text/csv'});
-  const a = document.createElement('a'); a.href = URL.createObjectURL(blob); a.download = 'amortization_with_prepay.csv'; a.click();
+  const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
+  a.download = groups ? `amortization_${$('scheduleView').value === 'fy' ? 'financial_year' : 'yearly'}.csv` : 'amortization_with_prepay.csv';
+  a.click();
 });
 
 
-/* ---------- PDF Export (with chart image) ---------- */
-$('exportPdf').addEventListener('click', async ()=>{
-  if(!window._last){ alert('Run calculation first'); return; }
-  // Capture chart as image (dataURL)
-  try {
-    const canvas = $('compareChart');
-    if(!canvas) throw new Error('Chart canvas not found.');
-    const imgData = canvas.toDataURL('image/png', 1.0);
+/* ---------- Calendar (.ics) Export ---------- */
+$('exportIcs').addEventListener('click', ()=>{
+  const rows = window._last?.withPrepay?.rows;
+  if(!rows){ alert('Run calculation first'); return; }
+  const profile = loanProfiles[currentLoan] || {};
+  const ics = LoanCalendar.scheduleToIcs(rows, {
+    loanId: profile.id,
+    loanName: profile.name,
+    from: $('icsFutureOnly').checked ? new Date() : null,
+    reminderDays: parseNumberList($('icsReminders').value),
+    include: { emi: $('icsEmi').checked, prepay: $('icsPrepay').checked, roi: $('icsRoi').checked },
+    format: fmt
+  });
+  const blob = new Blob([ics], {type:'text/calendar'});
+  const a = document.createElement('a'); a.href = URL.createObjectURL(blob);
+  a.download = `${(profile.name || 'loan').replace(/[^\w-]+/g, '_')}_repayments.ics`;
+  a.click();
+});
 
-    const { jsPDF } = window.jspdf;
-    const doc = new jsPDF({unit:'pt', format:'a4'});
-    const pageWidth = doc.internal.pageSize.getWidth();
-    const pageHeight = doc.internal.pageSize.getHeight();
-    const margin = 40;
-    let y = margin;
-
-    doc.setFontSize(16);
-    doc.text('Home Loan Report', margin, y);
-    y += 18;
-
-    doc.setFontSize(10);
-    doc.text(`Generated: ${new Date().toLocaleString()}`, margin, y); y += 14;
-
-    // summary fields (left side)
-    const summaryX = margin;
-    doc.text(`Principal: ${fmt(parseFloat($('principal').value || 0))}`, summaryX, y); y+=12;
-    doc.text(`Loan Start: ${$('startDate').value || '—'}`, summaryX, y); y+=12;
-    doc.text(`Tenure (months, baseline): ${window._last?.baseline?.monthsTaken || '—'}`, summaryX, y); y+=12;
-    doc.text(`EMI (baseline): ${fmt(window._last?.baseline?.baseEmi || 0)}`, summaryX, y); y+=16;
-
-    // Per-prepayment brief
-    doc.setFontSize(11);
-    doc.text('Per-prepayment savings (summary):', summaryX, y); y+=12;
-    const perSavings = computePerPrepaySavings(
-      window._last?.baseline?.rows?.[0]?.opening || parseFloat($('principal').value || 0),
-      parseFloat($('initialRate').value || 0),
-      (parseInt($('years').value||0)*12 + parseInt($('months').value||0)),
-      window._last?.startDate || new Date(),
-      window._last?.prepayments || [],
-      window._last?.roiChanges || []
-    );
-
-    doc.setFontSize(9);
-    if(perSavings.length === 0){
-      doc.text('No prepayments defined.', summaryX, y); y+=12;
-    } else {
-      perSavings.forEach((s, idx) => {
-        const p = s.prepay;
-        const line = `Prepay ${idx+1}: ${p.date} - ${fmt(p.amount)} - ${p.strategy} | Interest saved: ${fmt(s.interestSaved)}, Months saved: ${s.monthsSaved}`;
-        // Wrap text if necessary:
-        const split = doc.splitTextToSize(line, pageWidth - margin*2);
-        doc.text(split, summaryX, y);
-        y += (split.length * 10) + 4;
-        if(y > pageHeight - 220){ doc.addPage(); y = margin; }
-      });
-    }
 
-    y += 6;
+/* ---------- Share links & embed mode ---------- */
+/* {name, state, own} while a shared link is on screen; nothing is saved until "Save as new loan".
+   `own` is the form as it was before the link opened, put back when the user leaves. */
+let sharedScenario = null;
+const isSharedView = () => !!sharedScenario;
+const PROFILE_CONTROLS = ['loanSelector', 'newLoan', 'deleteLoan', 'renameLoan'];
+
+function openSharedFromHash(){
+  const link = LoanShare.parseFragment(location.hash);
+  if(!link) return false;
+  let scenario;
+  try { scenario = LoanShare.decodeScenario(link.payload); }
+  catch(err){ alert(err.message); return false; }
+  sharedScenario = { ...scenario, own: sharedScenario ? sharedScenario.own : collectFormState() };
+  loadState(scenario.state);
+  resetHistory();
+  calculateAll();
+  $('sharedName').textContent = scenario.name ? `"${scenario.name}"` : '';
+  $('sharedBanner').classList.remove('d-none');
+  PROFILE_CONTROLS.forEach(id => { $(id).disabled = true; });
+  document.body.classList.toggle('embed-mode', link.embed);
+  $('embedFooter').classList.toggle('d-none', !link.embed);
+  $('embedName').textContent = scenario.name || 'Shared loan';
+  $('embedOpen').href = location.href.split('#')[0] + LoanShare.buildFragment(link.payload, false);
+  return true;
+}
 
-    // Insert chart image (fit to page width minus margins)
-    const imgMaxWidth = pageWidth - margin*2;
-    // preserve aspect ratio
-    const img = new Image();
-    img.src = imgData;
-    await new Promise((res,rej)=>{
-      img.onload = res;
-      img.onerror = rej;
-    });
-    const imgW = img.width;
-    const imgH = img.height;
-    const scale = Math.min(1, imgMaxWidth / imgW);
-    const drawW = imgW * scale;
-    const drawH = imgH * scale;
-
-    // if not enough space on current page for chart + some rows, add page
-    if(y + drawH > pageHeight - 160){
-      doc.addPage(); y = margin;
-    }
-    doc.addImage(imgData, 'PNG', margin, y, drawW, drawH);
-    y += drawH + 12;
-
-    // Amortization table (first 40 rows)
-    doc.setFontSize(10);
-    doc.text('Amortization table (first 40 rows):', margin, y); y += 12;
-    doc.setFontSize(8);
-    const tableColsX = [margin, margin+30, margin+95, margin+155, margin+230, margin+295, margin+360, margin+420, margin+480];
-    // header
-    const headers = ['M','Date','ROI','Opening','EMI','Interest','Principal','Prepay','Closing'];
-    headers.forEach((h, idx) => { doc.text(h, tableColsX[idx], y); });
-    y += 10;
-
-    const rows = window._last.withPrepay.rows.slice(0,40);
-    doc.setFontSize(7.5);
-    rows.forEach(r=>{
-      const vals = [
-        String(r.month), ymd(r.date), (r.roi||0).toFixed(2),
-        Number(r.opening).toFixed(2), Number(r.emi).toFixed(2), Number(r.interest).toFixed(2),
-        Number(r.principal).toFixed(2), Number(r.prepay).toFixed(2), Number(r.closing).toFixed(2)
-      ];
-      vals.forEach((v, idx) => {
-        doc.text(String(v), tableColsX[idx], y);
-      });
-      y += 9;
-      if(y > pageHeight - 40){
-        doc.addPage();
-        y = margin;
-      }
-    });
+/* leave the shared scenario; `restore` puts the user's own loan back on screen */
+function closeSharedView(restore = true){
+  const own = sharedScenario && sharedScenario.own;
+  sharedScenario = null;
+  $('sharedBanner').classList.add('d-none');
+  $('embedFooter').classList.add('d-none');
+  document.body.classList.remove('embed-mode');
+  PROFILE_CONTROLS.forEach(id => { $(id).disabled = false; });
+  if(location.hash) history.replaceState(null, '', location.href.split('#')[0]);
+  if(restore && own){
+    loadState(own);
+    resetHistory();
+    calculateAll();
+  }
+}
 
-    // Save
-    doc.save('home_loan_report_with_chart.pdf');
+function shareUrl(embed){
+  const name = sharedScenario ? sharedScenario.name : loanProfiles[currentLoan]?.name;
+  return location.href.split('#')[0] + LoanShare.buildFragment(LoanShare.encodeScenario(collectFormState(), name), embed);
+}
 
+function offerLink(text, label){
+  const ask = () => prompt(`Copy the ${label.toLowerCase()}:`, text);
+  if(navigator.clipboard && navigator.clipboard.writeText){
+    navigator.clipboard.writeText(text).then(() => alert(`${label} copied to the clipboard.`), ask);
+  } else ask();
+}
+
+$('shareLink').addEventListener('click', ()=> offerLink(shareUrl(false), 'Link'));
+$('embedLink').addEventListener('click', ()=> {
+  offerLink(`<iframe src="${shareUrl(true).replace(/"/g, '%22')}" width="100%" height="640" style="border:0" title="Home loan schedule"></iframe>`, 'Embed code');
+});
+
+$('saveShared').addEventListener('click', ()=>{
+  const name = prompt('Name for the new loan?', sharedScenario.name || 'Shared loan');
+  if(!name) return;
+  const state = collectFormState();   // with any edits made while viewing
+  closeSharedView(false);
+  loanProfiles.push({ id: LoanStore.newId(), name, state, result: null });
+  persistProfiles();
+  loadLoanProfile(loanProfiles.length - 1);
+  refreshLoanDropdowns();
+});
+$('closeShared').addEventListener('click', ()=> closeSharedView());
+
+window.addEventListener('hashchange', ()=>{
+  if(LoanShare.parseFragment(location.hash)) openSharedFromHash();
+  else if(sharedScenario) closeSharedView();
+});
+
+/* ---------- Report (PDF & Print share one layout) ---------- */
+/* jsPDF's built-in fonts cover Latin-1 only: locale spaces become plain spaces, anything else falls back */
+const pdfText = (text, fallback) => {
+  const t = text.replace(/[\u00a0\u202f]/g, ' ');
+  return /[^\x00-\xff]/.test(t) ? fallback : t;
+};
+
+/* the ticked sections and options; period follows the schedule view (monthly -> calendar years) */
+function reportOptions(forPdf){
+  return {
+    sections: [...document.querySelectorAll('#reportOptions [data-section]')].filter(c => c.checked).map(c => c.dataset.section),
+    period: $('scheduleView').value === 'fy' ? 'fy' : 'calendar',
+    cover: $('rptCover').checked,
+    pageNumbers: $('rptPageNumbers').checked,
+    currency: money.settings.currency,
+    format: forPdf ? v => pdfText(fmt(v), Number(v).toFixed(money.decimals)) : fmt,
+    formatDate: forPdf ? d => pdfText(formatNice(d), ymd(d)) : formatNice
+  };
+}
+
+/* the loan on screen, or every saved loan (the current one with its latest edits) */
+function reportEntries(){
+  const current = { name: loanProfiles[currentLoan]?.name || 'Loan', state: collectFormState() };
+  if(!$('rptAllLoans').checked) return [current];
+  return loanProfiles.map((p, i) => i === currentLoan ? current : p).filter(p => p && p.state)
+    .map(p => ({ name: p.name, state: p.state }));
+}
+
+/* Chart.js on a detached canvas -> {src, width, height} */
+function chartImage(config, width = 900, height = 420){
+  const canvas = document.createElement('canvas');
+  canvas.width = width; canvas.height = height;
+  const chart = new Chart(canvas, { ...config, options: { ...config.options, responsive: false, animation: false, devicePixelRatio: 1 } });
+  const src = canvas.toDataURL('image/png', 1.0);
+  chart.destroy();
+  return { src, width, height };
+}
+
+function reportImages(model){
+  return model.loans.map(loan => {
+    if(!loan.sections.some(s => s.key === 'charts')) return {};
+    const { baseline, withPrepay } = loan.result;
+    return {
+      balance: chartImage(balanceChartConfig(baseline, withPrepay)),
+      yearly: chartImage(yearlyChartConfig(rollupSchedule(withPrepay.rows, $('scheduleView').value === 'fy' ? 'fy' : 'calendar')))
+    };
+  });
+}
+
+function buildCurrentReport(forPdf){
+  const options = reportOptions(forPdf);
+  if(!options.sections.length) throw new Error('Pick at least one report section.');
+  const model = LoanReport.buildReport(reportEntries(), options);
+  return { model, images: reportImages(model) };
+}
+
+$('exportPdf').addEventListener('click', ()=>{
+  if(!window._last){ alert('Run calculation first'); return; }
+  try {
+    const { model, images } = buildCurrentReport(true);
+    if(!window.jspdf) throw new Error('the PDF library has not loaded. Open the page online once so it is kept for offline use.');
+    const { jsPDF } = window.jspdf;
+    const doc = new jsPDF({unit:'pt', format:'a4'});
+    LoanReport.renderPdf(doc, model, images);
+    doc.save(model.loans.length > 1 ? 'home_loan_report_all_loans.pdf' : 'home_loan_report.pdf');
   } catch(err){
     console.error(err);
-    alert('Failed to export PDF with chart: ' + (err && err.message ? err.message : err));
+    alert('Failed to export PDF: ' + (err && err.message ? err.message : err));
   }
 });
 
-/* ---------- Print ---------- */
 $('printReport').addEventListener('click', ()=> {
   if(!window._last){ alert('Run calculation first'); return; }
-  // create a printable window
-  const w = window.open('', '_blank');
-  const rows = window._last.withPrepay.rows;
-  const title = `<h2>Home Loan Report</h2>`;
-  const summaryHtml = `<p>Principal: ${fmt(parseFloat($('principal').value || 0))} <br/>
-    Start Date: ${$('startDate').value || '—'} <br/>
-    EMI (baseline): ${fmt(window._last?.baseline?.baseEmi || 0)}</p>`;
-  let table = `<table border="1" cellpadding="4" style="border-collapse:collapse;font-family:Arial;font-size:12px">
-    <thead><tr><th>Month</th><th>Date</th><th>ROI%</th><th>Opening</th><th>EMI</th><th>Interest</th><th>Principal</th><th>Prepay</th><th>Closing</th></tr></thead><tbody>`;
-  rows.forEach(r=>{
-    table += `<tr>
-      <td style="text-align:center">${r.month}</td>
-      <td style="text-align:center">${ymd(r.date)}</td>
-      <td>${(r.roi||0).toFixed(2)}</td>
-      <td>${r.opening.toFixed(2)}</td>
-      <td>${r.emi.toFixed(2)}</td>
-      <td>${r.interest.toFixed(2)}</td>
-      <td>${r.principal.toFixed(2)}</td>
-      <td>${r.prepay.toFixed(2)}</td>
-      <td>${r.closing.toFixed(2)}</td>
-    </tr>`;
-  });
-  table += '</tbody></table>';
-  // include chart as dataURL image inline if exists
-  const canvas = $('compareChart');
-  let chartHtml = '';
+  let html;
   try {
-    if(canvas){
-      const data = canvas.toDataURL('image/png');
-      chartHtml = `<div><img src="${data}" style="max-width:100%;height:auto;margin:12px 0"></div>`;
-    }
-  } catch(e){ /* ignore if cross-origin issues */ }
-
-  w.document.write(`<html><head><title>Loan Report</title></head><body>${title}${summaryHtml}${chartHtml}${table}</body></html>`);
+    const { model, images } = buildCurrentReport();
+    html = LoanReport.renderHtml(model, images);
+  } catch(err){
+    alert('Failed to build report: ' + (err && err.message ? err.message : err));
+    return;
+  }
+  const w = window.open('', '_blank');
+  w.document.write(html);
   w.document.close();
   w.print();
 });
 
+/* ---------- Offline app & updates ----------
+   sw.js keeps the page, its scripts and the pinned libraries for offline use. A new release
+   installs in the background and waits; the banner lets the user switch over when ready. */
+let waitingWorker = null;
+let applyingUpdate = false;
+
+function offerUpdate(worker){
+  waitingWorker = worker;
+  $('updateBanner').classList.remove('d-none');
+}
+
+if('serviceWorker' in navigator && location.protocol !== 'file:'){
+  window.addEventListener('load', ()=>{
+    navigator.serviceWorker.register('sw.js').then(reg => {
+      if(reg.waiting && navigator.serviceWorker.controller) offerUpdate(reg.waiting);
+      reg.addEventListener('updatefound', ()=>{
+        const worker = reg.installing;
+        worker.addEventListener('statechange', ()=>{
+          // the very first install has nothing to replace
+          if(worker.state === 'installed' && navigator.serviceWorker.controller) offerUpdate(worker);
+        });
+      });
+    }).catch(err => console.warn('Offline use is not available', err));
+  });
+  navigator.serviceWorker.addEventListener('controllerchange', ()=>{
+    if(applyingUpdate) location.reload();
+  });
+  // ask the browser not to evict saved loans under storage pressure
+  if(navigator.storage && navigator.storage.persist) navigator.storage.persist();
+}
+
+$('applyUpdate').addEventListener('click', ()=>{
+  if(!waitingWorker) return;
+  applyingUpdate = true;
+  // store pending edits before the page reloads
+  clearTimeout(saveTimer);
+  saveState();
+  appStore.flush().then(() => waitingWorker.postMessage({ type: 'skipWaiting' }));
+});
+$('dismissUpdate').addEventListener('click', ()=> $('updateBanner').classList.add('d-none'));
+
+/* ---------- Display settings (currency, locale, grouping) ----------
+   App-wide rather than per loan: kept under their own key and applied to everything drawn
+   after a change. They only change how figures look; see money.js. */
+const SETTINGS_KEY = 'homeloanApp_settings_v1';
+const SETTINGS_FIELDS = { currency: 'setCurrency', locale: 'setLocale', grouping: 'setGrouping', decimals: 'setDecimals' };
+
+$('setCurrency').innerHTML = Object.entries(MoneyFormat.CURRENCIES)
+  .map(([code, [label]]) => `<option value="${code}">${code} — ${label}</option>`).join('');
+
+function readSettings(){
+  const settings = { compact: $('setCompact').checked, words: $('setWords').checked };
+  Object.entries(SETTINGS_FIELDS).forEach(([key, id]) => { settings[key] = $(id).value; });
+  return settings;
+}
+
+function applySettings(settings){
+  money = MoneyFormat.createFormatter(settings);
+  const s = money.settings;
+  Object.entries(SETTINGS_FIELDS).forEach(([key, id]) => { $(id).value = s[key]; });
+  $('setCompact').checked = s.compact;
+  $('setWords').checked = s.words;
+  showPrincipalWords();
+}
+
+function loadSettings(){
+  let saved = null;
+  try { saved = JSON.parse(appStore.getItem(SETTINGS_KEY) || 'null'); }
+  catch(e){ console.warn('Display settings could not be read', e); }
+  applySettings(saved || MoneyFormat.DEFAULT_SETTINGS);
+}
+
+function showPrincipalWords(){
+  $('principalWords').textContent = money.words($('principal').value);
+}
+
+$('settingsToggle').addEventListener('click', ()=> $('settingsPanel').classList.toggle('d-none'));
+[...Object.values(SETTINGS_FIELDS), 'setCompact', 'setWords'].forEach(id => $(id).addEventListener('change', ()=>{
+  applySettings(readSettings());
+  appStore.setItem(SETTINGS_KEY, JSON.stringify(money.settings));
+  calculateAll();
+}));
+$('principal').addEventListener('input', showPrincipalWords);
+
 /* ---------- Wire calculate button ---------- */
 $('calculate').addEventListener('click', calculateAll);
 
@@ -626,32 +1913,49 @@ $('calculate').addEventListener('click', calculateAll);
 const observerConfig = { childList: true, subtree: true, attributes: false };
 const roiObserver = new MutationObserver(() => scheduleSave());
 const prepayObserver = new MutationObserver(() => scheduleSave());
+const ledgerObserver = new MutationObserver(() => scheduleSave());
 roiObserver.observe($('roiList'), observerConfig);
 prepayObserver.observe($('prepayList'), observerConfig);
+ledgerObserver.observe($('ledgerList'), observerConfig);
+new MutationObserver(() => scheduleSave()).observe($('borrowerList'), observerConfig);
+new MutationObserver(() => scheduleSave()).observe($('trancheList'), observerConfig);
+new MutationObserver(() => scheduleSave()).observe($('holidayList'), observerConfig);
+new MutationObserver(() => scheduleSave()).observe($('applicantList'), observerConfig);
 
 /* ---------- Initial state & Calculate ---------- */
-window.addEventListener('load', ()=>{
+// saved state is read from IndexedDB first (appStore.ready)
+window.addEventListener('load', ()=> appStore.ready.then(()=>{
   // default start date = today
   const today = new Date();
   if(!$('startDate').value) $('startDate').value = ymd(today);
 
+  loadSettings();
   // try load
   const loaded = loadState();
   if(!loaded){
     // add initial ROI entry aligned to start date
     $('roiList').appendChild(createRoiElement({date: ymd(today), rate: parseFloat($('initialRate').value)||8.8}));
+    $('borrowerList').appendChild(createBorrowerElement(DEFAULT_BORROWER));
+    $('applicantList').appendChild(createApplicantElement(DEFAULT_APPLICANT));
     // No default prepay to avoid accidental extra payments
   }
 
   // attach input listeners to save
-  ['principal','years','months','startDate','initialRate'].forEach(id=>{
+  ['principal','years','months','startDate','initialRate','interestConvention','rateResetDefault',
+   'rateModel','benchmarkName','benchmarkSpread','benchmarkReset','reconTolerance',
+   'taxPropertyType','taxNetRent','disbursementMode','feeProcessingPct','feeUpfront','feeInsurance',
+   'feeInsuranceMode','feePrepayPct','feeForeclosurePct','feeLockIn','feeAnnual',
+   'repaymentType','repaymentStepPct','repaymentStepMonths','repaymentBalloonPct','emiRoundTo',
+   'eligProperty','eligDown','eligFoir','eligLtv','eligComfort','eligRetire','eligMaxYears','eligRate'].forEach(id=>{
     const el = $(id);
     el.addEventListener('input', scheduleSave);
     el.addEventListener('change', scheduleSave);
   });
 
+  resetHistory();
   calculateAll();
-});
+  openSharedFromHash();
+}));
 
 
 
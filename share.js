@@ -0,0 +1,146 @@
+/* ================= SHAREABLE SCENARIO LINKS (NO DOM) =================
+   One loan's inputs packed into a URL fragment, so a link opens the app with that
+   scenario and nothing has to live on a server:
+
+     index.html#s=<payload>              full app, scenario loaded, nothing saved
+     index.html#s=<payload>&view=embed   read-only: summary badges, chart and schedule
+
+   payload = base64url(JSON of the packed scenario). Packing keeps what shapes the
+   schedule (amount, tenure, rates, ROI changes, prepayments, holidays, tranches, fees)
+   as positional arrays and leaves out empty and default values. The payments ledger,
+   tax and eligibility details are personal and never go into a link.
+
+   Packed v1: { v, n: name, p, y, m, d, r, c, k, e: EMI rounding, rp: [type, step%, stepMonths, balloon%],
+                b: [name, spread, resetMonths, [[date, rate]]], ri: [[date, rate, policy]],
+                pp: [[date, amount, strategy, type, frequency, endDate, count, growth%, foreclose '1']],
+                h: [[start, end, interest, resume]], t: [mode, [[date, amount]]], f: {fees} }
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-store.js'));
+  else root.LoanShare = factory(root.LoanStore);
+})(typeof self !== 'undefined' ? self : this, function(LoanStore){
+'use strict';
+
+const SHARE_VERSION = 1;
+const PREPAY_DEFAULTS = ['', '', 'reduceTenure', 'one', 'monthly', '', '0', '0', ''];
+const HOLIDAY_DEFAULTS = ['', '', 'capitalize', 'extendTenure'];
+
+const isEmpty = v => v === undefined || v === null || v === '';
+const str = v => isEmpty(v) ? '' : String(v);
+
+/* drop trailing entries that equal their default, so short rows stay short */
+function trimRow(row, defaults = []){
+  const out = row.map(str);
+  while(out.length && (out[out.length-1] === '' || out[out.length-1] === str(defaults[out.length-1]))) out.pop();
+  return out;
+}
+const padRow = (row, defaults) => defaults.map((d, i) => row[i] !== undefined && row[i] !== '' ? row[i] : d);
+
+/* saveState() object + name -> packed object */
+function packScenario(state, name){
+  const s = state || {};
+  const packed = { v: SHARE_VERSION };
+  if(name) packed.n = name;
+  [['p', 'principal'], ['y', 'years'], ['m', 'months'], ['d', 'startDate'], ['r', 'initialRate']].forEach(([k, key]) => {
+    if(!isEmpty(s[key])) packed[k] = str(s[key]);
+  });
+  if(s.interestConvention && s.interestConvention !== '30/360') packed.c = s.interestConvention;
+  if(s.rateResetDefault === 'keepTenure') packed.k = 'keepTenure';
+  if(!isEmpty(s.emiRoundTo) && String(s.emiRoundTo) !== '0') packed.e = str(s.emiRoundTo);
+  const rep = s.repayment || {};
+  if(rep.type && rep.type !== 'level') packed.rp = trimRow([rep.type, rep.stepPct, rep.stepMonths, rep.balloonPct]);
+  if(s.rateModel === 'benchmark' && s.benchmark){
+    const b = s.benchmark;
+    packed.b = [str(b.name), str(b.spread), str(b.resetMonths), (b.history || []).map(h => [str(h.date), str(h.rate)])];
+  }
+  const roi = (s.roi || []).filter(r => r && r.date).map(r => trimRow([r.date, r.rate, r.policy], ['', '', 'default']));
+  if(roi.length) packed.ri = roi;
+  const prepay = (s.prepay || s.prepayments || []).filter(p => p && p.date).map(p => trimRow(
+    [p.date, p.amount, p.strategy, p.type, p.frequency, p.endDate, p.count, p.growthPct, p.foreclose ? '1' : ''], PREPAY_DEFAULTS));
+  if(prepay.length) packed.pp = prepay;
+  const holidays = (s.holidays || []).filter(h => h && h.start).map(h => trimRow([h.start, h.end, h.interest, h.resume], HOLIDAY_DEFAULTS));
+  if(holidays.length) packed.h = holidays;
+  const tranches = ((s.disbursement || {}).tranches || []).filter(t => t && t.date).map(t => [str(t.date), str(t.amount)]);
+  if(tranches.length) packed.t = [str(s.disbursement.mode), tranches];
+  const fees = {};
+  Object.entries(s.fees || {}).forEach(([k, v]) => {
+    if(!isEmpty(v) && String(v) !== '0' && !(k === 'insuranceMode' && v === 'upfront')) fees[k] = str(v);
+  });
+  if(Object.keys(fees).length) packed.f = fees;
+  return packed;
+}
+
+/* packed object -> {name, state} in the saveState() shape */
+function unpackScenario(packed){
+  if(!packed || typeof packed !== 'object') throw new Error('Link does not contain a loan');
+  if(packed.v !== SHARE_VERSION) throw new Error(`Link version ${packed.v} is not supported by this page`);
+  const rows = (v, f) => Array.isArray(v) ? v.filter(Array.isArray).map(f) : [];
+  const rep = packed.rp || [];
+  const state = {
+    principal: str(packed.p),
+    years: str(packed.y || '0'),
+    months: str(packed.m || '0'),
+    startDate: str(packed.d),
+    initialRate: str(packed.r),
+    interestConvention: packed.c || '30/360',
+    rateResetDefault: packed.k === 'keepTenure' ? 'keepTenure' : 'keepEmi',
+    emiRoundTo: str(packed.e || '0'),
+    repayment: { type: rep[0] || 'level', stepPct: rep[1] || '5', stepMonths: rep[2] || '12', balloonPct: rep[3] || '20' },
+    rateModel: Array.isArray(packed.b) ? 'benchmark' : 'manual',
+    benchmark: Array.isArray(packed.b)
+      ? { name: str(packed.b[0]), spread: str(packed.b[1]), resetMonths: str(packed.b[2]) || '3', history: rows(packed.b[3], ([date, rate]) => ({ date, rate: Number(rate) })) }
+      : { name: '', spread: '2.75', resetMonths: '3', history: [] },
+    roi: rows(packed.ri, r => { const [date, rate, policy] = padRow(r, ['', '', 'default']); return { date, rate, policy }; }),
+    prepay: rows(packed.pp, r => {
+      const [date, amount, strategy, type, frequency, endDate, count, growthPct, foreclose] = padRow(r, PREPAY_DEFAULTS);
+      return { type, amount, date, strategy, ...(type === 'recurring' ? { frequency, endDate, count, growthPct } : foreclose === '1' ? { foreclose: true } : {}) };
+    }),
+    holidays: rows(packed.h, r => { const [start, end, interest, resume] = padRow(r, HOLIDAY_DEFAULTS); return { start, end, interest, resume }; }),
+    disbursement: Array.isArray(packed.t)
+      ? { mode: packed.t[0] || 'preEmi', tranches: rows(packed.t[1], ([date, amount]) => ({ date, amount })) }
+      : { mode: 'preEmi', tranches: [] },
+    fees: { processingPct: '0', upfront: '0', insurance: '0', insuranceMode: 'upfront', prepayPenaltyPct: '0',
+      foreclosurePenaltyPct: '0', lockInMonths: '0', annualFee: '0', ...(packed.f || {}) }
+  };
+  return { name: packed.n ? String(packed.n) : '', state };
+}
+
+/* UTF-8 safe base64url, without padding */
+function toBase64Url(text){
+  let bin = '';
+  new TextEncoder().encode(text).forEach(b => { bin += String.fromCharCode(b); });
+  return btoa(bin).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+function fromBase64Url(text){
+  const bin = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return new TextDecoder().decode(Uint8Array.from(bin, c => c.charCodeAt(0)));
+}
+
+function encodeScenario(state, name){
+  return toBase64Url(JSON.stringify(packScenario(state, name)));
+}
+
+/* payload -> {name, state, warnings}; throws with a readable message when the link is broken or invalid */
+function decodeScenario(payload){
+  let packed;
+  try { packed = JSON.parse(fromBase64Url(String(payload || ''))); }
+  catch(e){ throw new Error('The link is incomplete or damaged'); }
+  const scenario = unpackScenario(packed);
+  const { errors, warnings } = LoanStore.validateState(scenario.state);
+  if(errors.length) throw new Error('The shared loan is not valid:\n' + errors.join('\n'));
+  return { ...scenario, warnings };
+}
+
+/* '#s=...&view=embed' -> {payload, embed} or null when the fragment has no scenario */
+function parseFragment(hash){
+  const params = new URLSearchParams(String(hash || '').replace(/^#/, ''));
+  const payload = params.get('s');
+  return payload ? { payload, embed: params.get('view') === 'embed' } : null;
+}
+
+function buildFragment(payload, embed){
+  return `#s=${payload}${embed ? '&view=embed' : ''}`;
+}
+
+return { SHARE_VERSION, packScenario, unpackScenario, encodeScenario, decodeScenario, parseFragment, buildFragment };
+});
@@ -0,0 +1,55 @@
+/* ================= OFFLINE SERVICE WORKER =================
+   Keeps the page, its scripts and the libraries it loads in one versioned cache, so the
+   calculator opens and works with no network after the first visit.
+
+   Releasing a change: bump CACHE_VERSION (and the library paths when upgrading one).
+   The browser then installs this worker next to the running one; it waits until the
+   page's "Reload now" banner posts {type: 'skipWaiting'}, and on activation drops the
+   caches of older versions. Libraries are unmodified copies of their npm dist files in
+   vendor/<package>@<version>/, served from this origin so the very first visit can be
+   cached whole; the paths must match the <script>/<link> tags in index.html.
+*/
+'use strict';
+
+const CACHE_VERSION = 'homeloan-v3';
+
+const APP_FILES = [
+  './', 'index.html', 'manifest.webmanifest', 'icon.svg',
+  'loan-engine.js', 'loan-store.js', 'loan-db.js', 'tax-engine.js', 'optimizer.js', 'scenarios.js',
+  'refinance.js', 'invest.js', 'eligibility.js', 'share.js', 'compare.js', 'calendar.js', 'report.js', 'money.js',
+  'script.js'
+];
+
+const LIBRARIES = [
+  'vendor/bootstrap@5.3.8/bootstrap.min.css',
+  'vendor/bootstrap@5.3.8/bootstrap.bundle.min.js',
+  'vendor/chart.js@4.4.1/chart.umd.js',
+  'vendor/jspdf@2.5.1/jspdf.umd.min.js'
+];
+
+self.addEventListener('install', event => {
+  // 'reload' skips the HTTP cache so a new version never precaches stale files
+  event.waitUntil(caches.open(CACHE_VERSION).then(cache =>
+    cache.addAll([...APP_FILES, ...LIBRARIES].map(url => new Request(url, { cache: 'reload' })))));
+});
+
+self.addEventListener('activate', event => {
+  event.waitUntil(caches.keys()
+    .then(keys => Promise.all(keys.filter(k => k.startsWith('homeloan-') && k !== CACHE_VERSION).map(k => caches.delete(k))))
+    .then(() => self.clients.claim()));
+});
+
+self.addEventListener('message', event => {
+  if(event.data && event.data.type === 'skipWaiting') self.skipWaiting();
+});
+
+/* cache first; pages opened with a query string (or offline at any app URL) get index.html */
+self.addEventListener('fetch', event => {
+  const req = event.request;
+  if(req.method !== 'GET') return;
+  event.respondWith(caches.open(CACHE_VERSION).then(cache =>
+    cache.match(req, { ignoreSearch: req.mode === 'navigate' }).then(hit => hit || fetch(req).catch(err => {
+      if(req.mode === 'navigate') return cache.match('index.html');
+      throw err;
+    }))));
+});
@@ -0,0 +1,139 @@
+/* ================= TAX ENGINE (INDIA, NO DOM) =================
+   Home loan income-tax benefit per financial year (April–March):
+   - Section 24(b): interest. Self-occupied: capped at 2,00,000 per borrower.
+     Let-out: interest is set against the net rent; the resulting loss can be
+     set off against other income up to 2,00,000 (not at all in the new regime).
+   - Section 80C: principal repaid (EMI principal + prepayments), capped at
+     1,50,000 per borrower less their other 80C investments. Old regime only.
+   Each co-borrower claims their ownership share of interest and principal with
+   their own caps and marginal slab rate (enter the slab including cess).
+*/
+(function(root, factory){
+  if(typeof module === 'object' && module.exports) module.exports = factory(require('./loan-engine.js'));
+  else root.TaxEngine = factory(root.LoanEngine);
+})(typeof self !== 'undefined' ? self : this, function(LoanEngine){
+'use strict';
+
+const { buildSchedule, scheduleOptions, financialYear, fyLabel } = LoanEngine;
+
+const TAX_LIMITS = { selfOccupiedInterest: 200000, lossSetOff: 200000, section80C: 150000 };
+
+function groupByFinancialYear(rows){
+  const groups = new Map();
+  rows.forEach(r => {
+    const fy = financialYear(r.date);
+    if(!groups.has(fy)) groups.set(fy, { fy, label: fyLabel(fy), interest: 0, principal: 0, prepay: 0, rows: [] });
+    const g = groups.get(fy);
+    g.interest += r.interest || 0;
+    g.principal += Math.max(0, r.principal || 0);
+    g.prepay += r.prepay || 0;
+    g.rows.push(r);
+  });
+  return [...groups.values()].sort((a,b) => a.fy - b.fy);
+}
+
+/* settings: { propertyType:'selfOccupied'|'letOut', netRent, borrowers:[{name, share, regime:'old'|'new', slab, other80C}] }
+   shares are percentages; they are scaled to add up to 100. */
+function normalizeTaxSettings(settings = {}){
+  const num = v => parseFloat(v) || 0;
+  let borrowers = (settings.borrowers || []).map((b, i) => ({
+    name: b.name || `Borrower ${i+1}`,
+    share: Math.max(0, num(b.share)),
+    regime: b.regime === 'new' ? 'new' : 'old',
+    slab: Math.max(0, num(b.slab)),
+    other80C: Math.max(0, num(b.other80C))
+  }));
+  if(borrowers.length === 0) borrowers = [{ name: 'Borrower 1', share: 100, regime: 'old', slab: 30, other80C: 0 }];
+  const totalShare = borrowers.reduce((s,b)=>s + b.share, 0);
+  // no shares entered: split equally
+  borrowers.forEach(b => { b.share = totalShare > 0 ? b.share * 100 / totalShare : 100 / borrowers.length; });
+  return {
+    propertyType: settings.propertyType === 'letOut' ? 'letOut' : 'selfOccupied',
+    netRent: Math.max(0, num(settings.netRent)),
+    borrowers
+  };
+}
+
+/* deductions for one borrower in one FY */
+function borrowerDeductions(b, interest, principal, settings){
+  const intShare = interest * b.share / 100;
+  const prinShare = principal * b.share / 100;
+  const rentShare = settings.netRent * b.share / 100;
+  let interestDeduction;
+  if(settings.propertyType === 'selfOccupied'){
+    interestDeduction = b.regime === 'new' ? 0 : Math.min(intShare, TAX_LIMITS.selfOccupiedInterest);
+  } else {
+    const setOff = b.regime === 'new' ? 0 : TAX_LIMITS.lossSetOff;
+    interestDeduction = Math.min(intShare, rentShare + setOff);
+  }
+  const principalDeduction = b.regime === 'new' ? 0
+    : Math.min(prinShare, Math.max(0, TAX_LIMITS.section80C - b.other80C));
+  return {
+    name: b.name,
+    share: b.share,
+    interest: intShare,
+    principal: prinShare,
+    interestDeduction,
+    principalDeduction,
+    taxSaved: (interestDeduction + principalDeduction) * b.slab / 100
+  };
+}
+
+function computeTaxBenefit(rows, rawSettings){
+  const settings = normalizeTaxSettings(rawSettings);
+  const years = groupByFinancialYear(rows).map(g => {
+    const principal = g.principal + g.prepay;
+    const borrowers = settings.borrowers.map(b => borrowerDeductions(b, g.interest, principal, settings));
+    return {
+      fy: g.fy,
+      label: g.label,
+      interest: g.interest,
+      principal,
+      interestDeduction: borrowers.reduce((s,b)=>s + b.interestDeduction, 0),
+      principalDeduction: borrowers.reduce((s,b)=>s + b.principalDeduction, 0),
+      taxSaved: borrowers.reduce((s,b)=>s + b.taxSaved, 0),
+      borrowers
+    };
+  });
+  return { settings, years, totalTaxSaved: years.reduce((s,y)=>s + y.taxSaved, 0) };
+}
+
+/* per prepayment (marginal, from LoanEngine.computePerPrepaySavings results):
+   tax benefit lost = benefit(before) - benefit(after); net saving = interest saved - benefit lost */
+function computePrepayTaxImpact(perPrepay, rawSettings){
+  return perPrepay.map(s => {
+    const before = computeTaxBenefit(s.before.rows, rawSettings).totalTaxSaved;
+    const after = computeTaxBenefit(s.schedule.rows, rawSettings).totalTaxSaved;
+    const taxBenefitLost = before - after;
+    return {
+      prepay: s.prepay,
+      interestSaved: s.interestSaved,
+      taxBenefitLost,
+      netSaving: s.interestSaved - taxBenefitLost
+    };
+  });
+}
+
+/* whole-plan view for a LoanEngine.calculateLoan result: benefit with the current
+   schedule, and net saving of all prepayments against the same loan without them */
+function computeLoanTax(result, rawSettings){
+  const { loan, withPrepay } = result;
+  const tax = computeTaxBenefit(withPrepay.rows, rawSettings);
+  const noPrepay = buildSchedule(loan.principal, loan.initialRate, loan.totalMonths, loan.startDate, [], loan.roiChanges, scheduleOptions(loan));
+  const benefitNoPrepay = computeTaxBenefit(noPrepay.rows, rawSettings).totalTaxSaved;
+  const grossInterestSaved = noPrepay.rows.reduce((s,r)=>s + r.interest, 0) - withPrepay.rows.reduce((s,r)=>s + r.interest, 0);
+  const taxBenefitLost = benefitNoPrepay - tax.totalTaxSaved;
+  return {
+    ...tax,
+    perPrepay: computePrepayTaxImpact(result.perPrepay, rawSettings),
+    grossInterestSaved,
+    taxBenefitLost,
+    netSaving: grossInterestSaved - taxBenefitLost
+  };
+}
+
+return {
+  TAX_LIMITS, financialYear, fyLabel, groupByFinancialYear,
+  normalizeTaxSettings, computeTaxBenefit, computePrepayTaxImpact, computeLoanTax
+};
+});
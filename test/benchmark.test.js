@@ -0,0 +1,48 @@
+/* Benchmark-linked floating rate: history parsing, reset timeline with its lag, and how
+   manual ROI rows sit between generated resets. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { parseBenchmarkHistory, generateBenchmarkTimeline, normalizeLoan, calculateLoan } = LoanEngine;
+
+const history = [{ date: '2023-02-08', rate: 6.5 }, { date: '2024-05-15', rate: 6.25 }, { date: '2024-10-01', rate: 6 }];
+const state = { principal: '3000000', years: '20', startDate: '2024-01-10', initialRate: '8', rateModel: 'benchmark',
+  benchmark: { name: 'Repo', spread: '2.75', resetMonths: '3', history } };
+
+test('benchmark history parses from CSV and JSON and comes back sorted', () => {
+  const csv = 'date,rate\n2024-10-01,6\n"2023-02-08";6.5\nnot a row\n2024-05-15\t6.25\n';
+  assert.deepEqual(parseBenchmarkHistory(csv), history);
+  assert.deepEqual(parseBenchmarkHistory(JSON.stringify([...history].reverse())), history);
+  assert.deepEqual(parseBenchmarkHistory('{"2024-05-15": "6.25", "2023-02-08": 6.5, "2024-10-01": 6}'), history);
+  assert.throws(() => parseBenchmarkHistory('date,rate\n'), /No "date,rate" rows/);
+});
+
+test('quarterly resets use the latest benchmark published by each reset date', () => {
+  const timeline = generateBenchmarkTimeline({ spread: '2.75', resetMonths: 3, history }, new Date(2024, 0, 10), 240);
+  assert.deepEqual(timeline.map(t => [t.date, t.rate, t.benchmarkDate, t.lagDays]), [
+    ['2024-01-10', 9.25, '2023-02-08', 336],
+    ['2024-04-10', 9.25, '2023-02-08', 427],
+    ['2024-07-10', 9, '2024-05-15', 56],   // the May cut waits for the July reset
+    ['2024-10-10', 8.75, '2024-10-01', 9]   // nothing can move after the last benchmark point
+  ]);
+  timeline.forEach(t => assert.equal(t.source, 'benchmark'));
+});
+
+test('yearly resets wait longer for the same moves', () => {
+  const timeline = generateBenchmarkTimeline({ spread: 2.75, resetMonths: 12, history }, new Date(2024, 0, 10), 240);
+  assert.deepEqual(timeline.map(t => [t.date, t.rate]), [['2024-01-10', 9.25], ['2025-01-10', 8.75]]);
+});
+
+test('the loan starts on the first reset rate and a manual override lasts until the next reset', () => {
+  const withOverride = { ...state, roi: [{ date: '2024-08-01', rate: '11' }] };
+  const loan = normalizeLoan(withOverride);
+  assert.equal(loan.initialRate, 9.25);
+  assert.deepEqual(loan.roiChanges.map(r => [r.date, r.rate, r.source]), [
+    ['2024-01-10', 9.25, 'benchmark'], ['2024-04-10', 9.25, 'benchmark'], ['2024-07-10', 9, 'benchmark'],
+    ['2024-08-01', 11, 'manual'], ['2024-10-10', 8.75, 'benchmark']
+  ]);
+  const rows = calculateLoan(withOverride).withPrepay.rows;
+  assert.deepEqual(rows.slice(0, 12).map(r => r.roi), [9.25, 9.25, 9.25, 9.25, 9.25, 9.25, 9, 11, 11, 8.75, 8.75, 8.75]);
+});
@@ -0,0 +1,38 @@
+/* calendar.js: prepayment events on their own dates, and RFC 5545 line folding by octets. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+const LoanCalendar = require('../calendar.js');
+
+const { buildSchedule, ymd } = LoanEngine;
+const { planEvents, foldLine } = LoanCalendar;
+
+test('prepayment events keep the date the prepayment was entered with', () => {
+  const prepayments = [
+    { type: 'one', amount: 100000, date: '2024-06-20', strategy: 'reduceTenure' },
+    { type: 'recurring', amount: 5000, date: '2024-01-05', frequency: 'yearly', strategy: 'reduceTenure' }
+  ];
+  ['30/360', 'ACT/365'].forEach(interestConvention => {
+    const s = buildSchedule(1000000, 8.5, 240, new Date(2024, 0, 5), prepayments, [], { interestConvention });
+    const events = planEvents(s.rows.slice(0, 13), { loanId: 'home', include: { emi: false, roi: false } });
+    assert.deepEqual(events.map(e => ymd(e.date)), ['2024-01-05', '2024-06-20', '2025-01-05']);
+    assert.equal(events[1].uid, 'home-prepay-2024-06-20@homeloan-calculator');
+  });
+});
+
+test('the from date filters prepayments by their own date', () => {
+  const s = buildSchedule(1000000, 8.5, 240, new Date(2024, 0, 5),
+    [{ type: 'one', amount: 100000, date: '2024-06-20', strategy: 'reduceTenure' }], []);
+  const events = planEvents(s.rows, { include: { emi: false, roi: false }, from: new Date(2024, 5, 10) });
+  assert.deepEqual(events.map(e => ymd(e.date)), ['2024-06-20']);
+});
+
+test('lines fold at 75 octets without splitting characters', () => {
+  const line = 'DESCRIPTION:' + 'é'.repeat(40) + '😀'.repeat(20) + 'x'.repeat(30);
+  const parts = foldLine(line).split('\r\n');
+  parts.forEach(p => assert.ok(Buffer.byteLength(p) <= 75, `${Buffer.byteLength(p)} octets`));
+  assert.equal(parts.map((p, i) => i ? p.slice(1) : p).join(''), line);
+  assert.ok(parts.slice(1).every(p => p.startsWith(' ')));
+  assert.equal(foldLine('A'.repeat(75)), 'A'.repeat(75));
+});
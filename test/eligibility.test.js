@@ -0,0 +1,95 @@
+/* eligibility.js: the largest loan under FOIR, LTV and need, the tenure left to retirement,
+   and EMIs that outgrow the FOIR limit after a rate rise. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEligibility = require('../eligibility.js');
+const LoanEngine = require('../loan-engine.js');
+
+const { assessEligibility, normalizeEligibility, maxLoanForEmi, affordabilityBreaches } = LoanEligibility;
+const { computeEmi } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+const applicants = [
+  { income: '100000', existingEmi: '10000', age: '40' },
+  { name: 'B', income: '50000', age: '45' },
+  { income: '', age: '58' }   // not earning: does not shorten the tenure
+];
+const input = { applicants, propertyValue: '10000000', downPayment: '3000000', rate: '9' };
+
+test('defaults fill in blank limits and applicants get names', () => {
+  const e = normalizeEligibility({ applicants, foirPct: '', ltvPct: '75' });
+  assert.deepEqual([e.foirPct, e.ltvPct, e.retirementAge, e.maxTenureYears, e.comfortPct], [50, 75, 60, 30, 35]);
+  assert.deepEqual(e.applicants.map(a => [a.name, a.income, a.existingEmi, a.age]),
+    [['Applicant 1', 100000, 10000, 40], ['B', 50000, 0, 45], ['Applicant 3', 0, 0, 58]]);
+});
+
+test('maxLoanForEmi inverts the EMI formula', () => {
+  close(maxLoanForEmi(computeEmi(2500000, 0.0075, 240), 9, 240), 2500000);
+  assert.equal(maxLoanForEmi(0, 9, 240), 0);
+  assert.equal(maxLoanForEmi(10000, 9, 0), 0);
+});
+
+test('co-applicants pool income; the oldest earner sets the tenure and FOIR the EMI', () => {
+  const r = assessEligibility(input);
+  assert.deepEqual(r.errors, []);
+  assert.equal(r.income, 150000);
+  assert.equal(r.existingEmi, 10000);
+  assert.equal(r.tenureMonths, (60 - 45) * 12);
+  assert.equal(r.maxEmi, 150000 * 0.5 - 10000);
+  close(r.limits.income, 65000 / computeEmi(1, 0.0075, 180));
+  assert.equal(r.limits.ltv, 8000000);
+  assert.equal(r.limits.need, 7000000);
+  assert.equal(r.binding, 'income');
+  assert.equal(r.bindingLabel, 'income (FOIR)');
+  // rounded down to a thousand, so its EMI stays inside the limit
+  assert.equal(r.maxLoan, 6408000);
+  close(r.emi, computeEmi(6408000, 0.0075, 180));
+  assert.ok(r.emi <= r.maxEmi);
+});
+
+test('the comfortable loan uses comfortPct of income less existing EMIs', () => {
+  const r = assessEligibility(input);
+  assert.equal(r.comfortable.loan, Math.floor(maxLoanForEmi(150000 * 0.35 - 10000, 9, 180) / 1000) * 1000);
+  assert.equal(r.comfortable.loan, 4190000);
+  close(r.comfortable.emi, computeEmi(4190000, 0.0075, 180));
+});
+
+test('LTV or the amount still needed binds when income is not the limit', () => {
+  const rich = { applicants: [{ income: '400000', age: '30' }], propertyValue: '10000000', rate: '9' };
+  const ltv = assessEligibility({ ...rich, downPayment: '1000000' });
+  assert.equal(ltv.tenureMonths, 360);
+  assert.equal(ltv.binding, 'ltv');
+  assert.equal(ltv.maxLoan, 8000000);
+  const need = assessEligibility({ ...rich, downPayment: '3000000' });
+  assert.equal(need.binding, 'need');
+  assert.equal(need.maxLoan, 7000000);
+});
+
+test('missing income or rate, no working years left and a used-up FOIR are errors', () => {
+  const r = assessEligibility({ applicants: [{ income: '50000', age: '62', existingEmi: '30000' }] });
+  assert.deepEqual(r.errors, [
+    'Enter the expected interest rate',
+    'The oldest earning applicant (62) has no working years left before 60',
+    'Existing EMIs already use the 50% FOIR limit'
+  ]);
+  assert.equal(r.maxLoan, 0);
+  assert.equal(r.emi, 0);
+  assert.deepEqual(assessEligibility({ rate: '9' }).errors, ['Enter the net monthly income of at least one applicant']);
+});
+
+test('affordabilityBreaches flags rate rises that push the EMI above the limit', () => {
+  const d = m => new Date(2024, m, 5);
+  const rows = [
+    { date: d(0), roi: 9, emi: 60000 },
+    { date: d(1), roi: 9.5, emi: 62000 },   // rise, still inside
+    { date: d(2), roi: 10, emi: 66000 },    // rise above 65,000
+    { date: d(3), roi: 10, emi: 66000 },    // no change: not reported again
+    { date: d(4), roi: 10.5, emiDue: 68000, emi: 0 }
+  ];
+  assert.deepEqual(affordabilityBreaches(rows, 65000), [
+    { date: d(2), roi: 10, emi: 66000 },
+    { date: d(4), roi: 10.5, emi: 68000 }
+  ]);
+});
@@ -0,0 +1,88 @@
+/* Fees and prepayment penalties in buildSchedule / calculateLoan, and the XIRR they add up to. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { calculateLoan, normalizeLoan, upfrontCharges, loanCashFlows, xirr, computeEmi, ymd, sumBy } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+const base = { principal: '1000000', initialRate: '9', years: '10', startDate: '2024-01-05',
+  fees: { prepayPenaltyPct: '2', foreclosurePenaltyPct: '4' } };
+
+test('a prepayment that happens to clear the balance pays the prepayment penalty', () => {
+  ['30/360', 'ACT/365'].forEach(interestConvention => {
+    const r = calculateLoan({ ...base, interestConvention,
+      prepay: [{ type: 'recurring', amount: '200000', date: '2024-02-05', frequency: 'yearly', strategy: 'reduceTenure' }] });
+    const last = r.withPrepay.rows.filter(x => x.prepay > 0).pop();
+    assert.equal(last.closing, 0);
+    close(last.penalty, last.prepay * 0.02);
+  });
+});
+
+test('a foreclosure pays off the balance and the foreclosure penalty', () => {
+  const r = calculateLoan({ ...base,
+    prepay: [{ type: 'one', amount: '', date: '2026-03-20', strategy: 'reduceTenure', foreclose: true }] });
+  const rows = r.withPrepay.rows;
+  const last = rows[rows.length-1];
+  assert.equal(rows.length, 27);
+  assert.equal(last.closing, 0);
+  close(last.prepay, last.opening - last.principal);
+  close(last.penalty, last.prepay * 0.04);
+  close(sumBy(rows, 'penalty'), last.penalty);
+});
+
+test('penalties stop after the lock-in', () => {
+  const r = calculateLoan({ ...base, fees: { ...base.fees, lockInMonths: '12' },
+    prepay: [{ type: 'one', amount: '50000', date: '2024-06-05' }, { type: 'one', amount: '50000', date: '2025-06-05' }] });
+  const paid = r.withPrepay.rows.filter(x => x.prepay > 0);
+  close(paid[0].penalty, 1000);
+  assert.equal(paid[1].penalty, 0);
+});
+
+// ₹10 lakh at 12% over 10 years: 1% processing, ₹5,000 legal, ₹20,000 insurance, ₹1,000 a year
+const charged = { principal: '1000000', initialRate: '12', years: '10', startDate: '2024-01-05',
+  fees: { processingPct: '1', upfront: '5000', insurance: '20000', annualFee: '1000' } };
+
+test('upfront charges: processing on the sanctioned amount, legal, and insurance paid upfront', () => {
+  assert.equal(upfrontCharges(normalizeLoan(charged)), 10000 + 5000 + 20000);
+  const financed = normalizeLoan({ ...charged, fees: { ...charged.fees, insuranceMode: 'financed' } });
+  assert.equal(upfrontCharges(financed), 15000);
+  assert.equal(financed.sanctioned, 1000000);
+  assert.equal(financed.principal, 1020000);
+});
+
+test('financed insurance is borrowed with the loan and the annual fee falls every 12th month', () => {
+  const r = calculateLoan({ ...charged, fees: { ...charged.fees, insuranceMode: 'financed' } });
+  const rows = r.withPrepay.rows;
+  close(rows[0].emi, computeEmi(1020000, 0.01, 120));
+  assert.deepEqual(rows.filter(x => x.fee).map(x => [x.month, x.fee]), [12, 24, 36, 48, 60, 72, 84, 96, 108, 120].map(m => [m, 1000]));
+  const c = r.summary.withPrepay.charges;
+  assert.deepEqual([c.upfront, c.financedInsurance, c.annualFees, c.total], [15000, 20000, 10000, 25000]);
+  close(r.summary.withPrepay.totalCost, r.summary.withPrepay.totalPaid + 25000);
+});
+
+test('cash flows: the loan received a month before the first EMI, net of charges, then every payment out', () => {
+  const loan = normalizeLoan(charged);
+  const r = calculateLoan(charged);
+  const flows = loanCashFlows(loan, r.withPrepay);
+  assert.deepEqual(flows.slice(0, 2).map(f => [ymd(f.date), f.amount]), [['2023-12-05', 1000000], ['2023-12-05', -35000]]);
+  assert.equal(flows.length, 2 + 120);
+  close(flows[2 + 11].amount, -(r.withPrepay.rows[11].emi + 1000));
+});
+
+test('xirr solves the annualised rate of dated flows', () => {
+  const d = s => new Date(s + 'T00:00:00');
+  close(xirr([{ date: d('2023-01-01'), amount: 1000 }, { date: d('2024-01-01'), amount: -1100 }]), 0.10, 6);
+  close(xirr([{ date: d('2023-01-01'), amount: 1000 }, { date: d('2024-12-31'), amount: -1210 }]), 0.10, 6);
+  assert.equal(xirr([{ date: d('2023-01-01'), amount: 1000 }]), null);
+  assert.equal(xirr([]), null);
+});
+
+test('a loan without fees costs its nominal rate compounded monthly; charges push the XIRR up', () => {
+  const plain = calculateLoan({ ...charged, fees: {} }).summary.withPrepay.xirr;
+  close(plain, Math.pow(1.01, 12) - 1, 3);
+  const withFees = calculateLoan(charged).summary.withPrepay.xirr;
+  assert.ok(withFees > plain + 0.005, `${withFees} vs ${plain}`);
+});
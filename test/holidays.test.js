@@ -0,0 +1,48 @@
+/* EMI holidays (moratorium): what each interest / resume choice does to the schedule. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { calculateLoan, computeEmi, sumBy } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+const base = { principal: '3000000', initialRate: '9', years: '20', startDate: '2024-01-05' };
+const withHoliday = (interest, resume) => calculateLoan({ ...base,
+  holidays: [{ start: '2024-07-01', end: '2024-12-31', interest, resume }] });
+const emi = computeEmi(3000000, 0.09 / 12, 240);
+
+test('capitalised holiday months add their interest to the balance and pay nothing', () => {
+  const r = withHoliday('capitalize', 'extendTenure');
+  const rows = r.withPrepay.rows;
+  const held = rows.filter(x => x.holiday);
+  assert.equal(held.length, 6);
+  held.forEach(x => {
+    assert.equal(x.emi, 0);
+    close(x.closing, x.opening * (1 + 0.09 / 12));
+  });
+  close(r.summary.moratorium.capitalized, sumBy(held, 'interest'));
+});
+
+test('extendTenure keeps the EMI; capitalised interest stretches the loan well past the holiday months', () => {
+  const cap = withHoliday('capitalize', 'extendTenure');
+  const io = withHoliday('interestOnly', 'extendTenure');
+  close(cap.summary.moratorium.emiAfter, emi);
+  close(io.summary.moratorium.emiAfter, emi);
+  assert.equal(io.withPrepay.rows.length, 246);
+  assert.equal(cap.withPrepay.rows.length, 279);
+  assert.equal(cap.summary.moratorium.extraMonths, 39);
+});
+
+test('raiseEmi re-solves the EMI over the original end date', () => {
+  const r = withHoliday('interestOnly', 'raiseEmi');
+  const rows = r.withPrepay.rows;
+  assert.equal(rows.length, 240);
+  const firstAfter = rows.find(x => !x.holiday && x.month > 6);
+  // balance is unchanged by interest-only months, so the EMI is re-solved on what was left in month 6
+  const left = rows[5].closing;
+  close(r.summary.moratorium.emiAfter, computeEmi(left, 0.09 / 12, 240 - 12));
+  close(firstAfter.emiDue, r.summary.moratorium.emiAfter);
+  rows.filter(x => x.holiday).forEach(x => close(x.emi, x.interest));
+});
@@ -0,0 +1,60 @@
+/* Interest conventions: 30/360 monthly interest vs daily accrual (ACT/365, ACT/360), with
+   prepayments and ROI changes that land between two due dates. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { buildSchedule, accrueDailyInterest, daysBetween } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+// ₹10 lakh at 9%, first EMI on 5 Feb 2024 (a leap year: February has 29 days)
+const start = new Date(2024, 1, 5);
+const schedule = (interestConvention, prepayments = [], roiChanges = []) =>
+  buildSchedule(1000000, 9, 240, start, prepayments, roiChanges, { interestConvention });
+const prepay = [{ type: 'one', amount: 100000, date: '2024-03-20', strategy: 'reduceTenure' }];
+
+test('30/360 charges a twelfth of the annual rate whatever the month length', () => {
+  const rows = schedule('30/360').rows;
+  close(rows[0].interest, 7500);
+  close(rows[1].interest, rows[0].closing * 0.0075);
+});
+
+test('ACT/365 and ACT/360 accrue over the actual days since the previous due date', () => {
+  const act365 = schedule('ACT/365').rows;
+  close(act365[0].interest, 1000000 * 0.09 * 31 / 365);   // 5 Jan - 5 Feb
+  close(act365[1].interest, act365[0].closing * 0.09 * 29 / 365);   // 5 Feb - 5 Mar 2024
+  close(schedule('ACT/360').rows[0].interest, 1000000 * 0.09 * 31 / 360);
+});
+
+test('a mid-period prepayment reduces interest only from its own date under ACT', () => {
+  const rows = schedule('ACT/365', prepay).rows;
+  const before = rows[1].closing;
+  // 5 Mar - 20 Mar on the full balance, 20 Mar - 5 Apr after the prepayment
+  close(rows[2].interest, (before * 15 + (before - 100000) * 16) * 0.09 / 365);
+  assert.equal(rows[2].prepay, 100000);
+  close(rows[2].closing, before - 100000 - rows[2].principal);
+});
+
+test('under 30/360 a one-time prepayment is paid with the EMI of its calendar month', () => {
+  const rows = schedule('30/360', prepay).rows;
+  assert.equal(rows[1].prepay, 100000);   // 5 Mar EMI
+  close(rows[2].interest, rows[1].closing * 0.0075);
+});
+
+test('an ROI change between due dates splits the accrual at its date', () => {
+  const rows = schedule('ACT/360', [], [{ date: '2024-03-15', rate: 10 }]).rows;
+  const balance = rows[1].closing;
+  close(rows[2].interest, balance * (0.09 * 10 + 0.10 * 21) / 360);
+});
+
+test('accrueDailyInterest applies mid-period prepayments and reports them', () => {
+  const from = new Date(2024, 2, 5), to = new Date(2024, 3, 5);
+  const p = { type: 'one', amount: 50000, date: '2024-03-25' };
+  const out = accrueDailyInterest(200000, from, to, [], 12, 365, [p]);
+  assert.equal(daysBetween(from, to), 31);
+  close(out.interest, (200000 * 20 + 150000 * 11) * 0.12 / 365);
+  assert.equal(out.balance, 150000);
+  assert.deepEqual(out.applied, [{ prepay: p, amount: 50000 }]);
+});
@@ -0,0 +1,20 @@
+/* invest.js: a prepayment dated after the EMI day is compared from the EMI that carries it. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const PrepayInvest = require('../invest.js');
+
+const stateWith = date => ({
+  principal: '1000000', initialRate: '8.5', years: '20', startDate: '2024-01-05', roiChanges: [],
+  prepayments: [{ type: 'one', amount: '100000', date, strategy: 'reduceTenure' }]
+});
+
+test('a prepayment after the EMI day compares the same as one on the EMI day', () => {
+  const late = PrepayInvest.comparePrepayInvest(stateWith('2024-06-20'), { returnPct: 10 }).plans[0];
+  const onDay = PrepayInvest.comparePrepayInvest(stateWith('2024-06-05'), { returnPct: 10 }).plans[0];
+  assert.equal(late.crossoverReturn, onDay.crossoverReturn);
+  assert.equal(late.crossoverReturn, 8.84);
+  assert.equal(late.better, 'invest');
+  assert.ok(Math.abs(late.final.advantage - onDay.final.advantage) < 0.01);
+  assert.equal(late.series[0].date.getTime(), new Date(2024, 5, 5).getTime());
+});
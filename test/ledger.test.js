@@ -0,0 +1,93 @@
+/* Actual-payments ledger: replaying what was paid, reconciling with the bank statement and
+   projecting the rest; plus reading a bank statement CSV into ledger entries. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { calculateLoan, computeEmi, ymd, parseCsv, parseStatementDate, parseAmount, statementToLedger } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+// ₹10 lakh at 12% (1% a month) over 10 years
+const emi = computeEmi(1000000, 0.01, 120);
+const state = {
+  principal: '1000000', initialRate: '12', years: '10', startDate: '2024-01-05',
+  prepay: [{ type: 'one', amount: '50000', date: '2024-03-10' }, { type: 'one', amount: '20000', date: '2024-06-10' }],
+  ledger: [
+    { date: '2024-01-06', paid: '14347.09' },
+    { date: '2024-02-20', paid: '0', charges: '590' },
+    { date: '2024-03-05', paid: '14347.09', extra: '50000', bankInterest: '10200', bankClosing: '950000' }
+  ]
+};
+
+test('history rows replay paid, missed and extra payments', () => {
+  const rows = calculateLoan(state).withPrepay.rows;
+  const [jan, feb, mar] = rows;
+  assert.equal(jan.status, 'paid');
+  close(jan.interest, 10000);
+  close(jan.closing, 1000000 + 10000 - 14347.09);
+  // a missed EMI adds the month's interest and the bounce charge to the balance
+  assert.equal(feb.status, 'missed');
+  assert.equal(feb.emi, 0);
+  close(feb.closing, jan.closing * 1.01 + 590);
+  assert.equal(mar.prepay, 50000);
+  [jan, feb, mar].forEach(r => assert.equal(r.actual, true));
+});
+
+test('bank figures are compared and the bank closing balance is carried forward', () => {
+  const w = calculateLoan(state).withPrepay;
+  const mar = w.rows[2];
+  const computedClosing = w.rows[1].closing * 1.01 - 14347.09 - 50000;
+  assert.deepEqual(w.mismatches.map(m => [m.month, m.field, m.bank]), [[3, 'interest', 10200], [3, 'closing', 950000]]);
+  close(w.mismatches[0].diff, 10200 - mar.interest);
+  close(w.mismatches[1].computed, computedClosing);
+  assert.equal(mar.closing, 950000);
+  assert.equal(w.historyMonths, 3);
+  // the projection continues from the bank's balance on the contractual EMI
+  const apr = w.rows[3];
+  assert.equal(apr.month, 4);
+  assert.equal(ymd(apr.date), '2024-04-05');
+  close(apr.opening, 950000);
+  close(apr.interest, 9500);
+  close(apr.emi, emi);
+});
+
+test('one-time prepayments the ledger already covers are not applied again', () => {
+  const rows = calculateLoan(state).withPrepay.rows;
+  assert.deepEqual(rows.filter(r => r.prepay > 0).map(r => [r.month, r.prepay]), [[3, 50000], [6, 20000]]);
+});
+
+test('mismatches within the tolerance are not reported', () => {
+  const w = calculateLoan({ ...state, reconTolerance: '2000' }).withPrepay;
+  assert.deepEqual(w.mismatches.map(m => m.field), []);
+});
+
+test('a bank statement CSV becomes ledger entries', () => {
+  const csv = 'Txn Date,Description,Debit,Interest,Balance\r\n' +
+    '"06 Jan 2024","EMI ""Jan""","₹ 14,347.09","10,000.00","9,95,652.91"\r\n' +
+    'not a date,opening,,,\r\n' +
+    '20/02/2024,Bounce charge,590,,\r\n';
+  const parsed = parseCsv(csv);
+  assert.deepEqual(parsed.headers, ['Txn Date', 'Description', 'Debit', 'Interest', 'Balance']);
+  assert.equal(parsed.rows[0].Description, 'EMI "Jan"');
+  const { ledger, skipped } = statementToLedger(parsed.rows, { date: 'Txn Date', paid: 'Debit', interest: 'Interest', closing: 'Balance' });
+  assert.equal(skipped, 1);
+  assert.deepEqual(ledger.map(e => [e.date, e.paid, e.bankInterest, e.bankClosing]), [
+    ['2024-01-06', 14347.09, 10000, 995652.91],
+    ['2024-02-20', 590, null, null]
+  ]);
+  assert.throws(() => statementToLedger(parsed.rows, { paid: 'Debit' }), /Map the date column/);
+});
+
+test('statement dates and amounts in the usual bank formats', () => {
+  assert.equal(parseStatementDate('2024-3-5'), '2024-03-05');
+  assert.equal(parseStatementDate('05/03/2024'), '2024-03-05');
+  assert.equal(parseStatementDate('05-03-24'), '2024-03-05');
+  assert.equal(parseStatementDate('5-Mar-2024'), '2024-03-05');
+  assert.equal(parseStatementDate('05 March 2024'), '2024-03-05');
+  assert.equal(parseStatementDate('March 2024'), null);
+  assert.equal(parseAmount('₹ 1,23,456.50 Cr'), 123456.5);
+  assert.equal(parseAmount('-590'), 590);
+  assert.equal(parseAmount(''), null);
+});
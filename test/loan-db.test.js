@@ -0,0 +1,92 @@
+/* loan-db.js: localStorage migration, and writes made before the database has opened. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanDB = require('../loan-db.js');
+
+/* just enough of IndexedDB for loan-db.js: one object store per database, every request async */
+function fakeIndexedDB(){
+  const dbs = {};
+  const later = f => setTimeout(f, 0);
+  const request = result => {
+    const r = { onsuccess: null, onerror: null, result: undefined };
+    later(() => { r.result = typeof result === 'function' ? result() : result; if(r.onsuccess) r.onsuccess(); });
+    return r;
+  };
+  const database = data => ({
+    createObjectStore(){},
+    transaction(){
+      const tx = { oncomplete: null, onerror: null, onabort: null, objectStore: () => ({
+        put(v, k){ data.set(k, v); return request(undefined); },
+        delete(k){ data.delete(k); return request(undefined); },
+        getAllKeys: () => request(() => [...data.keys()]),
+        getAll: () => request(() => [...data.values()])
+      }) };
+      later(() => later(() => { if(tx.oncomplete) tx.oncomplete(); }));
+      return tx;
+    }
+  });
+  return {
+    dbs,
+    open(name){
+      const r = { onsuccess: null, onerror: null, onupgradeneeded: null, result: undefined };
+      later(() => {
+        const fresh = !dbs[name];
+        dbs[name] = dbs[name] || new Map();
+        r.result = database(dbs[name]);
+        if(fresh && r.onupgradeneeded) r.onupgradeneeded();
+        if(r.onsuccess) r.onsuccess();
+      });
+      return r;
+    }
+  };
+}
+
+function memoryStorage(entries = {}){
+  const data = new Map(Object.entries(entries));
+  return {
+    getItem: k => data.has(k) ? data.get(k) : null,
+    setItem: (k, v) => { data.set(k, String(v)); },
+    removeItem: k => { data.delete(k); },
+    data
+  };
+}
+
+test('localStorage keys move into IndexedDB on first open', async () => {
+  const idb = fakeIndexedDB();
+  const fallback = memoryStorage({ loans: '[1]', other: 'kept' });
+  const store = LoanDB.createStore({ indexedDB: idb, fallback, keys: ['loans'] });
+  assert.equal(await store.ready, 'indexedDB');
+  assert.equal(store.getItem('loans'), '[1]');
+  assert.equal(idb.dbs.homeloanApp.get('loans'), '[1]');
+  assert.equal(fallback.getItem('loans'), null);
+  assert.equal(fallback.getItem('other'), 'kept');
+});
+
+test('writes made before the database opens land on top of the stored values', async () => {
+  const idb = fakeIndexedDB();
+  const first = LoanDB.createStore({ indexedDB: idb, fallback: memoryStorage() });
+  await first.ready;
+  first.setItem('state', 'old');
+  first.setItem('gone', 'x');
+  await first.flush();
+
+  const store = LoanDB.createStore({ indexedDB: idb, fallback: memoryStorage(), keys: ['state'] });
+  store.setItem('state', 'edited at startup');
+  store.removeItem('gone');
+  assert.equal(store.getItem('state'), 'edited at startup');
+  await store.ready;
+  await store.flush();
+  assert.equal(store.getItem('state'), 'edited at startup');
+  assert.equal(store.getItem('gone'), null);
+  assert.equal(idb.dbs.homeloanApp.get('state'), 'edited at startup');
+  assert.equal(idb.dbs.homeloanApp.has('gone'), false);
+});
+
+test('without IndexedDB early writes go to localStorage once ready', async () => {
+  const fallback = memoryStorage();
+  const store = LoanDB.createStore({ fallback });
+  store.setItem('state', '{}');
+  assert.equal(await store.ready, 'localStorage');
+  assert.equal(fallback.getItem('state'), '{}');
+});
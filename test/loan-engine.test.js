@@ -0,0 +1,98 @@
+/* Regression tests for loan-engine.js against published amortization tables.
+   Reference figures: the standard US 30-year table ($200,000 at 6%), the 15-year
+   $100,000 at 5% table, and the EMIs Indian lenders publish for ₹10 lakh at 8.5% and
+   ₹25 lakh at 9% over 20 years. Rate changes and prepayments are checked against the
+   EMI formula applied to the balance at that point, which is how lenders re-solve them. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { computeEmi, buildSchedule, sumBy } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+test('computeEmi matches published EMIs', () => {
+  close(computeEmi(200000, 6 / 1200, 360), 1199.10);
+  close(computeEmi(100000, 5 / 1200, 180), 790.79);
+  close(computeEmi(1000000, 8.5 / 1200, 240), 8678.23);
+  close(computeEmi(2500000, 9 / 1200, 240), 22493.15);
+  close(computeEmi(120000, 0, 12), 10000);
+});
+
+test('level EMI schedule matches the $200,000 / 6% / 30-year table', () => {
+  const s = buildSchedule(200000, 6, 360, new Date(2024, 0, 1));
+  const r = s.rows;
+  assert.equal(r.length, 360);
+  close(r[0].interest, 1000.00);
+  close(r[0].principal, 199.10);
+  close(r[0].closing, 199800.90);
+  close(r[11].closing, 197543.98);
+  close(r[59].closing, 186108.71);
+  close(sumBy(r, 'interest'), 231676.38);
+  close(r[359].closing, 0);
+});
+
+test('₹10 lakh / 8.5% / 20 years: first row and total interest', () => {
+  const r = buildSchedule(1000000, 8.5, 240, new Date(2024, 0, 5)).rows;
+  close(r[0].interest, 7083.33);
+  close(r[0].principal, 1594.90);
+  close(sumBy(r, 'interest'), 1082775.76);
+  assert.equal(r.length, 240);
+});
+
+test('ROI change keeping the EMI extends the tenure', () => {
+  const start = new Date(2024, 0, 5);
+  const base = buildSchedule(1000000, 8.5, 240, start).rows;
+  const r = buildSchedule(1000000, 8.5, 240, start, [], [{ date: '2026-01-05', rate: 9.5, policy: 'keepEmi' }]).rows;
+  const at = r.findIndex(row => row.roi === 9.5);
+  assert.equal(at, 24);
+  close(r[at].emi, base[0].emi);
+  close(r[at].interest, r[at - 1].closing * 9.5 / 1200);
+  assert.ok(r.length > 240);
+});
+
+test('ROI change keeping the tenure re-solves the EMI over the months left', () => {
+  const start = new Date(2024, 0, 5);
+  const r = buildSchedule(1000000, 8.5, 240, start, [], [{ date: '2026-01-05', rate: 9.5, policy: 'keepTenure' }]).rows;
+  const at = r.findIndex(row => row.roi === 9.5);
+  close(r[at].emi, computeEmi(r[at - 1].closing, 9.5 / 1200, 240 - at));
+  assert.equal(r.length, 240);
+});
+
+test('prepayment with reduceTenure keeps the EMI and shortens the loan', () => {
+  const start = new Date(2024, 0, 5);
+  const base = buildSchedule(1000000, 8.5, 240, start).rows;
+  const r = buildSchedule(1000000, 8.5, 240, start, [{ type: 'one', amount: 200000, date: '2025-01-05', strategy: 'reduceTenure' }]).rows;
+  close(r[12].prepay, 200000);
+  close(r[12].closing, base[12].closing - 200000);
+  close(r[13].emi, base[0].emi);
+  assert.ok(r.length < 240);
+  // the shorter loan is repaid by the same EMI: the months left match the annuity formula
+  const n = -Math.log(1 - r[12].closing * 8.5 / 1200 / base[0].emi) / Math.log(1 + 8.5 / 1200);
+  assert.equal(r.length, 13 + Math.ceil(n));
+});
+
+test('prepayment with reduceEmi keeps the tenure and lowers the EMI', () => {
+  const start = new Date(2024, 0, 5);
+  const r = buildSchedule(1000000, 8.5, 240, start, [{ type: 'one', amount: 200000, date: '2025-01-05', strategy: 'reduceEmi' }]).rows;
+  close(r[13].emi, computeEmi(r[12].closing, 8.5 / 1200, 240 - 13));
+  assert.equal(r.length, 240);
+  close(r[239].closing, 0);
+});
+
+test('ROI change keeping the tenure keeps months already cut by prepayments', () => {
+  const start = new Date(2024, 0, 5);
+  const prepay = [{ type: 'one', amount: 300000, date: '2024-06-05', strategy: 'reduceTenure' }];
+  const rise = [{ date: '2026-01-05', rate: 9, policy: 'keepTenure' }];
+  const before = buildSchedule(1000000, 8.5, 240, start, prepay).rows;
+  const r = buildSchedule(1000000, 8.5, 240, start, prepay, rise).rows;
+  assert.equal(r.length, before.length);
+  const at = r.findIndex(row => row.roi === 9);
+  assert.ok(r[at].emi > before[at].emi);
+  const [impact] = LoanEngine.computePerRoiImpact(1000000, 8.5, 240, start, prepay, rise);
+  assert.equal(impact.monthsAdded, 0);
+  assert.ok(impact.emiAdded > 0);
+  const [saving] = LoanEngine.computePerPrepaySavings(1000000, 8.5, 240, start, prepay, rise);
+  assert.ok(saving.monthsSaved > 0);
+});
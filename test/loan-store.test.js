@@ -0,0 +1,98 @@
+/* loan-store.js: migrating old loan files, field-by-field validation and merge-on-import. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanStore = require('../loan-store.js');
+
+const { migrate, detectVersion, parseLoanFile, validateState, mergeLoans, toDocument } = LoanStore;
+
+const state = { principal: '3000000', initialRate: '9', years: '20', startDate: '2024-01-05' };
+
+test('a bare v1 state and a v2 profiles array both migrate to a v3 document', () => {
+  assert.equal(detectVersion(state), 1);
+  const fromV1 = migrate(state);
+  assert.equal(fromV1.schema, 'homeloan-loans');
+  assert.equal(fromV1.version, 3);
+  assert.equal(fromV1.loans.length, 1);
+  assert.equal(fromV1.loans[0].name, 'Loan 1');
+  assert.deepEqual(fromV1.loans[0].state, state);
+  assert.match(fromV1.loans[0].id, /^loan-/);
+
+  const v2 = [{ name: 'Home', state: JSON.stringify(state), result: { emi: 1 } }, { id: 'loan-keep', name: 'Car', state }];
+  assert.equal(detectVersion(v2), 2);
+  const fromV2 = migrate(v2);
+  assert.deepEqual(fromV2.loans.map(l => [l.name, l.state, l.result]), [['Home', state, { emi: 1 }], ['Car', state, null]]);
+  assert.equal(fromV2.loans[1].id, 'loan-keep');
+  // a current document passes through untouched
+  assert.equal(migrate(fromV2), fromV2);
+});
+
+test('files that cannot be read report why', () => {
+  assert.deepEqual(parseLoanFile('[{"name":"Home","state":"{oops"}]').errors, ['Loan 1 ("Home"): saved state is not valid JSON']);
+  assert.deepEqual(parseLoanFile('{"schema":"homeloan-loans","version":4,"loans":[]}').errors,
+    ['This file is schema v4; this version of the app reads up to v3']);
+  assert.deepEqual(parseLoanFile('{"a":1}').errors, ['Not a loan file: expected a loan backup or a saved loan']);
+  assert.match(parseLoanFile('nope').errors[0], /^Not valid JSON/);
+  const ok = parseLoanFile(JSON.stringify(state));
+  assert.equal(ok.fromVersion, 1);
+  assert.deepEqual(ok.errors, []);
+});
+
+test('validateState names each bad field and the value it got', () => {
+  const r = validateState({ principal: '0', years: '0', months: '12', startDate: '2024-13-01', initialRate: 'abc',
+    interestConvention: 'ACT/999', roi: [{ rate: '9' }, { date: '2024-05-01', rate: '120' }],
+    prepay: [{ date: '2024-05-01', type: 'one' }, { date: '2024-05-01', foreclose: true }],
+    holidays: [{ start: '2024-06-01', end: '2024-05-01' }], fees: { lockInMonths: '1.5' } });
+  assert.deepEqual(r.errors, [
+    'principal must be at least 1 (got 0)',
+    'months must be at most 11 (got 12)',
+    'startDate must be a date as YYYY-MM-DD (got "2024-13-01")',
+    'initialRate must be a number (got "abc")',
+    'interestConvention must be one of 30/360, ACT/365, ACT/360 (got "ACT/999")',
+    'ROI change 2 rate must be at most 100 (got 120)',
+    'Prepayment 1 amount is required',   // the foreclosure in row 2 needs none
+    'Holiday 1 ends before it starts',
+    'lock-in months must be a whole number (got 1.5)'
+  ]);
+  assert.deepEqual(r.warnings, ['ROI change 1 has no date and will be ignored']);
+  assert.deepEqual(validateState({ ...state, years: '0' }).errors, ['tenure (years + months) must be more than 0']);
+  assert.deepEqual(validateState([]).errors, ['state is missing']);
+  assert.deepEqual(validateState(state), { errors: [], warnings: [] });
+});
+
+test('a document with errors in a loan or snapshot is labelled by loan', () => {
+  const doc = toDocument([
+    { id: 'a', name: 'Home', state, snapshots: [{ id: 's', name: 'before', state: { ...state, initialRate: '' } }] },
+    { id: 'a', name: '', state }
+  ]);
+  assert.deepEqual(parseLoanFile(JSON.stringify(doc)).errors, [
+    'Loan 1 ("Home") snapshot 1 ("before"): initialRate is required',
+    'Loan 2: name is required',
+    'Loan 2: id "a" is used twice'
+  ]);
+});
+
+test('merge-on-import updates loans matched by id, then by name, and adds the rest', () => {
+  const existing = [
+    { id: 'loan-1', name: 'Home', state, result: null, snapshots: [{ id: 'snap-a' }] },
+    { id: 'loan-2', name: 'Car', state, result: null }
+  ];
+  const changed = { ...state, initialRate: '8.5' };
+  const { loans, added, updated } = mergeLoans(existing, [
+    { id: 'loan-1', name: 'Home (renamed)', state: changed, snapshots: [{ id: 'snap-a' }, { id: 'snap-b' }] },
+    { id: 'loan-other', name: ' car ', state: changed },
+    { id: 'loan-3', name: 'Plot', state },
+    { name: 'Shop', state }
+  ]);
+  assert.deepEqual(updated, ['Home (renamed)', ' car ']);
+  assert.deepEqual(added, ['Plot', 'Shop']);
+  assert.deepEqual(loans.map(l => [l.name, l.state.initialRate]),
+    [['Home (renamed)', '8.5'], [' car ', '8.5'], ['Plot', '9'], ['Shop', '9']]);
+  // matched loans keep their own id; added ones keep the file's id or get a fresh one
+  assert.deepEqual(loans.slice(0, 3).map(l => l.id), ['loan-1', 'loan-2', 'loan-3']);
+  assert.match(loans[3].id, /^loan-/);
+  assert.notEqual(loans[3].id, 'loan-3');
+  // snapshots are kept and the file's new ones added
+  assert.deepEqual(loans[0].snapshots.map(s => s.id), ['snap-a', 'snap-b']);
+  assert.equal(existing[0].name, 'Home');
+});
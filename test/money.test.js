@@ -0,0 +1,21 @@
+/* money.js: compact amounts pick their unit after rounding. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const MoneyFormat = require('../money.js');
+
+// compact units follow a non-breaking space
+const plain = s => s.replace(/\u00a0/g, ' ');
+
+test('compact amounts that round up to the next unit move to it', () => {
+  const inr = MoneyFormat.createFormatter({ currency: 'INR', locale: 'en-IN' });
+  const usd = MoneyFormat.createFormatter({ currency: 'USD', locale: 'en-US', grouping: 'international' });
+  assert.equal(plain(inr.compact(99999.9)), '₹1 L');
+  assert.equal(plain(inr.compact(9999999.9)), '₹1 Cr');
+  assert.equal(plain(inr.compact(999.7)), '₹1 K');
+  assert.equal(plain(inr.compact(999.4)), '₹999');
+  assert.equal(plain(inr.compact(12345)), '₹12.3 K');
+  assert.equal(plain(usd.compact(-999999)), '-$1 M');
+  assert.equal(plain(usd.compact(999999999.9)), '$1 B');
+  assert.equal(plain(usd.compact(1.5e12)), '$1,500 B');
+});
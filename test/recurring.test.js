@@ -0,0 +1,58 @@
+/* Recurring prepayment plans: frequency, number of payments, end date and yearly growth. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { calculateLoan, normalizeLoan, recurringDue, ymd } = LoanEngine;
+
+const quarterly = { type: 'recurring', amount: '10000', date: '2024-02-20', frequency: 'quarterly', growthPct: '10', count: '6' };
+const yearly = { type: 'recurring', amount: '50000', date: '2024-03-01', frequency: 'yearly', endDate: '2026-12-31' };
+const state = { principal: '3000000', initialRate: '9', years: '20', startDate: '2024-01-05', prepay: [quarterly, yearly] };
+
+test('recurring plans are normalised with their frequency, count, end date and growth', () => {
+  const [q, y] = normalizeLoan(state).prepayments;
+  assert.deepEqual(q, { type: 'recurring', amount: 10000, date: '2024-02-20', strategy: 'reduceTenure',
+    frequency: 'quarterly', endDate: null, count: 6, growthPct: 10 });
+  assert.equal(y.endDate, '2026-12-31');
+  assert.equal(y.count, 0);
+  assert.equal(normalizeLoan({ prepay: [{ ...quarterly, frequency: 'fortnightly' }] }).prepayments[0].frequency, 'monthly');
+});
+
+test('recurringDue: every FREQUENCY_MONTHS months, growing once a year, until the count or end date', () => {
+  const p = { amount: 1000, frequency: 'quarterly', growthPct: 10, count: 6 };
+  const at = new Date(2025, 0, 5);
+  assert.deepEqual([0, 1, 2, 3, 6, 9, 12, 15, 18].map(k => recurringDue(p, k, at)), [1000, 0, 0, 1000, 1000, 1000, 1100, 1100, 0]);
+  assert.equal(recurringDue(p, -3, at), 0);
+  const halfYearly = { amount: 1000, frequency: 'halfYearly', endDate: '2025-06-30' };
+  assert.equal(recurringDue(halfYearly, 6, new Date(2025, 5, 5)), 1000);
+  assert.equal(recurringDue(halfYearly, 12, new Date(2025, 11, 5)), 0);
+  // no frequency means monthly
+  assert.equal(recurringDue({ amount: 500 }, 1, at), 500);
+});
+
+test('the schedule pays each plan from the first EMI on or after its date', () => {
+  const rows = calculateLoan(state).withPrepay.rows;
+  const paid = rows.filter(r => r.prepay > 0);
+  assert.deepEqual(paid.map(r => [ymd(r.date), r.prepayments.map(p => p.amount)]), [
+    ['2024-03-05', [10000, 50000]],
+    ['2024-06-05', [10000]],
+    ['2024-09-05', [10000]],
+    ['2024-12-05', [10000]],
+    ['2025-03-05', [11000, 50000]],   // a year in: the quarterly plan grows by 10%
+    ['2025-06-05', [11000]],          // sixth and last quarterly payment
+    ['2026-03-05', [50000]]           // the yearly plan ends with 2026
+  ]);
+  paid.forEach(r => r.prepayments.forEach(p => assert.equal(ymd(p.date), ymd(r.date))));
+});
+
+test('a recurring payment never takes more than the balance left', () => {
+  const r = calculateLoan({ principal: '100000', initialRate: '12', years: '5', startDate: '2024-01-05',
+    prepay: [{ type: 'recurring', amount: '30000', date: '2024-01-05', frequency: 'monthly' }] });
+  const rows = r.withPrepay.rows;
+  const last = rows[rows.length - 1];
+  assert.equal(rows.length, 4);
+  assert.equal(last.closing, 0);
+  assert.ok(last.prepay < 30000);
+  assert.ok(Math.abs(last.prepay - (last.opening - last.principal)) < 0.005);
+});
@@ -0,0 +1,49 @@
+/* refinance.js: the saved refinanced loan recalculates to what analyzeRefinance showed. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+const Refinance = require('../refinance.js');
+
+const { calculateLoan, computeEmi, sumBy } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+// old lender: financed insurance, a prepayment penalty, step-up EMIs, a holiday and EMI rounding
+const oldState = {
+  principal: '2500000', years: '20', months: '0', startDate: '2024-01-05', initialRate: '9.5',
+  emiRoundTo: '100',
+  repayment: { type: 'stepUp', stepPct: '5', stepMonths: '12', balloonPct: '20' },
+  holidays: [{ start: '2024-07-01', end: '2024-09-30', interest: 'capitalize', resume: 'extendTenure' }],
+  fees: { processingPct: '1', upfront: '10000', insurance: '40000', insuranceMode: 'financed', prepayPenaltyPct: '2', annualFee: '500' },
+  roi: [], prepay: [{ type: 'one', amount: '100000', date: '2027-03-05', strategy: 'reduceTenure' }]
+};
+const offer = { switchDate: '2025-12-20', rate: '8.4', tenureMonths: '180', processingFeePct: '0.5', legalCharges: '7500', topUp: '0' };
+
+test('a saved refinanced loan recalculates to the analysis', () => {
+  const old = calculateLoan(oldState);
+  const a = Refinance.analyzeRefinance(old.loan, old.withPrepay.rows, offer);
+  const state = Refinance.refinanceState(oldState, a);
+  assert.deepEqual(state.holidays, []);
+  assert.equal(state.repayment.type, 'level');
+  assert.equal(state.emiRoundTo, '0');
+
+  const again = calculateLoan(state);
+  const rows = again.withPrepay.rows;
+  close(rows[0].opening, a.newPrincipal);
+  close(again.withPrepay.baseEmi, computeEmi(a.newPrincipal, 8.4 / 1200, 180));
+  assert.equal(rows.length, a.new.months);
+  close(sumBy(rows, 'interest'), a.new.interest);
+  close(again.summary.withPrepay.charges.upfront, a.fees);
+  assert.equal(sumBy(rows, 'penalty') + sumBy(rows, 'fee'), 0);
+});
+
+test('an offer without a rate or tenure is refused', () => {
+  const old = calculateLoan(oldState);
+  const analyze = o => () => Refinance.analyzeRefinance(old.loan, old.withPrepay.rows, { ...offer, ...o });
+  assert.throws(analyze({ tenureMonths: '0' }), /new tenure \(months\) must be at least 1/);
+  assert.throws(analyze({ rate: '' }), /new rate is required/);
+  assert.throws(analyze({ rate: 'abc' }), /new rate must be a number/);
+  assert.throws(analyze({ switchDate: '' }), /switch date is required/);
+  assert.deepEqual(Refinance.offerErrors(offer), []);
+});
@@ -0,0 +1,88 @@
+/* Repayment structures: step-up / step-down EMIs and a balloon due with the last EMI. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { calculateLoan, normalizeRepayment, stepFactor, structuredEmi, computeEmi } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+// ₹30 lakh at 9% (0.75% a month) over 20 years
+const base = { principal: '3000000', initialRate: '9', years: '20', startDate: '2024-01-05' };
+const schedule = repayment => calculateLoan({ ...base, repayment }).withPrepay.rows;
+
+// balance left after EMIs from..to (base EMI times stepFactor) and the balloon
+const leftOver = (amount, rate, from, to, repayment, emi, balloon = 0) => {
+  let b = amount;
+  for(let n = from; n <= to; n++) b = b * (1 + rate) - emi * stepFactor(repayment, n);
+  return b - balloon;
+};
+
+test('normalizeRepayment keeps only the fields its type uses', () => {
+  assert.deepEqual(normalizeRepayment(), { type: 'level', stepPct: 0, stepMonths: 12, balloonPct: 0 });
+  assert.deepEqual(normalizeRepayment({ type: 'bogus', stepPct: '10' }), { type: 'level', stepPct: 0, stepMonths: 12, balloonPct: 0 });
+  assert.deepEqual(normalizeRepayment({ type: 'stepUp', stepPct: '10', stepMonths: '6', balloonPct: '20' }),
+    { type: 'stepUp', stepPct: 10, stepMonths: 6, balloonPct: 0 });
+  assert.deepEqual(normalizeRepayment({ type: 'balloon', stepPct: '10', balloonPct: '150' }),
+    { type: 'balloon', stepPct: 0, stepMonths: 12, balloonPct: 100 });
+  assert.equal(normalizeRepayment({ type: 'stepDown', stepPct: '-5', stepMonths: '0' }).stepPct, 0);
+});
+
+test('stepFactor moves the EMI once every stepMonths', () => {
+  const up = normalizeRepayment({ type: 'stepUp', stepPct: '10' });
+  const down = normalizeRepayment({ type: 'stepDown', stepPct: '5', stepMonths: '6' });
+  assert.deepEqual([1, 12, 13, 24, 25].map(n => stepFactor(up, n)), [1, 1, 1.1, 1.1, 1.1 * 1.1]);
+  assert.deepEqual([1, 6, 7, 13].map(n => stepFactor(down, n)), [1, 1, 0.95, 0.95 * 0.95]);
+  assert.equal(stepFactor(normalizeRepayment(), 100), 1);
+});
+
+test('structuredEmi solves a base EMI that the stepped payments and the balloon repay', () => {
+  const level = normalizeRepayment();
+  close(structuredEmi(3000000, 0.0075, 1, 240, level), computeEmi(3000000, 0.0075, 240), 6);
+  ['stepUp', 'stepDown'].forEach(type => {
+    const rep = normalizeRepayment({ type, stepPct: '5' });
+    const emi = structuredEmi(3000000, 0.0075, 1, 240, rep);
+    close(leftOver(3000000, 0.0075, 1, 240, rep, emi), 0);
+  });
+  const balloon = normalizeRepayment({ type: 'balloon', balloonPct: '20' });
+  const emi = structuredEmi(3000000, 0.0075, 1, 240, balloon, 600000);
+  close(leftOver(3000000, 0.0075, 1, 240, balloon, emi, 600000), 0);
+  assert.ok(emi < computeEmi(3000000, 0.0075, 240));
+});
+
+test('a step-up schedule starts low, capitalises the interest it does not cover and still ends on time', () => {
+  const rep = { type: 'stepUp', stepPct: '10' };
+  const rows = schedule(rep);
+  const emi = structuredEmi(3000000, 0.0075, 1, 240, normalizeRepayment(rep));
+  assert.equal(rows.length, 240);
+  close(rows[0].emiDue, emi);
+  close(rows[12].emiDue, emi * 1.1);
+  close(rows[24].emiDue, emi * 1.21);
+  // ₹22,500 interest against a ₹12,426 instalment: the rest is added to the balance
+  close(rows[0].interest, 22500);
+  close(rows[0].closing, 3000000 + 22500 - emi);
+  assert.equal(rows[0].principal, 0);
+  assert.equal(rows[rows.length - 1].closing, 0);
+});
+
+test('a step-down schedule starts high and ends on time', () => {
+  const rows = schedule({ type: 'stepDown', stepPct: '5' });
+  assert.equal(rows.length, 240);
+  close(rows[12].emiDue, rows[0].emiDue * 0.95);
+  assert.ok(rows[0].emiDue > computeEmi(3000000, 0.0075, 240));
+  assert.equal(rows[rows.length - 1].closing, 0);
+});
+
+test('the balloon is paid with the last EMI', () => {
+  const rows = schedule({ type: 'balloon', balloonPct: '20' });
+  const last = rows[rows.length - 1];
+  const emi = structuredEmi(3000000, 0.0075, 1, 240, normalizeRepayment({ type: 'balloon', balloonPct: '20' }), 600000);
+  assert.equal(rows.length, 240);
+  rows.slice(0, -1).forEach(r => close(r.emi, emi));
+  assert.equal(last.balloon, true);
+  assert.ok(rows.slice(0, -1).every(r => !r.balloon));
+  close(last.emi, last.opening * 1.0075);
+  close(last.emi, emi + 600000);
+  assert.equal(last.closing, 0);
+});
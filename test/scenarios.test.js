@@ -0,0 +1,30 @@
+/* scenarios.js: Monte Carlo runs that never repay, or have no schedule at all. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const RateScenarios = require('../scenarios.js');
+
+const state = { principal: '3000000', initialRate: '8.5', years: '20', startDate: '2024-01-05' };
+
+test('runs that never repay are counted, not used for the closure percentiles', () => {
+  // rates drifting to 30% leave some paths in negative amortization until the tenure limit
+  const mc = RateScenarios.monteCarlo(state, { runs: 50, seed: 1, volatility: 4, reversion: 0, mean: 30, floor: 0, fromDate: '2025-01-05' });
+  assert.ok(mc.notClosed > 0 && mc.notClosed < 50, `${mc.notClosed} runs not closed`);
+  RateScenarios.PERCENTILES.forEach(q => assert.ok(mc.closureDate[`p${q}`] instanceof Date));
+  assert.ok(mc.closureDate.p5 <= mc.closureDate.p50 && mc.closureDate.p50 <= mc.closureDate.p95);
+});
+
+test('a loan with nothing to schedule does not throw', () => {
+  const mc = RateScenarios.monteCarlo({ ...state, principal: '0' }, { runs: 5, seed: 1 });
+  assert.equal(mc.notClosed, 5);
+  assert.equal(mc.closureDate.p50, null);
+  assert.deepEqual(mc.fan, []);
+});
+
+test('percentile picks the nearest rank', () => {
+  const sorted = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10];
+  assert.equal(RateScenarios.percentile(sorted, 50), 5);
+  assert.equal(RateScenarios.percentile(sorted, 95), 10);
+  assert.equal(RateScenarios.percentile(sorted, 5), 1);
+  assert.equal(RateScenarios.percentile([], 50), null);
+});
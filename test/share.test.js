@@ -0,0 +1,34 @@
+/* share.js: a scenario survives pack -> link -> unpack with its numbers intact. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanShare = require('../share.js');
+
+const state = {
+  principal: '3000000', years: '20', months: '0', startDate: '2024-01-10', initialRate: '8.8',
+  interestConvention: 'ACT/365', rateResetDefault: 'keepEmi', emiRoundTo: '100',
+  repayment: { type: 'level', stepPct: '5', stepMonths: '12', balloonPct: '20' },
+  rateModel: 'benchmark',
+  benchmark: { name: 'Repo', spread: '2.75', resetMonths: '3', history: [{ date: '2023-02-08', rate: 6.5 }, { date: '2024-05-15', rate: 6.25 }] },
+  roi: [{ date: '2026-01-01', rate: '9', policy: 'keepTenure' }],
+  prepay: [{ type: 'recurring', amount: '50000', date: '2025-04-01', strategy: 'reduceTenure', frequency: 'yearly', endDate: '', count: '5', growthPct: '10' }],
+  holidays: [], disbursement: { mode: 'preEmi', tranches: [] },
+  fees: { processingPct: '0.5', prepayPenaltyPct: '2' }
+};
+
+test('a benchmark history round-trips with numeric rates', () => {
+  const { name, state: back } = LoanShare.decodeScenario(LoanShare.encodeScenario(state, 'My loan'));
+  assert.equal(name, 'My loan');
+  assert.deepEqual(back.benchmark, { name: 'Repo', spread: '2.75', resetMonths: '3', history: state.benchmark.history });
+  back.benchmark.history.forEach(h => assert.equal(typeof h.rate, 'number'));
+});
+
+test('the schedule inputs come back unchanged', () => {
+  const { state: back } = LoanShare.decodeScenario(LoanShare.encodeScenario(state));
+  ['principal', 'years', 'startDate', 'initialRate', 'interestConvention', 'emiRoundTo', 'rateModel'].forEach(k => assert.equal(back[k], state[k], k));
+  assert.deepEqual(back.roi, state.roi);
+  assert.deepEqual(back.prepay, state.prepay);
+  assert.equal(back.fees.processingPct, '0.5');
+  assert.equal(back.fees.prepayPenaltyPct, '2');
+  assert.equal(back.fees.annualFee, '0');
+});
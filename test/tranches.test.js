@@ -0,0 +1,73 @@
+/* Under-construction loans: tranche disbursement, the pre-EMI phase and full EMI from the first month. */
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const LoanEngine = require('../loan-engine.js');
+
+const { calculateLoan, normalizeDisbursement, computeEmi, sumBy } = LoanEngine;
+const close = (actual, expected, places = 2) =>
+  assert.ok(Math.abs(actual - expected) < Math.pow(10, -places) / 2 + 1e-9, `${actual} is not ${expected}`);
+
+// ₹30 lakh sanctioned at 12% (1% a month); ₹25 lakh paid out over three tranches
+const tranches = [
+  { date: '2024-03-20', amount: '1000000' },
+  { date: '2023-12-20', amount: '1000000' },
+  { date: '2024-05-10', amount: '500000' }
+];
+const state = (mode) => ({ principal: '3000000', initialRate: '12', years: '20', startDate: '2024-01-05',
+  disbursement: { mode, tranches } });
+
+test('tranches are parsed, sorted and empty ones dropped; pre-EMI is the default mode', () => {
+  const d = normalizeDisbursement({ tranches: [...tranches, { date: '', amount: '5' }, { date: '2024-06-01', amount: '0' }] });
+  assert.equal(d.disbursementMode, 'preEmi');
+  assert.deepEqual(d.tranches, [
+    { date: '2023-12-20', amount: 1000000 }, { date: '2024-03-20', amount: 1000000 }, { date: '2024-05-10', amount: 500000 }
+  ]);
+  assert.equal(normalizeDisbursement({ mode: 'fullEmi' }).disbursementMode, 'fullEmi');
+  assert.deepEqual(normalizeDisbursement().tranches, []);
+});
+
+test('pre-EMI pays interest only on what has been paid out, from each tranche date', () => {
+  const rows = calculateLoan(state('preEmi')).withPrepay.rows;
+  const pre = rows.filter(r => r.phase === 'preEmi');
+  assert.equal(pre.length, 6);
+  assert.deepEqual(pre.map(r => r.disbursed), [1000000, 0, 0, 1000000, 0, 500000]);
+  // 20 Dec - 5 Jan is 16 days of interest on the first tranche
+  close(pre[0].interest, 1000000 * 0.12 * 16 / 360);
+  close(pre[1].interest, 10000);
+  close(pre[3].interest, 10000 + 1000000 * 0.12 * 16 / 360);
+  close(pre[5].interest, 20000 + 500000 * 0.12 * 26 / 360);
+  pre.forEach(r => {
+    assert.equal(r.principal, 0);
+    close(r.emi, r.interest);
+    close(r.emiDue, r.interest);
+  });
+  close(pre[5].closing, 2500000);
+});
+
+test('after the last tranche the full EMI on the paid-out balance runs for the whole tenure', () => {
+  const r = calculateLoan(state('preEmi'));
+  const rows = r.withPrepay.rows;
+  const emi = computeEmi(2500000, 0.01, 240);
+  assert.equal(rows[6].phase, 'emi');
+  close(rows[6].emi, emi);
+  close(rows[6].closing, 2500000 - (emi - 25000));
+  assert.equal(rows.length, 6 + 240);
+  assert.equal(rows[rows.length - 1].closing, 0);
+  assert.equal(r.summary.preEmi.months, 6);
+  close(r.summary.preEmi.interest, sumBy(rows.slice(0, 6), 'interest'));
+});
+
+test('full EMI mode pays the EMI on the sanctioned amount from the first month', () => {
+  const full = calculateLoan(state('fullEmi'));
+  const rows = full.withPrepay.rows;
+  const emi = computeEmi(3000000, 0.01, 240);
+  rows.slice(0, -1).forEach(r => close(r.emi, emi));
+  assert.ok(rows.every(r => r.phase === 'emi'));
+  close(rows[0].closing, 1000000 + 1000000 * 0.12 * 16 / 360 - emi);
+  assert.equal(full.summary.preEmi, null);
+  // the pre-EMI plan costs the interest saved by starting the EMI early
+  const pre = calculateLoan(state('preEmi'));
+  close(pre.summary.preEmi.extraInterest, sumBy(pre.withPrepay.rows, 'interest') - sumBy(rows, 'interest'));
+  assert.ok(pre.summary.preEmi.extraInterest > 0);
+});